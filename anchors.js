@@ -0,0 +1,200 @@
+/**
+ * Context anchors: working-memory pointers to the entities that matter right now
+ * context_anchors.md holds one entry per entity path with a summary, the time it was last touched and
+ * a pin flag. Pinned anchors are listed first and never pruned. The file stays readable markdown:
+ *
+ *   ## Pinned
+ *   - **projects/mcp-server**: Current main project <!-- touched:2024-05-01T10:00:00.000Z -->
+ *
+ *   ## Recent
+ *   - **concepts/learning**: How learning sessions work <!-- touched:2024-05-01T09:00:00.000Z -->
+ *
+ *   ## Notes
+ *   Anything else written in the file, kept as it was
+ */
+
+import { readMemory, updateMemory } from './memory.js';
+
+export const ANCHORS_PATH = 'context_anchors';
+
+const TITLE_LINE = /^#[ \t]+Context Anchors[ \t]*$/;
+const ANCHOR_SECTIONS = ['Pinned', 'Recent'];
+const NOTES_SECTION = 'Notes';
+const ANCHOR_LINE = /^- \*\*(.+?)\*\*:[ \t]*(.*?)(?:[ \t]*<!-- touched:(\S+) -->)?[ \t]*$/;
+// Formats written before anchors were structured
+const LEGACY_SESSION_HEADING = /^## Deep Learn Session - (\S+)/;
+const LEGACY_ENTITY_PATH = /^\*\*Entity Path\*\*:[ \t]*(.+?)[ \t]*$/;
+
+function oneLine(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Split a context_anchors file into its anchors and notes: every line that is not an anchor, the title, a
+// Pinned/Recent/Notes heading or part of a legacy session block's markup. Notes are written back under
+// ## Notes, so hand-written prose survives every rewrite. `- **x**: y` lines are anchors only under
+// Pinned/Recent or in a legacy session block; elsewhere they are ordinary prose.
+function readAnchorFile(content) {
+  const anchors = new Map();
+  const notes = [];
+  let section = null;
+  let heading = null;
+  let sessionTime = null;
+
+  for (const line of (content || '').split('\n')) {
+    if (TITLE_LINE.test(line)) {
+      continue;
+    }
+
+    const headingMatch = line.match(/^##[ \t]+(.*?)[ \t]*$/);
+    if (headingMatch) {
+      heading = headingMatch[1];
+      section = ANCHOR_SECTIONS.includes(heading) ? heading : null;
+      const legacy = line.match(LEGACY_SESSION_HEADING);
+      sessionTime = legacy ? legacy[1] : null;
+      if (section === null && heading !== NOTES_SECTION && !legacy) {
+        notes.push(line);
+      }
+      continue;
+    }
+
+    // The --- that ended each legacy session block
+    if (sessionTime !== null && line.trim() === '---') {
+      continue;
+    }
+
+    const entry = (section !== null || sessionTime !== null) && line.match(ANCHOR_LINE);
+    const legacyPath = !entry && line.match(LEGACY_ENTITY_PATH);
+    const path = entry ? entry[1].trim() : legacyPath ? legacyPath[1] : null;
+    if (path === null) {
+      notes.push(line);
+      continue;
+    }
+    if (anchors.has(path)) {
+      continue;
+    }
+
+    anchors.set(path, {
+      path,
+      summary: entry ? entry[2] : heading || '',
+      touched_at: (entry && entry[3]) || sessionTime,
+      pinned: section === 'Pinned'
+    });
+  }
+
+  return { anchors: [...anchors.values()], notes: notes.join('\n').replace(/\n{3,}/g, '\n\n').trim() };
+}
+
+// Anchors in a context_anchors file, one per path: [{ path, summary, touched_at, pinned }].
+// Older free-form files (deep_learn session blocks, **Entity Path** lines) are read as unpinned anchors,
+// keeping the first (most recent) entry for each path.
+export function parseAnchors(content) {
+  return readAnchorFile(content).anchors;
+}
+
+function byRecency(a, b) {
+  return (b.touched_at || '').localeCompare(a.touched_at || '') || a.path.localeCompare(b.path);
+}
+
+// Pinned anchors first, then the rest, each most recently touched first
+export function sortAnchors(anchors) {
+  return [...anchors.filter(anchor => anchor.pinned).sort(byRecency), ...anchors.filter(anchor => !anchor.pinned).sort(byRecency)];
+}
+
+function formatLine({ path, summary, touched_at }) {
+  return `- **${path}**: ${oneLine(summary)}${touched_at ? ` <!-- touched:${touched_at} -->` : ''}`;
+}
+
+// notes is the text kept from the file (see readAnchorFile), written last under ## Notes
+export function formatAnchors(anchors, notes = '') {
+  const pinned = anchors.filter(anchor => anchor.pinned).sort(byRecency);
+  const recent = anchors.filter(anchor => !anchor.pinned).sort(byRecency);
+  const sections = [['Pinned', pinned], ['Recent', recent]]
+    .filter(([, entries]) => entries.length > 0)
+    .map(([title, entries]) => `## ${title}\n${entries.map(formatLine).join('\n')}\n`);
+  if (notes) {
+    sections.push(`## ${NOTES_SECTION}\n${notes}\n`);
+  }
+
+  return `# Context Anchors\n\n${sections.join('\n')}`;
+}
+
+// Add or refresh anchors for [{ path, summary }] in existing file content; pins and notes are kept
+export function touchAnchors(content, entries, timestamp = new Date().toISOString()) {
+  const file = readAnchorFile(content);
+  const anchors = new Map(file.anchors.map(anchor => [anchor.path, anchor]));
+  for (const { path, summary } of entries) {
+    const existing = anchors.get(path);
+    anchors.set(path, {
+      path,
+      summary: oneLine(summary) || (existing ? existing.summary : ''),
+      touched_at: timestamp,
+      pinned: existing ? existing.pinned : false
+    });
+  }
+  return formatAnchors([...anchors.values()], file.notes);
+}
+
+// Anchors sorted pinned-first, optionally only pinned ones and at most limit of them.
+// canRead applies before limit, so total and the page count readable anchors only.
+export async function getAnchors({ pinnedOnly = false, limit, canRead = () => true } = {}) {
+  const content = await readMemory(ANCHORS_PATH).catch(() => null);
+  const anchors = sortAnchors(parseAnchors(content)).filter(anchor => (!pinnedOnly || anchor.pinned) && canRead(anchor.path));
+  return { total: anchors.length, anchors: limit > 0 ? anchors.slice(0, limit) : anchors };
+}
+
+// Pin or unpin the anchor for a path. An entity without an anchor gets one if a summary is given.
+export async function pinAnchor(path, { pinned = true, summary, source } = {}) {
+  let result = null;
+
+  await updateMemory(ANCHORS_PATH, current => {
+    const { anchors, notes } = readAnchorFile(current);
+    let anchor = anchors.find(candidate => candidate.path === path);
+    if (!anchor) {
+      if (!oneLine(summary)) {
+        throw new Error(`No anchor for '${path}'; pass a summary to create one`);
+      }
+      anchor = { path, summary: oneLine(summary), touched_at: new Date().toISOString(), pinned };
+      anchors.push(anchor);
+    }
+    anchor.pinned = pinned;
+    if (oneLine(summary)) {
+      anchor.summary = oneLine(summary);
+    }
+    result = { ...anchor };
+    return formatAnchors(anchors, notes);
+  }, { source });
+
+  return result;
+}
+
+// Remove unpinned anchors beyond the maxCount most recently touched, or not touched for olderThanDays.
+// Anchors with no recorded touch time count as oldest. dryRun reports without writing.
+export async function pruneAnchors({ maxCount, olderThanDays, dryRun = false, source } = {}) {
+  if (maxCount === undefined && olderThanDays === undefined) {
+    throw new Error('prune_anchors needs max_count or older_than_days');
+  }
+  if ((maxCount !== undefined && !(maxCount >= 0)) || (olderThanDays !== undefined && !(olderThanDays >= 0))) {
+    throw new Error('max_count and older_than_days must be zero or more');
+  }
+
+  const cutoff = olderThanDays === undefined ? null : new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  let removed = [];
+  let kept = [];
+
+  const select = current => {
+    const { anchors, notes } = readAnchorFile(current);
+    const unpinned = anchors.filter(anchor => !anchor.pinned).sort(byRecency);
+    removed = unpinned.filter((anchor, index) =>
+      (maxCount !== undefined && index >= maxCount) || (cutoff !== null && !(anchor.touched_at >= cutoff)));
+    kept = anchors.filter(anchor => !removed.includes(anchor));
+    return removed.length > 0 ? formatAnchors(kept, notes) : null;
+  };
+
+  if (dryRun) {
+    select(await readMemory(ANCHORS_PATH).catch(() => null));
+  } else {
+    await updateMemory(ANCHORS_PATH, current => current === null ? null : select(current), { source });
+  }
+
+  return { removed, kept: kept.length, dry_run: dryRun };
+}
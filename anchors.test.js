@@ -0,0 +1,145 @@
+/**
+ * Jest tests for structured context anchors
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory, readMemory } from './memory.js';
+import { parseAnchors, formatAnchors, touchAnchors, getAnchors, pinAnchor, pruneAnchors } from './anchors.js';
+
+describe('Context Anchors', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('round-trips anchors through markdown', () => {
+    const anchors = [
+      { path: 'concepts/b', summary: 'Second', touched_at: '2024-05-02T00:00:00.000Z', pinned: false },
+      { path: 'projects/a', summary: 'Main project', touched_at: '2024-05-01T00:00:00.000Z', pinned: true }
+    ];
+
+    const content = formatAnchors(anchors);
+
+    expect(content).toContain('## Pinned\n- **projects/a**: Main project <!-- touched:2024-05-01T00:00:00.000Z -->');
+    expect(content).toContain('## Recent\n- **concepts/b**: Second');
+    expect(parseAnchors(content)).toEqual([anchors[1], anchors[0]]);
+  });
+
+  test('reads legacy deep_learn blocks and Entity Path lines, newest entry per path', () => {
+    const legacy = `# Context Anchors
+
+## Deep Learn Session - 2024-05-02T00:00:00.000Z
+- **concepts/a**: Newer summary
+
+---
+
+## Deep Learn Session - 2024-05-01T00:00:00.000Z
+- **concepts/a**: Older summary
+- **concepts/b**: Only once
+
+## Some Anchor
+**Entity Path**: people/john
+`;
+
+    expect(parseAnchors(legacy)).toEqual([
+      { path: 'concepts/a', summary: 'Newer summary', touched_at: '2024-05-02T00:00:00.000Z', pinned: false },
+      { path: 'concepts/b', summary: 'Only once', touched_at: '2024-05-01T00:00:00.000Z', pinned: false },
+      { path: 'people/john', summary: 'Some Anchor', touched_at: null, pinned: false }
+    ]);
+  });
+
+  test('keeps hand-written content under Notes', async () => {
+    const content = `# Context Anchors
+
+Anchors for the migration work.
+
+## Recent
+- **concepts/a**: A <!-- touched:2024-05-01T00:00:00.000Z -->
+
+## Open Questions
+- Should old anchors expire?
+`;
+
+    const touched = touchAnchors(content, [{ path: 'concepts/b', summary: 'B' }], '2024-05-02T00:00:00.000Z');
+    expect(touched).toContain('## Notes\nAnchors for the migration work.\n\n## Open Questions\n- Should old anchors expire?\n');
+    expect(parseAnchors(touched).map(anchor => anchor.path)).toEqual(['concepts/b', 'concepts/a']);
+    expect(touchAnchors(touched, [])).toContain('## Notes\nAnchors for the migration work.');
+
+    await writeMemory('context_anchors', touched);
+    await pinAnchor('concepts/a');
+    await pruneAnchors({ maxCount: 0 });
+    const rewritten = await readMemory('context_anchors');
+    expect(rewritten).toContain('## Open Questions\n- Should old anchors expire?');
+    expect(rewritten.match(/## Notes/g)).toHaveLength(1);
+  });
+
+  test('migrates a legacy file without turning prose into anchors', () => {
+    const legacy = `# Context Anchors
+
+## Deep Learn Session - 2024-05-01T00:00:00.000Z
+- **concepts/a**: From a session
+
+---
+
+## My notes
+- **Important**: always check anchors
+`;
+
+    const touched = touchAnchors(legacy, [{ path: 'concepts/b', summary: 'B' }], '2024-05-02T00:00:00.000Z');
+
+    expect(parseAnchors(touched).map(anchor => anchor.path)).toEqual(['concepts/b', 'concepts/a']);
+    expect(touched).toContain('## Notes\n## My notes\n- **Important**: always check anchors\n');
+    expect(touched).not.toContain('---');
+    expect(touchAnchors(touched, [])).toBe(touched);
+  });
+
+  test('touching updates an existing anchor instead of duplicating it', () => {
+    const first = touchAnchors(null, [{ path: 'concepts/a', summary: 'First' }], '2024-05-01T00:00:00.000Z');
+    const pinned = first.replace('## Recent', '## Pinned');
+
+    const second = touchAnchors(pinned, [{ path: 'concepts/a', summary: 'Second\nline' }, { path: 'concepts/b', summary: 'B' }], '2024-05-02T00:00:00.000Z');
+
+    expect(parseAnchors(second)).toEqual([
+      { path: 'concepts/a', summary: 'Second line', touched_at: '2024-05-02T00:00:00.000Z', pinned: true },
+      { path: 'concepts/b', summary: 'B', touched_at: '2024-05-02T00:00:00.000Z', pinned: false }
+    ]);
+    expect(second.match(/concepts\/a/g)).toHaveLength(1);
+  });
+
+  test('pins and unpins anchors', async () => {
+    await writeMemory('context_anchors', touchAnchors(null, [{ path: 'concepts/a', summary: 'A' }, { path: 'concepts/b', summary: 'B' }]));
+
+    await pinAnchor('concepts/b');
+
+    expect((await getAnchors({ pinnedOnly: true })).anchors.map(anchor => anchor.path)).toEqual(['concepts/b']);
+    expect((await getAnchors()).anchors[0].path).toBe('concepts/b');
+    await pinAnchor('concepts/b', { pinned: false });
+    expect((await getAnchors({ pinnedOnly: true })).total).toBe(0);
+    await expect(pinAnchor('concepts/missing')).rejects.toThrow('pass a summary');
+    expect(await pinAnchor('concepts/new', { summary: 'New one' })).toMatchObject({ path: 'concepts/new', pinned: true });
+  });
+
+  test('prunes unpinned anchors by count and age', async () => {
+    const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+    let content = touchAnchors(null, [{ path: 'concepts/old', summary: 'Old' }, { path: 'concepts/pinned-old', summary: 'Pinned' }], old);
+    content = touchAnchors(content, [{ path: 'concepts/one', summary: '1' }], '2030-01-01T00:00:00.000Z');
+    content = touchAnchors(content, [{ path: 'concepts/two', summary: '2' }], '2030-01-02T00:00:00.000Z');
+    await writeMemory('context_anchors', content);
+    await pinAnchor('concepts/pinned-old');
+
+    const preview = await pruneAnchors({ olderThanDays: 30, dryRun: true });
+    expect(preview.removed.map(anchor => anchor.path)).toEqual(['concepts/old']);
+    expect((await getAnchors()).total).toBe(4);
+
+    await pruneAnchors({ olderThanDays: 30 });
+    const byCount = await pruneAnchors({ maxCount: 1 });
+
+    expect(byCount.removed.map(anchor => anchor.path)).toEqual(['concepts/one']);
+    expect((await getAnchors()).anchors.map(anchor => anchor.path)).toEqual(['concepts/pinned-old', 'concepts/two']);
+    expect(await readMemory('context_anchors')).not.toContain('concepts/old**');
+    await expect(pruneAnchors({})).rejects.toThrow('needs max_count or older_than_days');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Session archives: naming, metadata and an index of every archive
+ * The default session archives to session_archives/<date>-<time>.md and a named session to
+ * session_archives/<id>/<date>-<time>.md. Archives hold the same note blocks as live sessions, with
+ * frontmatter recording when and by which tool they were archived, the entities that deep_learn
+ * wrote and the anchors it added. .index/archives.json summarizes every archive.
+ */
+
+import { onMemoryChange, readMemory } from './memory.js';
+import { createIndexStore } from './index-store.js';
+import { DEFAULT_SESSION, sessionArchivePrefix, parseNotes, filterNotes, parseTimeFilter } from './sessions.js';
+
+export const ARCHIVE_ROOT = 'session_archives/';
+
+const ARCHIVES_VERSION = 1;
+
+// Unused archive path for a session archived at timestamp: <date>-<HHMMSS>, then -2, -3... on collision
+export async function archivePathFor(sessionId, timestamp) {
+  const [date, time] = timestamp.split('T');
+  const base = `${sessionArchivePrefix(sessionId)}${date}-${time.slice(0, 8).replace(/:/g, '')}`;
+
+  for (let counter = 1; ; counter++) {
+    const path = counter === 1 ? base : `${base}-${counter}`;
+    if (await readMemory(path).then(() => false, () => true)) {
+      return path;
+    }
+  }
+}
+
+// Frontmatter for a new archive. anchors are the context_anchors lines deep_learn added, if any.
+export function archiveMetadata(sessionId, { archivedAt, archivedBy, entities = [], anchors = [] }) {
+  return {
+    type: 'session_archive',
+    session: sessionId,
+    archived_at: archivedAt,
+    archived_by: archivedBy,
+    entities,
+    anchors
+  };
+}
+
+// Session an archive path belongs to
+function archiveSessionId(path) {
+  const parts = path.slice(ARCHIVE_ROOT.length).split('/');
+  return parts.length > 1 ? parts[0] : DEFAULT_SESSION;
+}
+
+// Read an archive, refusing paths outside session_archives/
+export async function readArchive(path) {
+  if (!path.startsWith(ARCHIVE_ROOT) || path.split('/').includes('..')) {
+    throw new Error(`Not a session archive: '${path}' (archives live under ${ARCHIVE_ROOT})`);
+  }
+  return await readMemory(path).catch(() => {
+    throw new Error(`Session archive not found: '${path}'`);
+  });
+}
+
+function addArchive(data, path, body, metadata) {
+  if (!path.startsWith(ARCHIVE_ROOT)) {
+    return;
+  }
+  const timestamps = parseNotes(body).map(note => note.timestamp).sort();
+  const date = path.split('/').pop().match(/^\d{4}-\d{2}-\d{2}/);
+
+  data.archives[path] = {
+    // Archives from before metadata existed fall back to what the path says
+    session_id: metadata.session || archiveSessionId(path),
+    date: date ? date[0] : null,
+    archived_at: metadata.archived_at || null,
+    archived_by: metadata.archived_by || null,
+    first_note: timestamps[0] || null,
+    last_note: timestamps[timestamps.length - 1] || null,
+    note_count: timestamps.length,
+    entities: metadata.entities || [],
+    anchors: metadata.anchors || []
+  };
+}
+
+function removeArchive(data, path) {
+  delete data.archives[path];
+  delete data.docs[path];
+}
+
+const store = createIndexStore('archives', {
+  version: ARCHIVES_VERSION,
+  empty: () => ({ version: ARCHIVES_VERSION, docs: {}, archives: {} }),
+  add: addArchive,
+  remove: removeArchive
+});
+
+// Keep the index current on every write through memory.js
+onMemoryChange(({ path }) => store.refresh(path));
+
+// Startup check: pick up archives added or edited outside the server
+export async function syncArchiveIndex() {
+  return await store.sync();
+}
+
+// Discard the index and rebuild it from every archive on disk
+export async function rebuildArchiveIndex() {
+  const data = await store.reset();
+  return { archives: Object.keys(data.archives).length };
+}
+
+async function loadArchives({ sessionId, since, until, canRead = () => true } = {}) {
+  const sinceTime = parseTimeFilter(since, 'since');
+  const untilTime = parseTimeFilter(until, 'until');
+  const data = await store.load();
+
+  const archives = Object.entries(data.archives)
+    .filter(([path]) => canRead(path))
+    .map(([path, archive]) => ({
+      path,
+      ...archive,
+      // The entities deep_learn wrote are listed only if the caller may read them too
+      entities: archive.entities.filter(entity => canRead(entity)),
+      anchors: archive.anchors.filter(anchor => canRead(anchor.split(': ')[0])),
+      size: data.docs[path].size
+    }))
+    .filter(archive => !sessionId || archive.session_id === sessionId)
+    .filter(archive => {
+      // An archive spans its first to last note (or just its date); keep it if that overlaps the range
+      const start = Date.parse(archive.first_note || archive.date);
+      const end = archive.last_note ? Date.parse(archive.last_note) : start + 24 * 60 * 60 * 1000 - 1;
+      return (sinceTime === null || end >= sinceTime) && (untilTime === null || start <= untilTime);
+    });
+
+  // Newest first
+  const newest = archive => archive.archived_at || archive.last_note || archive.date || '';
+  return archives.sort((a, b) => newest(b).localeCompare(newest(a)) || b.path.localeCompare(a.path));
+}
+
+// Archives with their date range, size, note count and metadata, newest first
+export async function listArchives(options = {}) {
+  return await loadArchives(options);
+}
+
+// Notes inside archives matching type, importance, time range and text, newest archive first
+export async function searchArchives({ sessionId, limit = 50, canRead, ...filters } = {}) {
+  const matches = [];
+  for (const archive of await loadArchives({ sessionId, since: filters.since, until: filters.until, canRead })) {
+    const content = await readMemory(archive.path).catch(() => '');
+    for (const note of filterNotes(parseNotes(content), filters)) {
+      matches.push({ archive_path: archive.path, session_id: archive.session_id, ...note });
+    }
+  }
+
+  return { total: matches.length, matches: matches.slice(0, limit) };
+}
@@ -0,0 +1,115 @@
+/**
+ * Jest tests for browsing and searching session archives
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { formatNote } from './sessions.js';
+import { archivePathFor, archiveMetadata, readArchive, listArchives, searchArchives, rebuildArchiveIndex } from './archives.js';
+
+function session(notes) {
+  return '# Current Session\n' + notes.map(note => formatNote(note).block).join('');
+}
+
+describe('Session Archives', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+
+    await writeMemory('session_archives/2024-04-10', session([
+      { note_type: 'decision', importance: 'high', content: 'Adopt JSONL logs', timestamp: '2024-04-10T09:00:00.000Z' },
+      { note_type: 'context', importance: 'low', content: 'Reading the spec', timestamp: '2024-04-10T11:00:00.000Z' }
+    ]));
+    await writeMemory('session_archives/docs/2024-05-02', session([
+      { note_type: 'decision', importance: 'medium', content: 'Split the README', timestamp: '2024-05-02T08:00:00.000Z' }
+    ]));
+    await writeMemory('people/john', '### DECISION - HIGH (2024-04-10T09:00:00.000Z)\nNot an archive');
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('names archives per session with a time suffix', async () => {
+    expect(await archivePathFor('default', '2024-05-01T14:30:05.123Z')).toBe('session_archives/2024-05-01-143005');
+    expect(await archivePathFor('docs', '2024-05-01T14:30:05.123Z')).toBe('session_archives/docs/2024-05-01-143005');
+  });
+
+  test('adds a counter when the name is taken', async () => {
+    await writeMemory('session_archives/2024-05-01-143005', 'First');
+    await writeMemory('session_archives/2024-05-01-143005-2', 'Second');
+
+    expect(await archivePathFor('default', '2024-05-01T14:30:05.999Z')).toBe('session_archives/2024-05-01-143005-3');
+  });
+
+  test('indexes archive metadata', async () => {
+    await writeMemory('session_archives/2024-05-03-090000', session([
+      { note_type: 'insight', importance: 'low', content: 'Learned', timestamp: '2024-05-03T08:00:00.000Z' }
+    ]), {
+      metadata: archiveMetadata('default', {
+        archivedAt: '2024-05-03T09:00:00.000Z',
+        archivedBy: 'deep_learn',
+        entities: ['concepts/a', 'concepts/b'],
+        anchors: ['concepts/a: First, with a comma', 'concepts/b: Second']
+      })
+    });
+
+    const [newest] = await listArchives();
+
+    expect(newest).toMatchObject({
+      path: 'session_archives/2024-05-03-090000',
+      archived_at: '2024-05-03T09:00:00.000Z',
+      archived_by: 'deep_learn',
+      note_count: 1,
+      entities: ['concepts/a', 'concepts/b'],
+      anchors: ['concepts/a: First, with a comma', 'concepts/b: Second']
+    });
+    const index = JSON.parse(await fs.readFile('./memory/.index/archives.json', 'utf-8'));
+    const log = await fs.readFile(`./memory/.index/archives.${index.log}.log`, 'utf-8').catch(() => '');
+    const logged = log.split('\n').filter(Boolean).map(line => JSON.parse(line).path).filter(path => path.startsWith('session_archives/'));
+    expect([...new Set([...Object.keys(index.archives), ...logged])].sort()).toEqual(['session_archives/2024-04-10', 'session_archives/2024-05-03-090000', 'session_archives/docs/2024-05-02']);
+  });
+
+  test('rebuilds the index from archives written outside the server', async () => {
+    await fs.writeFile('./memory/session_archives/2024-03-01.md', '# Current Session\n\n### CONTEXT - LOW (2024-03-01T00:00:00.000Z)\nOld\n');
+
+    expect(await rebuildArchiveIndex()).toEqual({ archives: 3 });
+    expect((await listArchives()).map(archive => archive.path)).toContain('session_archives/2024-03-01');
+  });
+
+  test('lists archives newest first with date range, size and note count', async () => {
+    const archives = await listArchives();
+
+    expect(archives.map(archive => [archive.path, archive.session_id, archive.note_count])).toEqual([
+      ['session_archives/docs/2024-05-02', 'docs', 1],
+      ['session_archives/2024-04-10', 'default', 2]
+    ]);
+    expect(archives[1]).toMatchObject({ date: '2024-04-10', first_note: '2024-04-10T09:00:00.000Z', last_note: '2024-04-10T11:00:00.000Z' });
+    expect(archives[1].size).toBeGreaterThan(0);
+    expect(archives[1].notes).toBeUndefined();
+  });
+
+  test('filters archives by session and date range', async () => {
+    expect((await listArchives({ sessionId: 'docs' })).map(archive => archive.path)).toEqual(['session_archives/docs/2024-05-02']);
+    expect((await listArchives({ since: '2024-04-10T10:00:00Z', until: '2024-04-30' })).map(archive => archive.path)).toEqual(['session_archives/2024-04-10']);
+    expect(await listArchives({ since: '2024-06-01' })).toEqual([]);
+  });
+
+  test('searches archived notes by type, importance and text', async () => {
+    const decisions = await searchArchives({ noteType: 'decision' });
+    expect(decisions.matches.map(match => [match.archive_path, match.content])).toEqual([
+      ['session_archives/docs/2024-05-02', 'Split the README'],
+      ['session_archives/2024-04-10', 'Adopt JSONL logs']
+    ]);
+
+    expect((await searchArchives({ noteType: 'decision', importance: 'high' })).matches.map(match => match.content)).toEqual(['Adopt JSONL logs']);
+    expect((await searchArchives({ text: 'spec' })).matches[0]).toMatchObject({ session_id: 'default', note_type: 'context' });
+    expect((await searchArchives({ limit: 1 })).total).toBe(3);
+  });
+
+  test('reads only paths inside session_archives', async () => {
+    expect(await readArchive('session_archives/2024-04-10')).toContain('Adopt JSONL logs');
+    await expect(readArchive('people/john')).rejects.toThrow('Not a session archive');
+    await expect(readArchive('session_archives/../people/john')).rejects.toThrow('Not a session archive');
+    await expect(readArchive('session_archives/1999-01-01')).rejects.toThrow('Session archive not found');
+  });
+});
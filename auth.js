@@ -0,0 +1,217 @@
+/**
+ * Bearer-token access control for HTTP mode
+ * Tokens come from a local JSON file, each with a scope limiting what its holder may do:
+ *
+ *   { "tokens": [
+ *     { "name": "main", "token": "<secret>" },
+ *     { "name": "sub-agent", "token": "<secret>", "read_only": true, "deny_paths": ["me"] },
+ *     { "name": "planner", "token": "<secret>", "write_prefixes": ["projects/"] }
+ *   ] }
+ *
+ * read_only refuses every tool that writes, write_prefixes limits writes to the listed paths or folders
+ * (a trailing '/' marks a folder) and deny_paths refuses reading or writing the listed paths or folders.
+ * Tool calls are checked against the paths each tool reads and writes, so denying 'me' also denies learn.
+ */
+
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { posix } from 'path';
+import { DEFAULT_SESSION, sessionPath, sessionArchivePrefix } from './sessions.js';
+import { ANCHORS_PATH } from './anchors.js';
+
+const MIN_TOKEN_LENGTH = 16;
+
+export class AccessDeniedError extends Error {
+  constructor(message, { tool, path } = {}) {
+    super(message);
+    this.name = 'AccessDeniedError';
+    this.tool = tool;
+    this.path = path;
+  }
+}
+
+// Paths a tool call reads and writes. writes: true means the tool may write anywhere in memory
+// (moves rewrite links in every entity, trash and index maintenance are not tied to one path).
+const session = (args, context) => sessionPath(args.session_id ?? context.activeSession);
+const archives = (args, context) => sessionArchivePrefix(args.session_id ?? context.activeSession);
+const entityPath = args => [args.entity_path];
+
+const TOOL_ACCESS = {
+  // Reads
+  list_sessions: {},
+  switch_session: {},
+  list_session_archives: {},
+  search_session_archives: {},
+  list_trash: {},
+  list_entities: {},
+  query_entities: {},
+  search_entities: {},
+  recall: {},
+  get_dangling_links: {},
+  get_session_notes: { reads: (args, context) => [session(args, context)] },
+  get_startup_context: { reads: (args, context) => ['me', session(args, context)] },
+  get_anchors: { reads: () => [ANCHORS_PATH] },
+  read_entity: { reads: entityPath },
+  entity_history: { reads: entityPath },
+  read_entity_version: { reads: entityPath },
+  entity_diff: { reads: entityPath },
+  get_links: { reads: entityPath },
+  get_backlinks: { reads: entityPath },
+  get_neighborhood: { reads: entityPath },
+  // Writes
+  add_session_note: { writes: (args, context) => [session(args, context)] },
+  edit_session_note: { writes: (args, context) => [session(args, context)] },
+  delete_session_note: { writes: (args, context) => [session(args, context)] },
+  start_session: { writes: args => [sessionPath(args.session_id)] },
+  restore_session: { reads: args => [args.archive_path], writes: (args, context) => [session(args, context), archives(args, context)] },
+  write_entity: { writes: entityPath },
+  edit_entity: { writes: entityPath },
+  delete_entity: { writes: entityPath },
+  revert_entity: { writes: entityPath },
+  restore_entity: { writes: args => args.restore_to || args.entity_path ? [args.restore_to || args.entity_path] : true },
+  move_entity: { writes: true },
+  rename_entity: { writes: true },
+  purge_trash: { writes: true },
+  reindex: { writes: true },
+  pin_anchor: { writes: () => [ANCHORS_PATH] },
+  prune_anchors: { writes: () => [ANCHORS_PATH] },
+  synthesis_reflection: { writes: () => ['dream_journal'] },
+  deep_learn: {
+    writes: (args, context) => [
+      ...(args.entities || []).map(entity => entity.path),
+      ANCHORS_PATH,
+      session(args, context),
+      archives(args, context)
+    ]
+  },
+  learn: { writes: () => ['me'] }
+};
+
+export function isKnownTool(name) {
+  return Object.hasOwn(TOOL_ACCESS, name);
+}
+
+// Whether a tool changes memory; tools this module does not know count as writing
+export function isMutatingTool(name) {
+  const access = Object.hasOwn(TOOL_ACCESS, name) ? TOOL_ACCESS[name] : null;
+  return !access || access.writes !== undefined;
+}
+
+function toolAccess(name, args, context) {
+  const access = Object.hasOwn(TOOL_ACCESS, name) ? TOOL_ACCESS[name] : { writes: true };
+  const writes = typeof access.writes === 'function' ? access.writes(args, context) : access.writes;
+  return {
+    reads: (access.reads ? access.reads(args, context) : []).filter(path => typeof path === 'string'),
+    writes: Array.isArray(writes) ? writes.filter(path => typeof path === 'string') : writes === true
+  };
+}
+
+// Compare paths the way the filesystem may resolve them: 'projects/../me', '/me' and 'ME' are all me
+function normalize(path) {
+  return posix.normalize(path.replace(/\\/g, '/')).replace(/^\/+/, '').toLowerCase();
+}
+
+// Whether pattern covers path. A pattern ending in '/' is a folder; any other pattern is a path and
+// everything under it. A path ending in '/' (a folder a tool writes into) must lie inside the pattern.
+function covers(pattern, path) {
+  const base = normalize(pattern);
+  const target = normalize(path);
+  return base.endsWith('/') ? target.startsWith(base) : target === base || target.startsWith(base + '/');
+}
+
+export function canRead(scope, path) {
+  return !scope || !scope.deny_paths.some(pattern => covers(pattern, path));
+}
+
+// Throw AccessDeniedError unless scope may read path
+export function authorizeRead(scope, path) {
+  if (!canRead(scope, path)) {
+    throw new AccessDeniedError(`Access denied for token '${scope.name}': '${path}' is denied`, { path });
+  }
+}
+
+// Throw AccessDeniedError unless scope allows the tool call. context.activeSession resolves calls that
+// name no session. A missing scope (stdio, or HTTP without a tokens file) allows everything.
+export function authorizeToolCall(scope, name, args = {}, context = {}) {
+  if (!scope) {
+    return;
+  }
+  const denied = (message, path) => new AccessDeniedError(`Access denied for token '${scope.name}': ${message}`, { tool: name, path });
+  const { reads, writes } = toolAccess(name, args, { activeSession: DEFAULT_SESSION, ...context });
+
+  if (scope.read_only && isMutatingTool(name)) {
+    throw denied(`${name} writes to memory and the token is read-only`);
+  }
+  if (writes === true && (scope.write_prefixes || scope.deny_paths.length > 0)) {
+    throw denied(`${name} can write anywhere in memory and the token may only write to some paths`);
+  }
+
+  for (const path of Array.isArray(writes) ? writes : []) {
+    if (scope.write_prefixes && !scope.write_prefixes.some(pattern => covers(pattern, path))) {
+      throw denied(`writing '${path}' is outside the token's write prefixes (${scope.write_prefixes.join(', ')})`, path);
+    }
+    if (!canRead(scope, path)) {
+      throw denied(`'${path}' is denied`, path);
+    }
+  }
+  for (const path of reads) {
+    if (!canRead(scope, path)) {
+      throw denied(`'${path}' is denied`, path);
+    }
+  }
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function stringList(value, field, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+    throw new Error(`Token '${name}': ${field} must be a list of paths`);
+  }
+  return value;
+}
+
+// Parse and check a tokens file. Resolves to a Map of sha256(token) -> scope.
+export async function loadTokens(file) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read tokens file '${file}': ${error.message}`);
+  }
+  if (!config || !Array.isArray(config.tokens) || config.tokens.length === 0) {
+    throw new Error(`Tokens file '${file}' must hold a non-empty "tokens" list`);
+  }
+
+  const tokens = new Map();
+  for (const [index, entry] of config.tokens.entries()) {
+    const name = typeof entry?.name === 'string' && entry.name ? entry.name : `#${index + 1}`;
+    if (typeof entry?.token !== 'string' || entry.token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`Token '${name}': token must be a string of at least ${MIN_TOKEN_LENGTH} characters`);
+    }
+    if (entry.read_only !== undefined && typeof entry.read_only !== 'boolean') {
+      throw new Error(`Token '${name}': read_only must be true or false`);
+    }
+    const hash = hashToken(entry.token);
+    if (tokens.has(hash)) {
+      throw new Error(`Token '${name}': the same token is listed twice`);
+    }
+    tokens.set(hash, {
+      name,
+      read_only: entry.read_only === true,
+      write_prefixes: stringList(entry.write_prefixes, 'write_prefixes', name),
+      deny_paths: stringList(entry.deny_paths, 'deny_paths', name) || []
+    });
+  }
+  return tokens;
+}
+
+// Scope for an Authorization header value, or null if it carries no known bearer token
+export function authenticate(tokens, header) {
+  const match = typeof header === 'string' && header.match(/^Bearer[ \t]+(\S+)[ \t]*$/i);
+  return match ? tokens.get(hashToken(match[1])) ?? null : null;
+}
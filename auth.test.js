@@ -0,0 +1,110 @@
+/**
+ * Jest tests for bearer-token scopes
+ */
+
+import { promises as fs } from 'fs';
+import { loadTokens, authenticate, authorizeToolCall, canRead, isMutatingTool, AccessDeniedError } from './auth.js';
+
+const TOKENS_FILE = './memory-tokens.json';
+const FULL = 'full-access-token-0001';
+const READER = 'read-only-token-00002';
+const PLANNER = 'planner-token-0000003';
+
+async function writeTokens(tokens) {
+  await fs.writeFile(TOKENS_FILE, JSON.stringify({ tokens }));
+  return await loadTokens(TOKENS_FILE);
+}
+
+describe('Token Auth', () => {
+  let tokens;
+
+  beforeEach(async () => {
+    tokens = await writeTokens([
+      { name: 'main', token: FULL },
+      { name: 'sub-agent', token: READER, read_only: true, deny_paths: ['me'] },
+      { name: 'planner', token: PLANNER, write_prefixes: ['projects/'] }
+    ]);
+  });
+
+  afterAll(async () => {
+    await fs.rm(TOKENS_FILE, { force: true });
+  });
+
+  test('authenticates bearer tokens', () => {
+    expect(authenticate(tokens, `Bearer ${FULL}`)).toEqual({ name: 'main', read_only: false, write_prefixes: undefined, deny_paths: [] });
+    expect(authenticate(tokens, `bearer ${READER}`).name).toBe('sub-agent');
+    expect(authenticate(tokens, 'Bearer not-a-known-token-at-all')).toBeNull();
+    expect(authenticate(tokens, FULL)).toBeNull();
+    expect(authenticate(tokens, undefined)).toBeNull();
+  });
+
+  test('rejects malformed tokens files', async () => {
+    await expect(loadTokens('./no-such-tokens.json')).rejects.toThrow('Cannot read tokens file');
+    await expect(writeTokens([])).rejects.toThrow('non-empty "tokens" list');
+    await expect(writeTokens([{ name: 'short', token: 'abc' }])).rejects.toThrow("Token 'short': token must be a string of at least 16");
+    await expect(writeTokens([{ token: FULL }, { token: FULL }])).rejects.toThrow("Token '#2': the same token is listed twice");
+    await expect(writeTokens([{ name: 'bad', token: FULL, write_prefixes: 'projects/' }])).rejects.toThrow('write_prefixes must be a list of paths');
+    await expect(writeTokens([{ name: 'bad', token: FULL, read_only: 'yes' }])).rejects.toThrow('read_only must be true or false');
+  });
+
+  test('a full token and no token allow everything', () => {
+    const main = authenticate(tokens, `Bearer ${FULL}`);
+    for (const scope of [main, undefined]) {
+      expect(() => authorizeToolCall(scope, 'learn', { content: 'x', rationale: 'y' })).not.toThrow();
+      expect(() => authorizeToolCall(scope, 'move_entity', { from_path: 'a', to_path: 'b' })).not.toThrow();
+    }
+  });
+
+  test('a read-only token reads but never writes', () => {
+    const reader = authenticate(tokens, `Bearer ${READER}`);
+
+    expect(() => authorizeToolCall(reader, 'read_entity', { entity_path: 'projects/mcp' })).not.toThrow();
+    expect(() => authorizeToolCall(reader, 'search_entities', { query: 'x' })).not.toThrow();
+    expect(() => authorizeToolCall(reader, 'write_entity', { entity_path: 'projects/mcp', content: 'x' })).toThrow(AccessDeniedError);
+    expect(() => authorizeToolCall(reader, 'add_session_note', { note_type: 'context', content: 'x' })).toThrow('is read-only');
+    expect(() => authorizeToolCall(reader, 'some_future_tool', {})).toThrow('is read-only');
+  });
+
+  test('denied paths cover reads, writes and learn, however the path is spelled', () => {
+    const reader = authenticate(tokens, `Bearer ${READER}`);
+
+    for (const path of ['me', 'ME', '/me', 'projects/../me', './me']) {
+      expect(() => authorizeToolCall(reader, 'read_entity', { entity_path: path })).toThrow(`'${path}' is denied`);
+    }
+    expect(() => authorizeToolCall(reader, 'get_startup_context', {})).toThrow("'me' is denied");
+    expect(() => authorizeToolCall({ ...reader, read_only: false }, 'learn', { content: 'x', rationale: 'y' })).toThrow("'me' is denied");
+    expect(canRead(reader, 'me')).toBe(false);
+    expect(canRead(reader, 'memo')).toBe(true);
+    expect(canRead(reader, 'people/me')).toBe(true);
+  });
+
+  test('write prefixes limit every path a tool writes', () => {
+    const planner = authenticate(tokens, `Bearer ${PLANNER}`);
+
+    expect(() => authorizeToolCall(planner, 'write_entity', { entity_path: 'projects/mcp', content: 'x' })).not.toThrow();
+    expect(() => authorizeToolCall(planner, 'read_entity', { entity_path: 'me' })).not.toThrow();
+    expect(() => authorizeToolCall(planner, 'write_entity', { entity_path: 'projects/../me', content: 'x' })).toThrow('outside the token\'s write prefixes (projects/)');
+    expect(() => authorizeToolCall(planner, 'learn', { content: 'x', rationale: 'y' })).toThrow("writing 'me'");
+    // deep_learn also writes the anchors, the session and its archive
+    expect(() => authorizeToolCall(planner, 'deep_learn', { entities: [{ path: 'projects/mcp' }] })).toThrow("writing 'context_anchors'");
+    expect(() => authorizeToolCall(planner, 'move_entity', { from_path: 'projects/a', to_path: 'projects/b' })).toThrow('can write anywhere');
+    expect(() => authorizeToolCall(planner, 'restore_entity', { trash_id: 'abc' })).toThrow('can write anywhere');
+    expect(() => authorizeToolCall(planner, 'restore_entity', { trash_id: 'abc', restore_to: 'projects/old' })).not.toThrow();
+  });
+
+  test('session tools resolve the active session', () => {
+    const sessions = { name: 'sessions', read_only: false, write_prefixes: ['sessions/', 'session_archives/'], deny_paths: [] };
+
+    expect(() => authorizeToolCall(sessions, 'add_session_note', {}, { activeSession: 'research' })).not.toThrow();
+    expect(() => authorizeToolCall(sessions, 'add_session_note', {}, { activeSession: 'default' })).toThrow("writing 'current_session'");
+    expect(() => authorizeToolCall(sessions, 'restore_session', { session_id: 'research', archive_path: 'session_archives/x' })).not.toThrow();
+  });
+
+  test('knows which tools write', () => {
+    expect(isMutatingTool('read_entity')).toBe(false);
+    expect(isMutatingTool('switch_session')).toBe(false);
+    expect(isMutatingTool('learn')).toBe(true);
+    expect(isMutatingTool('reindex')).toBe(true);
+    expect(isMutatingTool('unknown_tool')).toBe(true);
+  });
+});
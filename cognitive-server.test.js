@@ -4,8 +4,13 @@
  */
 
 import { promises as fs } from 'fs';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ResourceUpdatedNotificationSchema, ResourceListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 import { CognitiveDevelopmentServer } from './src/cognitive-server.js';
-import { writeMemory } from './memory.js';
+import { writeMemory, readMemory } from './memory.js';
+import { DEFAULT_SERVER_CONFIG } from './server-config.js';
+import { isKnownTool } from './auth.js';
 
 describe('Cognitive Development MCP Server', () => {
   let cognitiveServer;
@@ -284,6 +289,634 @@ describe('Cognitive Development MCP Server', () => {
     });
   });
 
+  describe('entity frontmatter metadata', () => {
+    test('write_entity stamps created/updated and read_entity returns metadata separately', async () => {
+      await cognitiveServer.writeEntity({
+        entity_path: 'people/izzy',
+        content: '# Izzy\n\nProfile',
+        metadata: { type: 'person', tags: ['team'], aliases: ['Iz'], importance: 'high' }
+      });
+
+      const result = await cognitiveServer.readEntity({ entity_path: 'people/izzy' });
+
+      expect(result.content).toBe('# Izzy\n\nProfile');
+      expect(result.total_lines).toBe(3);
+      expect(result.metadata).toEqual({
+        type: 'person',
+        tags: ['team'],
+        aliases: ['Iz'],
+        importance: 'high',
+        created: expect.any(String),
+        updated: expect.any(String)
+      });
+
+      const raw = await fs.readFile('./memory/people/izzy.md', 'utf-8');
+      expect(raw.startsWith('---\ntype: person\n')).toBe(true);
+    });
+
+    test('write_entity without metadata keeps existing metadata', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/izzy', content: 'v1', metadata: { tags: ['team'] } });
+      await cognitiveServer.writeEntity({ entity_path: 'people/izzy', content: 'v2' });
+
+      const result = await cognitiveServer.readEntity({ entity_path: 'people/izzy' });
+      expect(result.content).toBe('v2');
+      expect(result.metadata.tags).toEqual(['team']);
+    });
+
+    test('deep_learn entities get metadata', async () => {
+      await cognitiveServer.deepLearn({
+        entities: [{ path: 'concepts/x', content: '# X', anchor_summary: 'X', metadata: { type: 'concept' } }]
+      });
+
+      const result = await cognitiveServer.readEntity({ entity_path: 'concepts/x' });
+      expect(result.metadata.type).toBe('concept');
+      expect(result.metadata.created).toBeDefined();
+    });
+
+    test('search line numbers match read_entity body lines', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/izzy', content: '# Izzy\n\nLikes chess', metadata: { type: 'person' } });
+
+      const search = await cognitiveServer.searchEntities({ query: 'chess' });
+      expect(search.results[0].hits[0].line).toBe(3);
+    });
+  });
+
+  describe('optimistic concurrency', () => {
+    test('read_entity returns a revision that write_entity can check', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: 'v1' });
+      const read = await cognitiveServer.readEntity({ entity_path: 'concepts/idea' });
+
+      const written = await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: 'v2', expected_revision: read.revision });
+      expect(written.revision).toBe((await cognitiveServer.readEntity({ entity_path: 'concepts/idea' })).revision);
+
+      await expect(cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: 'v3', expected_revision: read.revision }))
+        .rejects.toThrow('Conflict');
+      await expect(cognitiveServer.editEntity({ entity_path: 'concepts/idea', operation: 'append', content: 'x', expected_revision: read.revision }))
+        .rejects.toThrow('Conflict');
+      expect((await cognitiveServer.readEntity({ entity_path: 'concepts/idea' })).content).toBe('v2');
+    });
+
+    test('deep_learn checks every expected revision before writing any entity', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/a', content: 'A' });
+      const { revision } = await cognitiveServer.readEntity({ entity_path: 'concepts/a' });
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/a', content: 'A changed elsewhere' });
+
+      await expect(cognitiveServer.deepLearn({
+        entities: [
+          { path: 'concepts/new', content: 'New', anchor_summary: 'New' },
+          { path: 'concepts/a', content: 'A2', anchor_summary: 'A', expected_revision: revision }
+        ]
+      })).rejects.toThrow('Conflict');
+
+      expect(await cognitiveServer.listEntities({ filter_prefix: 'concepts/' })).toEqual(['concepts/a']);
+    });
+
+    test('concurrent session notes and reflections are all kept', async () => {
+      await Promise.all([
+        ...Array.from({ length: 5 }, (_, i) => cognitiveServer.addSessionNote({ note_type: 'context', content: `note ${i}` })),
+        ...Array.from({ length: 3 }, (_, i) => cognitiveServer.synthesisReflection({ reflection_type: 'daily', key_insights: [`insight ${i}`] }))
+      ]);
+
+      const session = await fs.readFile('./memory/current_session.md', 'utf-8');
+      const journal = await fs.readFile('./memory/dream_journal.md', 'utf-8');
+      for (let i = 0; i < 5; i++) {
+        expect(session).toContain(`note ${i}`);
+      }
+      for (let i = 0; i < 3; i++) {
+        expect(journal).toContain(`insight ${i}`);
+      }
+    });
+
+    test('conflicts reach MCP clients as InvalidRequest errors with both revisions', async () => {
+      const [serverTransport, clientTransport] = InMemoryTransport.createLinkedPair();
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await Promise.all([cognitiveServer.server.connect(serverTransport), client.connect(clientTransport)]);
+
+      await client.callTool({ name: 'write_entity', arguments: { entity_path: 'concepts/idea', content: 'v1' } });
+      const call = client.callTool({ name: 'write_entity', arguments: { entity_path: 'concepts/idea', content: 'v2', expected_revision: 'stale' } });
+
+      await expect(call).rejects.toMatchObject({ code: -32600, data: { conflict: true, path: 'concepts/idea', expected_revision: 'stale' } });
+      await client.close();
+    });
+  });
+
+  describe('session note tools', () => {
+    test('returns note ids that get, edit and delete use', async () => {
+      const added = await cognitiveServer.addSessionNote({ note_type: 'decision', content: 'Ship it', importance: 'high' });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Background' });
+
+      const today = new Date().toISOString().split('T')[0];
+      const decisions = await cognitiveServer.getSessionNotes({ note_type: 'decision', importance: 'high', since: today });
+      expect(decisions.notes).toEqual([expect.objectContaining({ id: added.note_id, content: 'Ship it', timestamp: added.timestamp })]);
+
+      await cognitiveServer.editSessionNote({ note_id: added.note_id, content: 'Ship it on Friday' });
+      expect((await cognitiveServer.getSessionNotes({ text: 'friday' })).notes[0].id).toBe(added.note_id);
+
+      await cognitiveServer.deleteSessionNote({ note_id: added.note_id });
+      expect((await cognitiveServer.getSessionNotes({})).notes.map(note => note.content)).toEqual(['Background']);
+    });
+
+    test('edit_session_note requires a change', async () => {
+      const added = await cognitiveServer.addSessionNote({ note_type: 'context', content: 'x' });
+      await expect(cognitiveServer.editSessionNote({ note_id: added.note_id })).rejects.toThrow('at least one of');
+    });
+  });
+
+  describe('named sessions', () => {
+    test('starts a session, switches to it and routes notes there', async () => {
+      const started = await cognitiveServer.startSession({ session_id: 'refactor-auth' });
+      expect(started).toMatchObject({ success: true, session_id: 'refactor-auth', active: true });
+
+      const result = await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Auth work' });
+
+      expect(result.session_id).toBe('refactor-auth');
+      expect(await fs.readFile('./memory/sessions/refactor-auth.md', 'utf-8')).toContain('Auth work');
+      await expect(fs.access('./memory/current_session.md')).rejects.toThrow();
+    });
+
+    test('session_id targets a session without switching', async () => {
+      await cognitiveServer.startSession({ session_id: 'docs', switch: false });
+
+      await cognitiveServer.addSessionNote({ note_type: 'insight', content: 'Docs insight', session_id: 'docs' });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Main context' });
+
+      expect(await fs.readFile('./memory/sessions/docs.md', 'utf-8')).toContain('Docs insight');
+      expect(await fs.readFile('./memory/current_session.md', 'utf-8')).not.toContain('Docs insight');
+      const listed = await cognitiveServer.listSessions();
+      expect(listed.active_session).toBe('default');
+      expect(listed.sessions.find(session => session.session_id === 'docs')).toMatchObject({ note_count: 1, active: false });
+    });
+
+    test('rejects notes and switches to unknown sessions', async () => {
+      await expect(cognitiveServer.addSessionNote({ note_type: 'context', content: 'x', session_id: 'missing' })).rejects.toThrow('Session not found');
+      await expect(cognitiveServer.switchSession({ session_id: 'missing' })).rejects.toThrow('Session not found');
+    });
+
+    test('switch_session changes the active session', async () => {
+      await cognitiveServer.startSession({ session_id: 'docs' });
+
+      const switched = await cognitiveServer.switchSession({ session_id: 'default' });
+
+      expect(switched).toMatchObject({ previous_session: 'docs', active_session: 'default', path: 'current_session' });
+    });
+
+    test('deep_learn archives and resets only the chosen session', async () => {
+      await cognitiveServer.startSession({ session_id: 'docs', switch: false });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'd'.repeat(250), session_id: 'docs' });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Main session stays' });
+
+      const result = await cognitiveServer.deepLearn({
+        entities: [{ path: 'concepts/docs', content: 'Docs', anchor_summary: 'Docs' }],
+        session_id: 'docs'
+      });
+
+      const today = new Date().toISOString().split('T')[0];
+      expect(result.session_id).toBe('docs');
+      expect(result.archive_path).toMatch(new RegExp(`^session_archives/docs/${today}-\\d{6}$`));
+      expect(await fs.readFile(`./memory/${result.archive_path}.md`, 'utf-8')).toContain('d'.repeat(250));
+      expect(await fs.readFile('./memory/sessions/docs.md', 'utf-8')).not.toContain('d'.repeat(250));
+      expect(await fs.readFile('./memory/current_session.md', 'utf-8')).toContain('Main session stays');
+    });
+  });
+
+  describe('session archive tools', () => {
+    test('restore_session reopens an archive, archiving the notes it replaces', async () => {
+      await cognitiveServer.addSessionNote({ note_type: 'decision', content: 'Old decision', importance: 'high' });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'o'.repeat(250) });
+      const learned = await cognitiveServer.deepLearn({ entities: [{ path: 'concepts/a', content: 'A', anchor_summary: 'A' }] });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Newer work' });
+
+      const listed = await cognitiveServer.listSessionArchives({});
+      expect(listed.archives.map(archive => archive.path)).toEqual([learned.archive_path]);
+      const found = await cognitiveServer.searchSessionArchives({ note_type: 'decision', importance: 'high' });
+      expect(found.matches.map(match => match.content)).toEqual(['Old decision']);
+
+      const restored = await cognitiveServer.restoreSession({ archive_path: learned.archive_path });
+
+      expect(restored).toMatchObject({ success: true, session_id: 'default', note_count: 2 });
+      expect(restored.archived_current_to).not.toBe(learned.archive_path);
+      const session = await fs.readFile('./memory/current_session.md', 'utf-8');
+      expect(session).toContain('Old decision');
+      expect(session).not.toContain('session_archive');
+      expect(await fs.readFile(`./memory/${restored.archived_current_to}.md`, 'utf-8')).toContain('Newer work');
+      expect(await fs.readFile(`./memory/${learned.archive_path}.md`, 'utf-8')).toContain('Old decision');
+    });
+
+    test('restore_session into an empty session archives nothing', async () => {
+      await fs.mkdir('./memory/session_archives', { recursive: true });
+      await fs.writeFile('./memory/session_archives/2024-01-01.md', '# Current Session\n\n### INSIGHT - LOW (2024-01-01T00:00:00.000Z)\nOld\n');
+
+      const restored = await cognitiveServer.restoreSession({ archive_path: 'session_archives/2024-01-01' });
+
+      expect(restored.archived_current_to).toBeNull();
+      expect(await fs.readFile('./memory/current_session.md', 'utf-8')).toContain('Old');
+      await expect(cognitiveServer.restoreSession({ archive_path: 'me' })).rejects.toThrow('Not a session archive');
+    });
+  });
+
+  describe('deep_learn transactions', () => {
+    test('same-day runs archive to separate files with metadata', async () => {
+      const paths = [];
+      for (const name of ['a', 'b']) {
+        await cognitiveServer.addSessionNote({ note_type: 'context', content: name.repeat(250) });
+        paths.push((await cognitiveServer.deepLearn({ entities: [{ path: `concepts/${name}`, content: name, anchor_summary: `Summary ${name}` }] })).archive_path);
+      }
+
+      expect(paths[0]).not.toBe(paths[1]);
+      const { archives } = await cognitiveServer.listSessionArchives({});
+      expect(archives.map(archive => [archive.path, archive.entities, archive.anchors])).toEqual([
+        [paths[1], ['concepts/b'], ['concepts/b: Summary b']],
+        [paths[0], ['concepts/a'], ['concepts/a: Summary a']]
+      ]);
+      expect(await fs.readFile(`./memory/${paths[0]}.md`, 'utf-8')).toContain('a'.repeat(250));
+    });
+
+    test('reports every committed step', async () => {
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'x'.repeat(250) });
+
+      const result = await cognitiveServer.deepLearn({ entities: [{ path: 'concepts/a', content: 'A', anchor_summary: 'A' }] });
+
+      expect(result.steps.map(step => [step.step, step.status])).toEqual([
+        ['entity:concepts/a', 'committed'],
+        ['context_anchors', 'committed'],
+        ['session_reset', 'committed'],
+        ['session_archive', 'committed']
+      ]);
+    });
+
+    test('rolls back earlier steps when a later one fails', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/a', content: 'Original A' });
+
+      const call = cognitiveServer.deepLearn({
+        entities: [
+          { path: 'concepts/a', content: 'Rewritten A', anchor_summary: 'A' },
+          { path: '../escape', content: 'Nope', anchor_summary: 'Escape' }
+        ]
+      });
+
+      await expect(call).rejects.toThrow('deep_learn failed at step \'entity:../escape\'');
+      const error = await call.catch(e => e);
+      expect(error.steps).toEqual([{ step: 'entity:concepts/a', path: 'concepts/a', status: 'rolled_back' }]);
+      expect((await cognitiveServer.readEntity({ entity_path: 'concepts/a' })).content).toBe('Original A');
+      await expect(fs.access('./memory/context_anchors.md')).rejects.toThrow();
+    });
+  });
+
+  describe('edit_entity tool', () => {
+    test('edits a section without touching the rest of the entity', async () => {
+      await cognitiveServer.writeEntity({
+        entity_path: 'projects/site',
+        content: '# Site\n\n## Status (Q1)\nPlanning\n\n## Team\nIzzy\n',
+        metadata: { tags: ['web'] }
+      });
+
+      const result = await cognitiveServer.editEntity({ entity_path: 'projects/site', operation: 'replace_section', heading: 'Status (Q1)', content: 'Shipped' });
+
+      expect(result.success).toBe(true);
+      const entity = await cognitiveServer.readEntity({ entity_path: 'projects/site' });
+      expect(entity.content).toBe('# Site\n\n## Status (Q1)\nShipped\n\n## Team\nIzzy\n');
+      expect(entity.metadata.tags).toEqual(['web']);
+
+      const history = await cognitiveServer.entityHistory({ entity_path: 'projects/site' });
+      expect(history.revisions[0].source).toBe('edit_entity');
+    });
+
+    test('appends and find/replaces with a count check', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'notes/log', content: 'todo: a\ntodo: b' });
+
+      await cognitiveServer.editEntity({ entity_path: 'notes/log', operation: 'append', content: 'todo: c' });
+      await expect(cognitiveServer.editEntity({ entity_path: 'notes/log', operation: 'find_replace', find: 'todo', replace: 'done', expected_count: 2 }))
+        .rejects.toThrow('found 3');
+
+      const result = await cognitiveServer.editEntity({ entity_path: 'notes/log', operation: 'find_replace', find: 'todo', replace: 'done', expected_count: 3 });
+      expect(result.replacements).toBe(3);
+      expect((await cognitiveServer.readEntity({ entity_path: 'notes/log' })).content).toBe('done: a\ndone: b\ndone: c');
+    });
+
+    test('fails on a missing entity', async () => {
+      await expect(cognitiveServer.editEntity({ entity_path: 'notes/missing', operation: 'append', content: 'x' })).rejects.toThrow();
+    });
+  });
+
+  describe('move_entity and rename_entity tools', () => {
+    beforeEach(async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/old-idea', content: '# Old Idea\n\nRelated: [sibling](./sibling.md)' });
+      await cognitiveServer.writeEntity({ entity_path: 'people/john-doe', content: 'Thinks about [[concepts/old-idea]] a lot.' });
+      await writeMemory('context_anchors', '# Context Anchors\n\n- **concepts/old-idea**: An old idea\n');
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Working on concepts/old-idea today' });
+    });
+
+    test('moves the file and rewrites references everywhere', async () => {
+      const result = await cognitiveServer.moveEntity({ from_path: 'concepts/old-idea', to_path: 'patterns/new-idea' });
+
+      expect(result.success).toBe(true);
+      expect(result.references_updated.sort()).toEqual(['context_anchors', 'current_session', 'people/john-doe']);
+
+      const entities = await cognitiveServer.listEntities({});
+      expect(entities).toContain('patterns/new-idea');
+      expect(entities).not.toContain('concepts/old-idea');
+
+      const moved = await cognitiveServer.readEntity({ entity_path: 'patterns/new-idea' });
+      expect(moved.content).toContain('[sibling](../concepts/sibling.md)');
+
+      const john = await cognitiveServer.readEntity({ entity_path: 'people/john-doe' });
+      expect(john.content).toBe('Thinks about [[patterns/new-idea]] a lot.');
+
+      const anchors = await fs.readFile('./memory/context_anchors.md', 'utf-8');
+      expect(anchors).toContain('- **patterns/new-idea**: An old idea');
+
+      const session = await fs.readFile('./memory/current_session.md', 'utf-8');
+      expect(session).toContain('Working on patterns/new-idea today');
+
+      const backlinks = await cognitiveServer.getBacklinks({ entity_path: 'patterns/new-idea' });
+      expect(backlinks.backlinks).toEqual(['people/john-doe']);
+    });
+
+    test('rename keeps the entity in its folder', async () => {
+      const result = await cognitiveServer.renameEntity({ entity_path: 'concepts/old-idea', new_name: 'better-idea' });
+
+      expect(result.to).toBe('concepts/better-idea');
+      const john = await cognitiveServer.readEntity({ entity_path: 'people/john-doe' });
+      expect(john.content).toContain('[[concepts/better-idea]]');
+    });
+
+    test('rejects invalid destinations', async () => {
+      await expect(cognitiveServer.moveEntity({ from_path: 'concepts/old-idea', to_path: '../escape' }))
+        .rejects.toThrow('escapes memory directory');
+      await expect(cognitiveServer.moveEntity({ from_path: 'concepts/old-idea', to_path: 'people/john-doe' }))
+        .rejects.toThrow('already exists');
+      await expect(cognitiveServer.renameEntity({ entity_path: 'concepts/old-idea', new_name: 'a/b' }))
+        .rejects.toThrow('without \'/\'');
+    });
+  });
+
+  describe('delete_entity, restore_entity and purge_trash tools', () => {
+    test('deletes to the trash and reports dangling backlinks', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea' });
+      await cognitiveServer.writeEntity({ entity_path: 'people/john-doe', content: 'Likes [[concepts/idea]].' });
+
+      const result = await cognitiveServer.deleteEntity({ entity_path: 'concepts/idea' });
+
+      expect(result.success).toBe(true);
+      expect(result.dangling_backlinks).toEqual(['people/john-doe']);
+      expect(await cognitiveServer.listEntities({})).toEqual(['people/john-doe']);
+      const search = await cognitiveServer.searchEntities({ query: 'idea' });
+      expect(search.results.map(hit => hit.path)).toEqual(['people/john-doe']);
+
+      const trash = await cognitiveServer.listTrash();
+      expect(trash.items.map(item => item.path)).toEqual(['concepts/idea']);
+    });
+
+    test('restores a deleted entity with its metadata', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea', metadata: { tags: ['kept'] } });
+      await cognitiveServer.deleteEntity({ entity_path: 'concepts/idea' });
+
+      const restored = await cognitiveServer.restoreEntity({ entity_path: 'concepts/idea' });
+
+      expect(restored.restored_to).toBe('concepts/idea');
+      const entity = await cognitiveServer.readEntity({ entity_path: 'concepts/idea' });
+      expect(entity.content).toBe('# Idea');
+      expect(entity.metadata.tags).toEqual(['kept']);
+      expect((await cognitiveServer.listTrash()).total).toBe(0);
+    });
+
+    test('purges the trash permanently', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea' });
+      await cognitiveServer.deleteEntity({ entity_path: 'concepts/idea' });
+
+      const result = await cognitiveServer.purgeTrash({ all: true });
+
+      expect(result.purged.map(item => item.path)).toEqual(['concepts/idea']);
+      await expect(cognitiveServer.restoreEntity({ entity_path: 'concepts/idea' })).rejects.toThrow('No trashed entity found');
+    });
+  });
+
+  describe('entity history tools', () => {
+    test('records which tool made each change and reverts a clobbered entity', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea\n\nCarefully written.' });
+      await cognitiveServer.deepLearn({ entities: [{ path: 'concepts/idea', content: '# Idea\n\nOverwritten.', anchor_summary: 'Idea' }] });
+
+      const history = await cognitiveServer.entityHistory({ entity_path: 'concepts/idea' });
+      expect(history.revisions.map(entry => entry.source)).toEqual(['deep_learn', 'write_entity']);
+
+      const original = history.revisions[1].revision;
+      const version = await cognitiveServer.readEntityVersion({ entity_path: 'concepts/idea', revision: original.slice(0, 10), offset: 2 });
+      expect(version.content).toBe('Carefully written.');
+      expect(version.total_lines).toBe(3);
+
+      const result = await cognitiveServer.revertEntity({ entity_path: 'concepts/idea', revision: original });
+      expect(result.success).toBe(true);
+      const entity = await cognitiveServer.readEntity({ entity_path: 'concepts/idea' });
+      expect(entity.content).toBe('# Idea\n\nCarefully written.');
+    });
+
+    test('tracks learn changes to me.md', async () => {
+      await cognitiveServer.learn({ section: 'Style', content: 'Be brief', rationale: 'Feedback' });
+      await cognitiveServer.learn({ section: 'Style', content: 'Be thorough', rationale: 'Feedback' });
+
+      const history = await cognitiveServer.entityHistory({ entity_path: 'me' });
+      expect(history.total).toBe(2);
+      expect(history.revisions.every(entry => entry.source === 'learn')).toBe(true);
+    });
+
+    test('learn replaces its section without touching the next heading', async () => {
+      await cognitiveServer.learn({ section: 'Style', content: 'Be brief', rationale: 'Feedback' });
+      const me = await fs.readFile('./memory/me.md', 'utf-8');
+      await fs.writeFile('./memory/me.md', me.replace(/\n---\n+$/, '\n## Other Section\nKeep me.\n'));
+
+      const result = await cognitiveServer.learn({ section: 'Style', content: 'Be thorough', rationale: 'Feedback' });
+
+      const updated = await fs.readFile('./memory/me.md', 'utf-8');
+      expect(result.action).toBe('replaced');
+      expect(updated).toContain('Be thorough\n\n---\n\n## Other Section\nKeep me.\n');
+      expect(updated).not.toContain('Be brief');
+      expect(updated.match(/### Style/g)).toHaveLength(1);
+    });
+  });
+
+  describe('entity_diff tool', () => {
+    beforeEach(async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea\n\nFirst draft.', metadata: { tags: ['draft'] } });
+    });
+
+    test('previews proposed content without writing it', async () => {
+      const result = await cognitiveServer.entityDiff({ entity_path: 'concepts/idea', content: '# Idea\n\nSecond draft.', metadata: { tags: ['final'] } });
+
+      expect(result).toMatchObject({ from: 'current', to: 'proposed', changed: true, added: 1, removed: 1 });
+      expect(result.diff).toContain('-First draft.\n+Second draft.');
+      expect(result.metadata_changes).toEqual([{ field: 'tags', from: ['draft'], to: ['final'] }]);
+      expect((await cognitiveServer.readEntity({ entity_path: 'concepts/idea' })).content).toBe('# Idea\n\nFirst draft.');
+    });
+
+    test('compares revisions with line numbers matching read_entity', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/idea', content: '# Idea\n\nFirst draft.\nMore detail.' });
+      const [, first] = (await cognitiveServer.entityHistory({ entity_path: 'concepts/idea' })).revisions;
+
+      const result = await cognitiveServer.entityDiff({ entity_path: 'concepts/idea', from_revision: first.revision, format: 'lines' });
+
+      expect(result.changes).toEqual([{ type: 'insert', text: 'More detail.', old_line: null, new_line: 4 }]);
+      expect(result.metadata_changes).toEqual([]);
+    });
+
+    test('requires something to compare', async () => {
+      await expect(cognitiveServer.entityDiff({ entity_path: 'concepts/idea' })).rejects.toThrow('Specify from_revision');
+      await expect(cognitiveServer.entityDiff({ entity_path: 'concepts/missing', from_revision: 'abcdefg' })).rejects.toThrow('Revision not found');
+    });
+  });
+
+  describe('get_startup_context tool', () => {
+    test('bundles me.md, the session tail and anchored entities in one call', async () => {
+      await cognitiveServer.learn({ section: 'Communication Style', content: 'Be direct.', rationale: 'Asked for it' });
+      await cognitiveServer.deepLearn({ entities: [{ path: 'projects/main', content: '# Main\n\nThe main project.', anchor_summary: 'Main project' }] });
+      await cognitiveServer.addSessionNote({ note_type: 'decision', content: 'Ship Friday', importance: 'high' });
+
+      const context = await cognitiveServer.getStartupContext({ max_tokens: 2000 });
+
+      expect(context.session_id).toBe('default');
+      expect(context.me.content).toContain('Be direct.');
+      expect(context.session.content).toContain('Ship Friday');
+      expect(context.anchors.included.map(anchor => anchor.path)).toEqual(['projects/main']);
+      expect(context.entities[0]).toMatchObject({ path: 'projects/main', content: '# Main\n\nThe main project.' });
+      expect(context.budget.max_chars).toBe(8000);
+    });
+  });
+
+  describe('MCP resources', () => {
+    let client;
+
+    beforeEach(async () => {
+      const [serverTransport, clientTransport] = InMemoryTransport.createLinkedPair();
+      client = new Client({ name: 'test-client', version: '1.0.0' });
+      await Promise.all([cognitiveServer.server.connect(serverTransport), client.connect(clientTransport)]);
+    });
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    test('lists and reads entities as memory:// resources', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/john-doe', content: '# John' });
+
+      const { resources } = await client.listResources();
+      expect(resources.map(resource => resource.uri)).toEqual(['memory://people/john-doe']);
+
+      const { contents } = await client.readResource({ uri: 'memory://people/john-doe' });
+      expect(contents[0]).toMatchObject({ uri: 'memory://people/john-doe', mimeType: 'text/markdown' });
+      expect(contents[0].text).toContain('# John');
+
+      const { resourceTemplates } = await client.listResourceTemplates();
+      expect(resourceTemplates.map(template => template.uriTemplate)).toContain('memory://people/{+name}');
+    });
+
+    test('reports unknown and invalid resources', async () => {
+      await expect(client.readResource({ uri: 'memory://people/nobody' })).rejects.toMatchObject({ code: -32002 });
+      await expect(client.readResource({ uri: 'memory://../secrets' })).rejects.toMatchObject({ code: -32602 });
+    });
+
+    test('notifies subscribers when an entity changes', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'me', content: 'v1' });
+      const updated = [];
+      let listChanged = 0;
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => updated.push(notification.params.uri));
+      client.setNotificationHandler(ResourceListChangedNotificationSchema, () => listChanged++);
+
+      await client.subscribeResource({ uri: 'memory://me' });
+      await client.callTool({ name: 'write_entity', arguments: { entity_path: 'me', content: 'v2' } });
+      await client.callTool({ name: 'write_entity', arguments: { entity_path: 'people/new', content: 'New' } });
+      await client.unsubscribeResource({ uri: 'memory://me' });
+      await client.callTool({ name: 'write_entity', arguments: { entity_path: 'me', content: 'v3' } });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(updated).toEqual(['memory://me']);
+      expect(listChanged).toBe(1);
+    });
+  });
+
+  describe('server configuration', () => {
+    let client;
+
+    const connect = async config => {
+      const [serverTransport, clientTransport] = InMemoryTransport.createLinkedPair();
+      client = new Client({ name: 'test-client', version: '1.0.0' });
+      await Promise.all([new CognitiveDevelopmentServer({ config }).server.connect(serverTransport), client.connect(clientTransport)]);
+      return client;
+    };
+
+    afterEach(async () => {
+      await client?.close();
+    });
+
+    test('classifies every tool for access control', async () => {
+      const { tools } = await (await connect(DEFAULT_SERVER_CONFIG)).listTools();
+      for (const tool of tools) {
+        expect(isKnownTool(tool.name)).toBe(true);
+      }
+    });
+
+    test('read-only mode advertises and runs only read_entity and list_entities', async () => {
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Keep me' });
+      const readOnly = await connect({ ...DEFAULT_SERVER_CONFIG, read_only: true });
+
+      expect((await readOnly.listTools()).tools.map(tool => tool.name).sort()).toEqual(['list_entities', 'read_entity']);
+
+      await expect(readOnly.callTool({ name: 'deep_learn', arguments: { entities: [] } }))
+        .rejects.toMatchObject({ code: -32600, data: { disabled: true, tool: 'deep_learn', read_only: true } });
+      expect(await readMemory('current_session')).toContain('Keep me');
+      await expect(readOnly.callTool({ name: 'search_entities', arguments: { query: 'Keep' } }))
+        .rejects.toMatchObject({ code: -32600, data: { disabled: true, tool: 'search_entities', read_only: true } });
+      const result = await readOnly.callTool({ name: 'list_entities', arguments: {} });
+      expect(result.isError).toBeFalsy();
+    });
+
+    test('read-only mode with an enabled list offers the listed read tools', async () => {
+      const readOnly = await connect({ ...DEFAULT_SERVER_CONFIG, read_only: true, enabled_tools: ['read_entity', 'search_entities', 'deep_learn'] });
+
+      expect((await readOnly.listTools()).tools.map(tool => tool.name).sort()).toEqual(['read_entity', 'search_entities']);
+    });
+
+    test('hides and refuses disabled tools', async () => {
+      const restricted = await connect({ ...DEFAULT_SERVER_CONFIG, disabled_tools: ['learn'] });
+
+      expect((await restricted.listTools()).tools.map(tool => tool.name)).not.toContain('learn');
+      await expect(restricted.callTool({ name: 'learn', arguments: { content: 'x', rationale: 'y' } }))
+        .rejects.toMatchObject({ code: -32600, data: { disabled: true, read_only: false } });
+    });
+  });
+
+  describe('MCP prompts', () => {
+    let client;
+
+    beforeEach(async () => {
+      const [serverTransport, clientTransport] = InMemoryTransport.createLinkedPair();
+      client = new Client({ name: 'test-client', version: '1.0.0' });
+      await Promise.all([cognitiveServer.server.connect(serverTransport), client.connect(clientTransport)]);
+    });
+
+    afterEach(async () => {
+      await client.close();
+    });
+
+    test('lists the protocol prompts', async () => {
+      const { prompts } = await client.listPrompts();
+      expect(prompts.map(prompt => prompt.name)).toEqual(['deep_learn_protocol', 'learn_protocol', 'dream_protocol']);
+    });
+
+    test('embeds the named session in a prompt', async () => {
+      await cognitiveServer.startSession({ session_id: 'research' });
+      await cognitiveServer.addSessionNote({ note_type: 'context', content: 'Reading papers', session_id: 'research' });
+
+      const { messages } = await client.getPrompt({ name: 'deep_learn_protocol', arguments: { session_id: 'research' } });
+
+      expect(messages[1].content.resource.uri).toBe('memory://sessions/research');
+      expect(messages[1].content.resource.text).toContain('Reading papers');
+    });
+
+    test('reports unknown prompts and sessions as invalid params', async () => {
+      await expect(client.getPrompt({ name: 'nope' })).rejects.toMatchObject({ code: -32602 });
+      await expect(client.getPrompt({ name: 'learn_protocol', arguments: { session_id: 'missing' } })).rejects.toMatchObject({ code: -32602 });
+    });
+  });
+
   describe('list_entities tool', () => {
     beforeEach(async () => {
       // Set up test entities across different categories
@@ -360,6 +993,131 @@ describe('Cognitive Development MCP Server', () => {
     });
   });
 
+  describe('query_entities tool', () => {
+    test('filters by tag and returns summaries sorted by last modified', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/izzy', content: '# Izzy\n\nLead', metadata: { tags: ['team'] } });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await cognitiveServer.writeEntity({ entity_path: 'projects/mcp', content: '# MCP', metadata: { tags: ['team'], type: 'project' } });
+      await cognitiveServer.writeEntity({ entity_path: 'concepts/other', content: '# Other' });
+
+      const result = await cognitiveServer.queryEntities({ tags: ['team'] });
+
+      expect(result.total_results).toBe(2);
+      expect(result.results.map(e => e.path)).toEqual(['projects/mcp', 'people/izzy']);
+      expect(result.results[1]).toMatchObject({ title: 'Izzy', type: 'people', line_count: 3 });
+      expect(result.results[0].type).toBe('project');
+    });
+  });
+
+  describe('search_entities tool', () => {
+    beforeEach(async () => {
+      await cognitiveServer.writeEntity({
+        entity_path: 'people/izzy',
+        content: '# Izzy\n\nPrefers small code review batches.'
+      });
+      await cognitiveServer.writeEntity({
+        entity_path: 'projects/mcp-servers',
+        content: '# MCP Servers\n\nCode review tooling lives here.\nMore code review notes.'
+      });
+    });
+
+    test('returns ranked hits with line numbers and context', async () => {
+      const result = await cognitiveServer.searchEntities({ query: 'code review', context_lines: 1 });
+
+      expect(result.total_results).toBe(2);
+      expect(result.results[0].path).toBe('projects/mcp-servers');
+      expect(result.results[0].hits[0]).toEqual({
+        line: 3,
+        text: 'Code review tooling lives here.',
+        before: [''],
+        after: ['More code review notes.']
+      });
+    });
+
+    test('respects filter_prefix', async () => {
+      const result = await cognitiveServer.searchEntities({ query: 'review', filter_prefix: 'people/' });
+
+      expect(result.results.map(r => r.path)).toEqual(['people/izzy']);
+    });
+
+    test('supports regex mode', async () => {
+      const result = await cognitiveServer.searchEntities({ query: 'small \\w+ review', mode: 'regex' });
+
+      expect(result.results.map(r => r.path)).toEqual(['people/izzy']);
+    });
+  });
+
+  describe('recall tool', () => {
+    test('finds an entity by meaning and returns its best chunk', async () => {
+      await cognitiveServer.writeEntity({
+        entity_path: 'people/izzy',
+        content: '# Izzy\n\nPrefers small PRs and kind, thorough reviewing of code.'
+      });
+      await cognitiveServer.writeEntity({
+        entity_path: 'projects/deploy',
+        content: '# Deploy\n\nBlue/green rollout.'
+      });
+
+      const result = await cognitiveServer.recall({ query: 'how Izzy likes code reviews' });
+
+      expect(result.results.map(r => r.path)).toEqual(['people/izzy']);
+      expect(result.results[0].chunk.text).toContain('thorough reviewing of code');
+    });
+
+    test('includes entities created by deep_learn', async () => {
+      await cognitiveServer.deepLearn({
+        entities: [{ path: 'concepts/pairing', content: '# Pairing\n\nDriver and navigator swap often.', anchor_summary: 'Pairing' }]
+      });
+
+      const result = await cognitiveServer.recall({ query: 'navigators swapping' });
+      expect(result.results[0].path).toBe('concepts/pairing');
+    });
+  });
+
+  describe('link graph tools', () => {
+    beforeEach(async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/john-doe', content: 'Works on [[projects/mcp-servers]] and [[projects/ghost]]' });
+      await cognitiveServer.writeEntity({ entity_path: 'projects/mcp-servers', content: '# MCP Servers' });
+    });
+
+    test('get_links and get_backlinks reflect entity references', async () => {
+      const links = await cognitiveServer.getLinks({ entity_path: 'people/john-doe' });
+      expect(links.dangling).toEqual(['projects/ghost']);
+
+      const backlinks = await cognitiveServer.getBacklinks({ entity_path: 'projects/mcp-servers' });
+      expect(backlinks.backlinks).toEqual(['people/john-doe']);
+    });
+
+    test('get_neighborhood defaults to one hop', async () => {
+      const result = await cognitiveServer.getNeighborhood({ entity_path: 'projects/mcp-servers' });
+
+      expect(result.depth).toBe(1);
+      expect(result.nodes.map(n => n.path)).toEqual(['projects/mcp-servers', 'people/john-doe']);
+    });
+
+    test('get_dangling_links reports links to missing entities', async () => {
+      const result = await cognitiveServer.getDanglingLinks();
+
+      expect(result.dangling).toEqual([{ from: 'people/john-doe', to: 'projects/ghost' }]);
+    });
+  });
+
+  describe('reindex tool', () => {
+    test('rebuilds the search index including files written outside the server', async () => {
+      await cognitiveServer.writeEntity({ entity_path: 'people/izzy', content: '# Izzy' });
+      await fs.writeFile('./memory/people/outside.md', 'Written directly to disk');
+
+      const result = await cognitiveServer.reindex();
+
+      expect(result.success).toBe(true);
+      expect(result.entities).toBe(2);
+      expect(result.chunks).toBe(2);
+
+      const search = await cognitiveServer.searchEntities({ query: 'directly' });
+      expect(search.results.map(r => r.path)).toEqual(['people/outside']);
+    });
+  });
+
   describe('synthesis_reflection dream journal tool', () => {
     test('appends daily reflection to dream journal', async () => {
       const keyInsights = [
@@ -526,6 +1284,21 @@ describe('Cognitive Development MCP Server', () => {
       expect(journalContent).toContain('## Context from Anchors');
       expect(journalContent).toContain('Active entities: 3 referenced');
     });
+
+    test('counts anchors in the format deep_learn writes', async () => {
+      await cognitiveServer.deepLearn({
+        entities: [
+          { path: 'concepts/a', content: 'A', anchor_summary: 'A' },
+          { path: 'concepts/b', content: 'B', anchor_summary: 'B' }
+        ]
+      });
+      await cognitiveServer.pinAnchor({ entity_path: 'concepts/b' });
+
+      await cognitiveServer.synthesisReflection({ reflection_type: 'daily', key_insights: ['Anchored'] });
+
+      const journalContent = await fs.readFile('./memory/dream_journal.md', 'utf-8');
+      expect(journalContent).toContain('Active entities: 2 referenced (pinned: concepts/b)');
+    });
   });
 
   describe('deep_learn tool', () => {
@@ -572,10 +1345,19 @@ describe('Cognitive Development MCP Server', () => {
 
       const anchors = await fs.readFile('./memory/context_anchors.md', 'utf-8');
       expect(anchors).toContain('# Context Anchors');
-      expect(anchors).toContain('## Deep Learn Session');
       expect(anchors).toContain('- **concepts/anchor-test**: Test anchor integration');
     });
 
+    test('repeated deep_learns refresh an entity\'s anchor instead of duplicating it', async () => {
+      await cognitiveServer.deepLearn({ entities: [{ path: 'concepts/a', content: 'A', anchor_summary: 'First take' }] });
+      await cognitiveServer.pinAnchor({ entity_path: 'concepts/a' });
+      await cognitiveServer.deepLearn({ entities: [{ path: 'concepts/a', content: 'A2', anchor_summary: 'Second take' }] });
+
+      const { anchors } = await cognitiveServer.getAnchors({});
+
+      expect(anchors).toEqual([expect.objectContaining({ path: 'concepts/a', summary: 'Second take', pinned: true })]);
+    });
+
     test('resets current_session with proper message', async () => {
       // Create initial session content
       await cognitiveServer.addSessionNote({
@@ -619,8 +1401,8 @@ describe('Cognitive Development MCP Server', () => {
       await cognitiveServer.deepLearn({ entities });
 
       const anchors = await fs.readFile('./memory/context_anchors.md', 'utf-8');
+      expect(anchors).toContain('- **/existing/path**: Existing Anchor');
       expect(anchors).toContain('## Existing Anchor');
-      expect(anchors).toContain('## Deep Learn Session');
       expect(anchors).toContain('**concepts/new-anchor**: New anchor added');
     });
 
@@ -693,6 +1475,17 @@ Other content
       expect(meContent).toContain('### Other Section'); // Preserves other sections
     });
 
+    test('treats section names with regex metacharacters literally', async () => {
+      await writeMemory('me', '# Base Instructions (me.md)\n\n### C++ (and C#) Style\n\nOld advice\n\n---\n');
+
+      const result = await cognitiveServer.learn({ section: 'C++ (and C#) Style', content: 'New advice', rationale: 'Feedback' });
+
+      expect(result.action).toBe('replaced');
+      const meContent = await fs.readFile('./memory/me.md', 'utf-8');
+      expect(meContent).toContain('New advice');
+      expect(meContent).not.toContain('Old advice');
+    });
+
     test('appends new section to existing me.md', async () => {
       const initialMe = `# Base Instructions (me.md)
 
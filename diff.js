@@ -0,0 +1,154 @@
+/**
+ * Line diffs between two texts
+ * Myers' O((N+M)D) algorithm over lines, rendered as unified diff hunks or a list of changed lines
+ */
+
+// Beyond this many edits, shortestEdit gives up and reports every line it was given as deleted and then
+// inserted, bounding time and memory. diffLines trims the common prefix and suffix first, so that is the
+// changed middle of the texts.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Shortest edit script between two line arrays, as [{ type: 'equal' | 'delete' | 'insert', text }]
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Snapshot of the furthest x per diagonal k in [-d, d] after the previous round
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace, d);
+      }
+    }
+  }
+
+  return [
+    ...a.map(text => ({ type: 'delete', text })),
+    ...b.map(text => ({ type: 'insert', text }))
+  ];
+}
+
+function backtrack(a, b, trace, distance) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = distance; d > 0; d--) {
+    const previous = trace[d];
+    const at = k => previous[k + d];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', text: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', text: b[--y] });
+    } else {
+      ops.push({ type: 'delete', text: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', text: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+// Line-level diff of two texts: [{ type, text, old_line, new_line }] with 1-based line numbers
+export function diffLines(oldText, newText) {
+  const a = oldText === '' ? [] : oldText.split('\n');
+  const b = newText === '' ? [] : newText.split('\n');
+
+  // Common prefix and suffix never need the edit search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...shortestEdit(a.slice(start, a.length - end), b.slice(start, b.length - end)),
+    ...a.slice(a.length - end).map(text => ({ type: 'equal', text }))
+  ];
+
+  let oldLine = 0;
+  let newLine = 0;
+  return ops.map(op => ({
+    type: op.type,
+    text: op.text,
+    old_line: op.type === 'insert' ? null : ++oldLine,
+    new_line: op.type === 'delete' ? null : ++newLine
+  }));
+}
+
+// Count of added and removed lines
+export function diffStats(lines) {
+  return {
+    added: lines.filter(line => line.type === 'insert').length,
+    removed: lines.filter(line => line.type === 'delete').length
+  };
+}
+
+function hunkRange(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+// Render diffLines output as a unified diff with `context` unchanged lines around each change
+export function formatUnifiedDiff(lines, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+  const changed = lines.map((line, index) => (line.type === 'equal' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= 2 * context + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    const slice = lines.slice(Math.max(0, hunk.start - context), Math.min(lines.length, hunk.end + context + 1));
+    const oldLines = slice.filter(line => line.type !== 'insert');
+    const newLines = slice.filter(line => line.type !== 'delete');
+    // An empty side points at the line before the hunk, as in GNU diff
+    const lineBefore = (side) => lines.slice(0, lines.indexOf(slice[0])).filter(line => line[side] !== null).length;
+    const oldStart = oldLines.length ? oldLines[0].old_line : lineBefore('old_line');
+    const newStart = newLines.length ? newLines[0].new_line : lineBefore('new_line');
+
+    output.push(`@@ -${hunkRange(oldStart, oldLines.length)} +${hunkRange(newStart, newLines.length)} @@`);
+    for (const line of slice) {
+      output.push(`${line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' '}${line.text}`);
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
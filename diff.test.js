@@ -0,0 +1,52 @@
+/**
+ * Jest tests for line diffs
+ */
+
+import { diffLines, diffStats, formatUnifiedDiff } from './diff.js';
+
+describe('Line Diff', () => {
+  test('numbers lines on both sides', () => {
+    const lines = diffLines('a\nb\nc', 'a\nB\nc\nd');
+
+    expect(lines.filter(line => line.type !== 'equal')).toEqual([
+      { type: 'delete', text: 'b', old_line: 2, new_line: null },
+      { type: 'insert', text: 'B', old_line: null, new_line: 2 },
+      { type: 'insert', text: 'd', old_line: null, new_line: 4 }
+    ]);
+    expect(diffStats(lines)).toEqual({ added: 2, removed: 1 });
+  });
+
+  test('finds a minimal edit for moved blocks', () => {
+    const stats = diffStats(diffLines('x\na\nb\nc\ny', 'a\nb\nc\nx\ny'));
+
+    expect(stats).toEqual({ added: 1, removed: 1 });
+  });
+
+  test('renders unified hunks with context and merges nearby changes', () => {
+    const before = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`).join('\n');
+    const after = before.replace('line 2', 'line two').replace('line 11', 'line eleven');
+
+    expect(formatUnifiedDiff(diffLines(before, after), { fromLabel: 'a/x', toLabel: 'b/x', context: 1 })).toBe([
+      '--- a/x',
+      '+++ b/x',
+      '@@ -1,3 +1,3 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      '@@ -10,3 +10,3 @@',
+      ' line 10',
+      '-line 11',
+      '+line eleven',
+      ' line 12',
+      ''
+    ].join('\n'));
+
+    expect(formatUnifiedDiff(diffLines(before, after), { context: 4 }).match(/^@@/gm)).toHaveLength(1);
+  });
+
+  test('handles empty sides and identical texts', () => {
+    expect(formatUnifiedDiff(diffLines('', 'x\ny'))).toContain('@@ -0,0 +1,2 @@\n+x\n+y');
+    expect(formatUnifiedDiff(diffLines('same', 'same'))).toBe('');
+  });
+});
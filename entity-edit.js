@@ -0,0 +1,125 @@
+/**
+ * Partial edits of an entity body: append, prepend, section replace/insert and find/replace
+ * Headings are matched as literal text, never as regular expressions
+ */
+
+export const EDIT_OPERATIONS = ['append', 'prepend', 'replace_section', 'insert_after_heading', 'find_replace'];
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+
+function normalizeTitle(title) {
+  return title.trim().replace(/\s+/g, ' ');
+}
+
+// Every ATX heading outside fenced code: [{ level, title, line, end }] where line is the heading's
+// 0-based line and end is the line where its section stops (next heading of the same or higher level)
+export function findHeadings(body) {
+  const lines = body.split('\n');
+  const headings = [];
+  let inFence = false;
+
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = !inFence && line.match(ATX_HEADING);
+    if (match) {
+      headings.push({ level: match[1].length, title: normalizeTitle(match[2] || ''), line: index });
+    }
+  });
+
+  for (const [index, heading] of headings.entries()) {
+    const next = headings.slice(index + 1).find(candidate => candidate.level <= heading.level);
+    heading.end = next ? next.line : lines.length;
+  }
+
+  return headings;
+}
+
+// Find one section by heading. "## Setup" matches level and title; "Setup" matches the title at any level.
+// Exact titles win over case-insensitive ones; more than one candidate is an error.
+export function findSection(body, heading) {
+  const match = heading.trim().match(/^(#{1,6})\s+(.*)$/);
+  const level = match ? match[1].length : null;
+  const title = normalizeTitle(match ? match[2] : heading);
+  const candidates = findHeadings(body).filter(candidate => level === null || candidate.level === level);
+
+  let found = candidates.filter(candidate => candidate.title === title);
+  if (found.length === 0) {
+    found = candidates.filter(candidate => candidate.title.toLowerCase() === title.toLowerCase());
+  }
+
+  if (found.length === 0) {
+    throw new Error(`Section not found: '${heading}'`);
+  }
+  if (found.length > 1) {
+    throw new Error(`Heading '${heading}' matches ${found.length} sections (lines ${found.map(section => section.line + 1).join(', ')}); include the #'s to pick a level`);
+  }
+  return found[0];
+}
+
+function withTrailingNewline(text) {
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+function countOccurrences(text, find) {
+  let count = 0;
+  for (let at = text.indexOf(find); at !== -1; at = text.indexOf(find, at + find.length)) {
+    count++;
+  }
+  return count;
+}
+
+// Apply one edit to a body. Returns { body, replacements } (replacements only for find_replace).
+export function applyEdit(body, { operation, content, heading, find, replace, expectedCount }) {
+  if (!EDIT_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown edit operation '${operation}' (expected one of: ${EDIT_OPERATIONS.join(', ')})`);
+  }
+
+  if (operation === 'find_replace') {
+    if (!find) {
+      throw new Error('find_replace requires non-empty find text');
+    }
+    if (typeof replace !== 'string') {
+      throw new Error('find_replace requires replace text');
+    }
+    const count = countOccurrences(body, find);
+    if (expectedCount !== undefined && count !== expectedCount) {
+      throw new Error(`Expected ${expectedCount} occurrence(s) of find text, found ${count}; nothing was changed`);
+    }
+    if (count === 0) {
+      throw new Error('Find text not found; nothing was changed');
+    }
+    return { body: body.split(find).join(replace), replacements: count };
+  }
+
+  if (typeof content !== 'string') {
+    throw new Error(`${operation} requires content`);
+  }
+
+  if (operation === 'append') {
+    const separator = body === '' || body.endsWith('\n') ? '' : '\n';
+    return { body: body + separator + content };
+  }
+  if (operation === 'prepend') {
+    return { body: body === '' ? content : withTrailingNewline(content) + body };
+  }
+
+  if (!heading) {
+    throw new Error(`${operation} requires a heading`);
+  }
+  const section = findSection(body, heading);
+  const lines = body.split('\n');
+
+  if (operation === 'insert_after_heading') {
+    lines.splice(section.line + 1, 0, ...content.replace(/\n$/, '').split('\n'));
+    return { body: lines.join('\n') };
+  }
+
+  // replace_section keeps the heading line and replaces everything under it, subsections included
+  const replacement = content.replace(/\n+$/, '').split('\n');
+  const following = lines.slice(section.end);
+  const tail = following.length > 0 ? ['', ...following] : body.endsWith('\n') ? [''] : [];
+  return { body: [...lines.slice(0, section.line + 1), ...replacement, ...tail].join('\n') };
+}
@@ -0,0 +1,87 @@
+/**
+ * Jest tests for partial entity edits
+ */
+
+import { findHeadings, findSection, applyEdit } from './entity-edit.js';
+
+const BODY = [
+  '# Project',
+  '',
+  '## Setup (v2.0) [draft]',
+  'Install things.',
+  '',
+  '### Details',
+  'Nested detail.',
+  '',
+  '## Notes',
+  '```',
+  '## Not a heading',
+  '```',
+  'Last line.',
+  ''
+].join('\n');
+
+describe('Entity Edits', () => {
+  describe('sections', () => {
+    test('finds headings outside fenced code with section ends', () => {
+      const headings = findHeadings(BODY);
+
+      expect(headings.map(heading => [heading.title, heading.line, heading.end])).toEqual([
+        ['Project', 0, 14],
+        ['Setup (v2.0) [draft]', 2, 8],
+        ['Details', 5, 8],
+        ['Notes', 8, 14]
+      ]);
+    });
+
+    test('matches headings with regex metacharacters literally', () => {
+      expect(findSection(BODY, 'Setup (v2.0) [draft]').line).toBe(2);
+      expect(findSection(BODY, '## notes').line).toBe(8);
+      expect(() => findSection(BODY, 'Setup.*')).toThrow('Section not found');
+      expect(() => findSection(BODY, '# Details')).toThrow('Section not found');
+    });
+
+    test('rejects ambiguous headings', () => {
+      expect(() => findSection('# A\n## B\n# C\n## B', 'B')).toThrow('matches 2 sections (lines 2, 4)');
+    });
+  });
+
+  describe('applyEdit', () => {
+    test('appends and prepends with line separation', () => {
+      expect(applyEdit('one', { operation: 'append', content: 'two' }).body).toBe('one\ntwo');
+      expect(applyEdit('one\n', { operation: 'append', content: 'two\n' }).body).toBe('one\ntwo\n');
+      expect(applyEdit('two', { operation: 'prepend', content: 'one' }).body).toBe('one\ntwo');
+    });
+
+    test('replaces a section including its subsections', () => {
+      const { body } = applyEdit(BODY, { operation: 'replace_section', heading: 'Setup (v2.0) [draft]', content: 'Run npm install.\n' });
+
+      expect(body).toBe(BODY.replace('Install things.\n\n### Details\nNested detail.\n', 'Run npm install.\n'));
+    });
+
+    test('replaces the last section keeping the trailing newline', () => {
+      const { body } = applyEdit(BODY, { operation: 'replace_section', heading: 'Notes', content: 'Fresh notes.' });
+
+      expect(body.endsWith('## Notes\nFresh notes.\n')).toBe(true);
+    });
+
+    test('inserts right below a heading', () => {
+      const { body } = applyEdit(BODY, { operation: 'insert_after_heading', heading: 'Details', content: 'First!' });
+
+      expect(body).toContain('### Details\nFirst!\nNested detail.');
+    });
+
+    test('find/replace checks the expected count before changing anything', () => {
+      expect(applyEdit('a b a', { operation: 'find_replace', find: 'a', replace: 'c' })).toEqual({ body: 'c b c', replacements: 2 });
+      expect(() => applyEdit('a b a', { operation: 'find_replace', find: 'a', replace: 'c', expectedCount: 1 }))
+        .toThrow('Expected 1 occurrence(s) of find text, found 2');
+      expect(() => applyEdit('a', { operation: 'find_replace', find: 'z', replace: 'c' })).toThrow('Find text not found');
+    });
+
+    test('validates operations and arguments', () => {
+      expect(() => applyEdit('a', { operation: 'truncate' })).toThrow('Unknown edit operation');
+      expect(() => applyEdit('a', { operation: 'append' })).toThrow('append requires content');
+      expect(() => applyEdit('a', { operation: 'replace_section', content: 'x' })).toThrow('requires a heading');
+    });
+  });
+});
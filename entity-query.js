@@ -0,0 +1,137 @@
+/**
+ * Query entities by metadata, tags, dates and size
+ * Returns summary fields so agents can judge relevance without reading every entity
+ */
+
+import { listMemory, readMemoryWithMetadata, statMemory } from './memory.js';
+
+export const IMPORTANCE_LEVELS = ['low', 'medium', 'high'];
+export const SORT_FIELDS = ['modified', 'name', 'size'];
+
+function firstHeading(body) {
+  const match = body.match(/^#{1,6}\s+(.+?)\s*#*\s*$/m);
+  return match ? match[1] : null;
+}
+
+function asList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// Summary of one entity: frontmatter fields plus first heading, size, mtime and line count
+export async function describeEntity(path) {
+  const { metadata, content } = await readMemoryWithMetadata(path);
+  const stat = await statMemory(path);
+  const mtime = new Date(stat.mtimeMs).toISOString();
+
+  return {
+    path,
+    title: firstHeading(content),
+    // Entity type comes from frontmatter, falling back to the top-level folder (people/, projects/, ...)
+    type: metadata.type || (path.includes('/') ? path.split('/')[0] : null),
+    tags: asList(metadata.tags),
+    importance: metadata.importance || null,
+    created: metadata.created || null,
+    updated: metadata.updated || mtime,
+    mtime,
+    size: stat.size,
+    line_count: content.split('\n').length
+  };
+}
+
+// updated is hand-editable frontmatter (a bare date, a year parsed as a number...), so compare it as a
+// timestamp, falling back to the file's mtime when it does not parse
+function updatedTime(entity) {
+  const time = Date.parse(String(entity.updated));
+  return Number.isNaN(time) ? Date.parse(entity.mtime) : time;
+}
+
+function matches(entity, filters) {
+  const { type, tags = [], updatedSince, updatedBefore, minImportance, minSize, maxSize } = filters;
+
+  if (type && entity.type !== type) {
+    return false;
+  }
+  if (tags.some(tag => !entity.tags.includes(tag))) {
+    return false;
+  }
+  if (updatedSince !== undefined && updatedTime(entity) < updatedSince) {
+    return false;
+  }
+  if (updatedBefore !== undefined && updatedTime(entity) >= updatedBefore) {
+    return false;
+  }
+  if (minImportance && IMPORTANCE_LEVELS.indexOf(entity.importance) < IMPORTANCE_LEVELS.indexOf(minImportance)) {
+    return false;
+  }
+  if (minSize !== undefined && entity.size < minSize) {
+    return false;
+  }
+  if (maxSize !== undefined && entity.size > maxSize) {
+    return false;
+  }
+  return true;
+}
+
+const COMPARATORS = {
+  modified: (a, b) => updatedTime(a) - updatedTime(b),
+  name: (a, b) => a.path.localeCompare(b.path),
+  size: (a, b) => a.size - b.size
+};
+
+function normalizeDate(value, name) {
+  if (!value) {
+    return undefined;
+  }
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} date: '${value}'`);
+  }
+  return time;
+}
+
+// Filter and sort entity summaries.
+// Dates are ISO strings (or anything Date can parse); 'modified' sorts on the updated timestamp.
+// canRead is checked before limit, like the other filters.
+export async function queryEntities({
+  filterPrefix = '',
+  canRead = () => true,
+  sortBy = 'modified',
+  order = sortBy === 'name' ? 'asc' : 'desc',
+  limit = 50,
+  ...filters
+} = {}) {
+  if (!SORT_FIELDS.includes(sortBy)) {
+    throw new Error(`Unknown sort field '${sortBy}' (expected one of: ${SORT_FIELDS.join(', ')})`);
+  }
+  if (filters.minImportance && !IMPORTANCE_LEVELS.includes(filters.minImportance)) {
+    throw new Error(`Unknown importance '${filters.minImportance}' (expected one of: ${IMPORTANCE_LEVELS.join(', ')})`);
+  }
+
+  const criteria = {
+    ...filters,
+    updatedSince: normalizeDate(filters.updatedSince, 'updated_since'),
+    updatedBefore: normalizeDate(filters.updatedBefore, 'updated_before')
+  };
+
+  const entities = [];
+  for (const path of await listMemory()) {
+    if (!path.startsWith(filterPrefix) || !canRead(path)) {
+      continue;
+    }
+    const entity = await describeEntity(path).catch(() => null);
+    if (entity && matches(entity, criteria)) {
+      entities.push(entity);
+    }
+  }
+
+  const compare = COMPARATORS[sortBy];
+  entities.sort((a, b) => (order === 'asc' ? compare(a, b) : compare(b, a)));
+
+  return {
+    total_results: entities.length,
+    results: entities.slice(0, limit)
+  };
+}
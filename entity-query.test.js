@@ -0,0 +1,103 @@
+/**
+ * Jest tests for metadata-based entity queries
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { describeEntity, queryEntities } from './entity-query.js';
+
+describe('Entity Queries', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+
+    // Written directly so the updated timestamp stays in the past
+    await fs.mkdir('./memory/people', { recursive: true });
+    await fs.writeFile('./memory/people/izzy.md', '---\ntype: person\ntags: [team, reviewer]\nimportance: high\nupdated: 2026-03-01T00:00:00.000Z\n---\n# Izzy Fuller\n\nLead');
+    await writeMemory('people/john-doe', '# John Doe\n\n' + 'Long profile text. '.repeat(20));
+    await writeMemory('projects/mcp-servers', '---\ntags: [team]\nimportance: low\n---\nNo heading here', { metadata: {} });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('describes an entity with summary fields', async () => {
+    const entity = await describeEntity('people/izzy');
+
+    expect(entity).toEqual({
+      path: 'people/izzy',
+      title: 'Izzy Fuller',
+      type: 'person',
+      tags: ['team', 'reviewer'],
+      importance: 'high',
+      created: null,
+      updated: '2026-03-01T00:00:00.000Z',
+      mtime: expect.any(String),
+      size: expect.any(Number),
+      line_count: 3
+    });
+  });
+
+  test('falls back to folder for type and mtime for updated', async () => {
+    const entity = await describeEntity('people/john-doe');
+
+    expect(entity.type).toBe('people');
+    expect(entity.tags).toEqual([]);
+    expect(entity.updated).toBe(entity.mtime);
+  });
+
+  test('filters by tags, type and importance', async () => {
+    const tagged = await queryEntities({ tags: ['team'], sortBy: 'name' });
+    expect(tagged.results.map(e => e.path)).toEqual(['people/izzy', 'projects/mcp-servers']);
+
+    const both = await queryEntities({ tags: ['team', 'reviewer'] });
+    expect(both.results.map(e => e.path)).toEqual(['people/izzy']);
+
+    const people = await queryEntities({ type: 'people' });
+    expect(people.results.map(e => e.path)).toEqual(['people/john-doe']);
+
+    const important = await queryEntities({ minImportance: 'medium' });
+    expect(important.results.map(e => e.path)).toEqual(['people/izzy']);
+  });
+
+  test('filters by updated date range', async () => {
+    const recent = await queryEntities({ updatedSince: '2026-03-02', sortBy: 'name' });
+    expect(recent.results.map(e => e.path)).toEqual(['people/john-doe', 'projects/mcp-servers']);
+
+    const old = await queryEntities({ updatedBefore: '2026-03-02' });
+    expect(old.results.map(e => e.path)).toEqual(['people/izzy']);
+  });
+
+  test('compares hand-written updated values as dates', async () => {
+    await fs.mkdir('./memory/notes', { recursive: true });
+    await fs.writeFile('./memory/notes/year.md', '---\nupdated: 2024\n---\nYear only');
+    await fs.writeFile('./memory/notes/day.md', '---\nupdated: 2024-05-01\n---\nBare date');
+
+    const all = await queryEntities({ filterPrefix: 'notes/' });
+    expect(all.results.map(e => e.path)).toEqual(['notes/day', 'notes/year']);
+
+    const sameDay = await queryEntities({ filterPrefix: 'notes/', updatedSince: '2024-05-01' });
+    expect(sameDay.results.map(e => e.path)).toEqual(['notes/day']);
+
+    const before = await queryEntities({ filterPrefix: 'notes/', updatedBefore: '2024-05-01' });
+    expect(before.results.map(e => e.path)).toEqual(['notes/year']);
+  });
+
+  test('filters by size and sorts', async () => {
+    const bySize = await queryEntities({ sortBy: 'size' });
+    expect(bySize.results[0].path).toBe('people/john-doe');
+
+    const small = await queryEntities({ maxSize: bySize.results[0].size - 1 });
+    expect(small.results.map(e => e.path)).not.toContain('people/john-doe');
+
+    const byName = await queryEntities({ sortBy: 'name', order: 'desc', limit: 2 });
+    expect(byName.total_results).toBe(3);
+    expect(byName.results.map(e => e.path)).toEqual(['projects/mcp-servers', 'people/john-doe']);
+  });
+
+  test('rejects invalid arguments', async () => {
+    await expect(queryEntities({ sortBy: 'colour' })).rejects.toThrow('Unknown sort field');
+    await expect(queryEntities({ minImportance: 'urgent' })).rejects.toThrow('Unknown importance');
+    await expect(queryEntities({ updatedSince: 'not a date' })).rejects.toThrow('Invalid updated_since');
+  });
+});
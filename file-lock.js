@@ -0,0 +1,148 @@
+/**
+ * Advisory lock files so several server processes can share one memory directory
+ * A lock is a file created exclusively, holding the owner's pid. Locks whose owner process has died
+ * (or that are implausibly old) are stale and get broken by the next process that needs them.
+ * Lock files are written in full beforehand and hard-linked into place, so nobody ever reads a
+ * half-written lock and mistakes it for a stale one.
+ */
+
+import { promises as fs } from 'fs';
+import { dirname, join } from 'path';
+import { randomBytes } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const STALE_AFTER_MS = 10 * 60 * 1000;
+const RETRY_MIN_MS = 5;
+const RETRY_MAX_MS = 100;
+
+export function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isStale(owner) {
+  if (!owner || !Number.isInteger(owner.pid)) {
+    return true;
+  }
+  return !isProcessAlive(owner.pid) || Date.now() - Date.parse(owner.acquired_at) > STALE_AFTER_MS;
+}
+
+async function readOwner(lockFile) {
+  const raw = await fs.readFile(lockFile, 'utf-8').catch(() => null);
+  if (raw === null) {
+    return { raw: null, owner: null };
+  }
+  try {
+    return { raw, owner: JSON.parse(raw) };
+  } catch {
+    // Half-written or foreign lock file
+    return { raw, owner: null };
+  }
+}
+
+// Break a stale lock. The lock is renamed aside first so that only one process breaks it, and put back
+// if a live owner replaced it between our read and the rename.
+async function breakStaleLock(lockFile, staleRaw) {
+  const aside = `${lockFile}.${process.pid}.${randomBytes(4).toString('hex')}.stale`;
+  if (!await fs.rename(lockFile, aside).then(() => true, () => false)) {
+    return;
+  }
+  const raw = await fs.readFile(aside, 'utf-8').catch(() => null);
+  if (raw !== staleRaw) {
+    await fs.link(aside, lockFile).catch(() => {});
+  }
+  await fs.rm(aside, { force: true });
+}
+
+// Acquire the lock at lockFile, waiting up to timeoutMs. Resolves to a release function.
+export async function acquireFileLock(lockFile, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const content = JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString(), token: randomBytes(8).toString('hex') });
+  const deadline = Date.now() + timeoutMs;
+  let delay = RETRY_MIN_MS;
+
+  const pending = `${lockFile}.${process.pid}.${randomBytes(4).toString('hex')}.pending`;
+
+  await fs.mkdir(dirname(lockFile), { recursive: true });
+  await fs.writeFile(pending, content);
+
+  try {
+    for (;;) {
+      try {
+        // link() fails with EEXIST if the lock is taken
+        await fs.link(pending, lockFile);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const { raw, owner } = await readOwner(lockFile);
+      if (raw !== null && isStale(owner)) {
+        await breakStaleLock(lockFile, raw);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeoutMs}ms waiting for lock '${lockFile}'${owner ? ` held by pid ${owner.pid}` : ''}`);
+      }
+      await sleep(delay);
+      delay = Math.min(delay * 2, RETRY_MAX_MS);
+    }
+  } finally {
+    await fs.rm(pending, { force: true });
+  }
+
+  return async () => {
+    // Only remove the lock if it is still ours (it may have been broken as stale)
+    const raw = await fs.readFile(lockFile, 'utf-8').catch(() => null);
+    if (raw === content) {
+      await fs.rm(lockFile, { force: true });
+    }
+  };
+}
+
+// Run fn while holding the lock at lockFile
+export async function withFileLock(lockFile, fn, options) {
+  const release = await acquireFileLock(lockFile, options);
+  try {
+    return await fn();
+  } finally {
+    await release();
+  }
+}
+
+// Startup sweep: remove every stale lock under dir. Returns the number removed.
+export async function cleanStaleLocks(dir) {
+  let removed = 0;
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      removed += await cleanStaleLocks(path);
+    } else if (entry.name.endsWith('.lock')) {
+      const { raw, owner } = await readOwner(path);
+      if (raw !== null && isStale(owner)) {
+        await breakStaleLock(path, raw);
+        removed++;
+      }
+    } else if (entry.name.endsWith('.stale') || entry.name.endsWith('.pending')) {
+      // Left behind by a process that died while breaking or taking a lock
+      const pid = Number(entry.name.split('.').at(-3));
+      if (!isProcessAlive(pid)) {
+        await fs.rm(path, { force: true });
+      }
+    }
+  }
+
+  return removed;
+}
@@ -0,0 +1,115 @@
+/**
+ * Jest tests for cross-process advisory lock files
+ */
+
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { acquireFileLock, withFileLock, cleanStaleLocks } from './file-lock.js';
+import { readMemory, writeMemory } from './memory.js';
+
+const DEAD_PID = 2147483646;
+const LOCK = './memory/.locks/test.lock';
+
+describe('File Locks', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('creates the lock file and removes it on release', async () => {
+    const release = await acquireFileLock(LOCK);
+
+    expect(JSON.parse(await fs.readFile(LOCK, 'utf-8')).pid).toBe(process.pid);
+    await release();
+    await expect(fs.access(LOCK)).rejects.toThrow();
+  });
+
+  test('waits for the current holder', async () => {
+    const order = [];
+    const release = await acquireFileLock(LOCK);
+    const waiting = withFileLock(LOCK, async () => order.push('second'));
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    order.push('first');
+    await release();
+    await waiting;
+
+    expect(order).toEqual(['first', 'second']);
+  });
+
+  test('times out naming the holder', async () => {
+    const release = await acquireFileLock(LOCK);
+
+    await expect(acquireFileLock(LOCK, { timeoutMs: 50 })).rejects.toThrow(`held by pid ${process.pid}`);
+    await release();
+  });
+
+  test('breaks locks left by dead processes', async () => {
+    await fs.mkdir('./memory/.locks', { recursive: true });
+    await fs.writeFile(LOCK, JSON.stringify({ pid: DEAD_PID, acquired_at: new Date().toISOString() }));
+
+    const release = await acquireFileLock(LOCK, { timeoutMs: 50 });
+
+    expect(JSON.parse(await fs.readFile(LOCK, 'utf-8')).pid).toBe(process.pid);
+    await release();
+  });
+
+  test('startup sweep removes only stale locks', async () => {
+    await fs.mkdir('./memory/.locks/people', { recursive: true });
+    await fs.writeFile('./memory/.locks/people/dead.md.lock', JSON.stringify({ pid: DEAD_PID, acquired_at: new Date().toISOString() }));
+    await fs.writeFile('./memory/.locks/live.md.lock', JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString() }));
+
+    expect(await cleanStaleLocks('./memory/.locks')).toBe(1);
+    expect(await fs.readdir('./memory/.locks/people')).toEqual([]);
+    expect(await fs.readdir('./memory/.locks')).toContain('live.md.lock');
+  });
+
+  test('never exposes a half-written lock file', async () => {
+    const reads = [];
+    const reading = (async () => {
+      for (let i = 0; i < 200; i++) {
+        reads.push(await fs.readFile(LOCK, 'utf-8').catch(() => null));
+      }
+    })();
+
+    for (let i = 0; i < 20; i++) {
+      await withFileLock(LOCK, async () => {});
+    }
+    await reading;
+
+    expect(reads.filter(raw => raw !== null && raw.trim() === '')).toEqual([]);
+    expect(await fs.readdir('./memory/.locks')).toEqual([]);
+  });
+
+  test('startup sweep removes files left by dead processes mid-lock', async () => {
+    await fs.mkdir('./memory/.locks', { recursive: true });
+    await fs.writeFile(`./memory/.locks/a.md.lock.${DEAD_PID}.1a2b3c4d.pending`, '{}');
+    await fs.writeFile(`./memory/.locks/b.md.lock.${process.pid}.1a2b3c4d.pending`, '{}');
+
+    await cleanStaleLocks('./memory/.locks');
+
+    expect(await fs.readdir('./memory/.locks')).toEqual([`b.md.lock.${process.pid}.1a2b3c4d.pending`]);
+  });
+
+  test('several processes appending to one file lose no updates', async () => {
+    await writeMemory('shared', '');
+    const script = `
+      import { updateMemory } from './memory.js';
+      for (let i = 0; i < 15; i++) {
+        await updateMemory('shared', current => current + process.argv[1] + '-' + i + '\\n');
+      }
+    `;
+    const run = writer => promisify(execFile)(process.execPath, ['--input-type=module', '-e', script, writer], {
+      env: { ...process.env, COGNITIVE_MEMORY_PATH: './memory' }
+    });
+
+    await Promise.all([run('a'), run('b'), run('c')]);
+
+    const lines = (await readMemory('shared')).trim().split('\n');
+    expect(lines).toHaveLength(45);
+  }, 30000);
+});
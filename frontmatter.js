@@ -0,0 +1,172 @@
+/**
+ * YAML frontmatter for entity metadata
+ * Supports the small YAML subset entities need: scalars, inline [a, b] lists and block "- a" lists
+ */
+
+// Known fields, in the order they are written
+export const METADATA_FIELDS = ['type', 'tags', 'aliases', 'importance', 'created', 'updated'];
+
+const LIST_FIELDS = new Set(['tags', 'aliases']);
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function unquote(value) {
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    // formatScalar escapes line breaks so a value always stays on one line
+    return value.slice(1, -1).replace(/\\([nr"\\])/g, (_, char) => char === 'n' ? '\n' : char === 'r' ? '\r' : char);
+  }
+  if (value.length >= 2 && value.startsWith('\'') && value.endsWith('\'')) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+  return value;
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === '' || value === '~' || value === 'null') {
+    return null;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return unquote(value);
+}
+
+// Split "a, 'b, c', d" on top-level commas
+function splitInlineList(inner) {
+  const items = [];
+  let current = '';
+  let quote = null;
+  let escaped = false;
+
+  for (const char of inner) {
+    if (quote) {
+      current += char;
+      if (escaped) {
+        escaped = false;
+      } else if (quote === '"' && char === '\\') {
+        escaped = true;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+      current += char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items.map(item => item.trim()).filter(item => item !== '').map(parseScalar);
+}
+
+// Parse the YAML block between the --- fences
+export function parseYaml(yaml) {
+  const metadata = {};
+  let listKey = null;
+
+  for (const line of yaml.split(/\r?\n/)) {
+    if (line.trim() === '' || line.trim().startsWith('#')) {
+      continue;
+    }
+
+    const listItem = line.match(/^\s+-\s*(.*)$/) || line.match(/^-\s+(.*)$/);
+    if (listItem && listKey) {
+      metadata[listKey].push(parseScalar(listItem[1]));
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Invalid frontmatter line: '${line}'`);
+    }
+
+    const [, key, rawValue] = pair;
+    const value = rawValue.trim();
+    listKey = null;
+
+    if (value === '') {
+      // Either an empty value or the start of a block list
+      metadata[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      metadata[key] = splitInlineList(value.slice(1, -1));
+    } else {
+      metadata[key] = parseScalar(value);
+    }
+  }
+
+  // Empty block values that never received items are plain empty values
+  for (const [key, value] of Object.entries(metadata)) {
+    if (Array.isArray(value) && value.length === 0 && !LIST_FIELDS.has(key)) {
+      metadata[key] = null;
+    }
+  }
+
+  return metadata;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  const text = String(value);
+  const needsQuotes = text === '' ||
+    /^[\s[\]{},&*!|>'"%@`#?-]/.test(text) ||
+    /:\s|\s#|\s$/.test(text) ||
+    /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text) ||
+    /[,\r\n]/.test(text);
+  if (!needsQuotes) {
+    return text;
+  }
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+// Render metadata as YAML, known fields first
+export function formatYaml(metadata) {
+  const keys = [
+    ...METADATA_FIELDS.filter(key => key in metadata),
+    ...Object.keys(metadata).filter(key => !METADATA_FIELDS.includes(key)).sort()
+  ];
+
+  return keys
+    .filter(key => metadata[key] !== null && metadata[key] !== undefined)
+    .map(key => {
+      const value = metadata[key];
+      if (Array.isArray(value) || LIST_FIELDS.has(key)) {
+        const items = Array.isArray(value) ? value : [value];
+        return `${key}: [${items.map(formatScalar).join(', ')}]`;
+      }
+      return `${key}: ${formatScalar(value)}`;
+    })
+    .join('\n');
+}
+
+// Split raw entity text into { metadata, body, hasFrontmatter }.
+// A block that is not valid YAML is left in the body untouched.
+export function parseFrontmatter(raw) {
+  const match = raw.match(FRONTMATTER_PATTERN);
+  if (match) {
+    try {
+      return { metadata: parseYaml(match[1]), body: raw.slice(match[0].length), hasFrontmatter: true };
+    } catch {
+      // Not our frontmatter (e.g. a horizontal rule at the top of the file)
+    }
+  }
+  return { metadata: {}, body: raw, hasFrontmatter: false };
+}
+
+// Join metadata and body back into entity text
+export function serializeFrontmatter(metadata, body) {
+  const yaml = formatYaml(metadata);
+  return yaml ? `---\n${yaml}\n---\n${body}` : body;
+}
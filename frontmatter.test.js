@@ -0,0 +1,85 @@
+/**
+ * Jest tests for YAML frontmatter parsing and serialization
+ */
+
+import { parseFrontmatter, serializeFrontmatter, parseYaml, formatYaml } from './frontmatter.js';
+
+describe('Entity Frontmatter', () => {
+  test('parses known fields from a frontmatter block', () => {
+    const raw = [
+      '---',
+      'type: person',
+      'tags: [collaborator, "code review"]',
+      'aliases:',
+      '  - Iz',
+      '  - \'I. Fuller\'',
+      'importance: high',
+      'created: 2026-01-02T03:04:05.000Z',
+      '---',
+      '# Izzy',
+      ''
+    ].join('\n');
+
+    const { metadata, body, hasFrontmatter } = parseFrontmatter(raw);
+
+    expect(hasFrontmatter).toBe(true);
+    expect(metadata).toEqual({
+      type: 'person',
+      tags: ['collaborator', 'code review'],
+      aliases: ['Iz', 'I. Fuller'],
+      importance: 'high',
+      created: '2026-01-02T03:04:05.000Z'
+    });
+    expect(body).toBe('# Izzy\n');
+  });
+
+  test('returns the whole text as body when there is no frontmatter', () => {
+    expect(parseFrontmatter('# Plain\n\nText')).toEqual({ metadata: {}, body: '# Plain\n\nText', hasFrontmatter: false });
+  });
+
+  test('leaves a leading horizontal rule block alone when it is not YAML', () => {
+    const raw = '---\nJust some text between rules\n---\nBody';
+
+    expect(parseFrontmatter(raw)).toEqual({ metadata: {}, body: raw, hasFrontmatter: false });
+  });
+
+  test('parses scalars, numbers, booleans and nulls', () => {
+    expect(parseYaml('a: 3\nb: true\nc: ~\nd: \'it\'\'s\'\ne: "say \\"hi\\""')).toEqual({
+      a: 3, b: true, c: null, d: 'it\'s', e: 'say "hi"'
+    });
+  });
+
+  test('writes known fields first and quotes when needed', () => {
+    const yaml = formatYaml({ updated: '2026-01-01T00:00:00.000Z', custom: 'a: b', type: 'concept', tags: ['x', 'y, z'] });
+
+    expect(yaml).toBe([
+      'type: concept',
+      'tags: [x, "y, z"]',
+      'updated: 2026-01-01T00:00:00.000Z',
+      'custom: "a: b"'
+    ].join('\n'));
+  });
+
+  test('round-trips metadata and body', () => {
+    const metadata = { type: 'project', tags: ['mcp', 'true'], importance: 'low', extra: '#hash' };
+    const raw = serializeFrontmatter(metadata, '# Body\n\n---\n\nMore');
+
+    expect(parseFrontmatter(raw)).toEqual({ metadata, body: '# Body\n\n---\n\nMore', hasFrontmatter: true });
+  });
+
+  test('round-trips line breaks, quotes and backslashes inside values', () => {
+    const metadata = {
+      tags: ['two\nlines', 'say "hi", then go', 'back\\slash"'],
+      anchors: ['people/a: line one\nline two', 'windows\r\nbreak'],
+      note: 'first\nsecond'
+    };
+    const raw = serializeFrontmatter(metadata, 'Body');
+
+    expect(raw.split('\n')).toHaveLength(6);
+    expect(parseFrontmatter(raw)).toEqual({ metadata, body: 'Body', hasFrontmatter: true });
+  });
+
+  test('omits the block entirely for empty metadata', () => {
+    expect(serializeFrontmatter({}, 'Body')).toBe('Body');
+  });
+});
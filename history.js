@@ -0,0 +1,134 @@
+/**
+ * Revision history for every entity write
+ * Content-addressed snapshots live in <memory>/.history/objects/<sha256>, and each entity has an
+ * append-only log in .history/log/<path>.jsonl recording when each revision was made and by which tool
+ */
+
+import { promises as fs } from 'fs';
+import { join, dirname } from 'path';
+import { MEMORY_DIR, onMemoryChange, validatePath, readMemory, writeMemory, revisionOf, writeFileAtomic } from './memory.js';
+import { parseFrontmatter } from './frontmatter.js';
+
+const HISTORY_DIR = join(MEMORY_DIR, '.history');
+const MIN_REVISION_PREFIX = 7;
+
+function objectFile(revision) {
+  return join(HISTORY_DIR, 'objects', revision.slice(0, 2), revision.slice(2));
+}
+
+function logFile(path) {
+  validatePath(path);
+  return join(HISTORY_DIR, 'log', `${path}.jsonl`);
+}
+
+// Store a snapshot once per distinct content
+async function storeObject(content) {
+  const revision = revisionOf(content);
+  const file = objectFile(revision);
+  if (!await fs.access(file).then(() => true, () => false)) {
+    await writeFileAtomic(file, content);
+  }
+  return revision;
+}
+
+// Log entries of an entity, oldest first
+async function readLog(path) {
+  const raw = await fs.readFile(logFile(path), 'utf-8').catch(() => '');
+  return raw.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+}
+
+async function appendLog(path, entries) {
+  const file = logFile(path);
+  await fs.mkdir(dirname(file), { recursive: true });
+  await fs.appendFile(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+}
+
+async function recordChange({ action, path, content, previous, source, movedFrom, movedTo }) {
+  const timestamp = new Date().toISOString();
+  const log = await readLog(path);
+  const last = log[log.length - 1];
+  const entries = [];
+
+  // Content written outside the server (or before history existed) is kept before it is replaced
+  if (previous && (!last || last.revision !== revisionOf(previous))) {
+    entries.push({ revision: await storeObject(previous), timestamp, action: 'write', source: 'external', size: Buffer.byteLength(previous) });
+  }
+
+  if (action === 'delete') {
+    entries.push({ revision: null, timestamp, action: movedTo ? 'move' : 'delete', source: source || 'unknown', ...(movedTo ? { to: movedTo } : {}) });
+  } else if (movedFrom) {
+    // History travels with a moved entity
+    const carried = (await readLog(movedFrom)).filter(entry => !(entry.action === 'move' && entry.to === path));
+    entries.push(...carried);
+    entries.push({ revision: await storeObject(content), timestamp, action: 'move', source: source || 'unknown', from: movedFrom, size: Buffer.byteLength(content) });
+  } else {
+    entries.push({ revision: await storeObject(content), timestamp, action: 'write', source: source || 'unknown', size: Buffer.byteLength(content) });
+  }
+
+  await appendLog(path, entries);
+}
+
+let queue = Promise.resolve();
+
+// Record every change through memory.js, one at a time so logs never interleave
+// Runs under the entity's lock so changes are logged in the order they were made
+onMemoryChange(change => {
+  const run = queue.then(() => recordChange(change));
+  queue = run.catch(() => {});
+  return run;
+}, { whileLocked: true });
+
+// Revisions of an entity, newest first
+export async function entityHistory(path, { limit = 20 } = {}) {
+  const log = await readLog(path);
+  const current = await readMemory(path).catch(() => null);
+
+  return {
+    path,
+    exists: current !== null,
+    current_revision: current === null ? null : revisionOf(current),
+    total: log.length,
+    revisions: log.reverse().slice(0, limit)
+  };
+}
+
+// Find a logged revision by full id or unique prefix
+async function findRevision(path, revision) {
+  if (!revision || revision.length < MIN_REVISION_PREFIX) {
+    throw new Error(`Revision must be at least ${MIN_REVISION_PREFIX} characters`);
+  }
+
+  const revisions = [...new Set((await readLog(path)).map(entry => entry.revision).filter(Boolean))];
+  const matches = revisions.filter(candidate => candidate.startsWith(revision));
+
+  if (matches.length === 0) {
+    throw new Error(`Revision not found for ${path}: ${revision}`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Ambiguous revision prefix for ${path}: ${revision}`);
+  }
+  return matches[0];
+}
+
+// Raw content of an entity at a revision
+export async function readRevision(path, revision) {
+  const full = await findRevision(path, revision);
+  return { revision: full, content: await fs.readFile(objectFile(full), 'utf-8') };
+}
+
+// Read a past revision split into metadata and body, like readMemoryWithMetadata
+export async function readEntityVersion(path, revision) {
+  const { revision: full, content } = await readRevision(path, revision);
+  const entry = (await readLog(path)).reverse().find(candidate => candidate.revision === full);
+  const { metadata, body } = parseFrontmatter(content);
+
+  return { revision: full, timestamp: entry.timestamp, source: entry.source, metadata, content: body };
+}
+
+// Write a past revision back, frontmatter included, exactly as it was (itself recorded as a new revision)
+export async function revertEntity(path, revision, { source } = {}) {
+  const { revision: full, content } = await readRevision(path, revision);
+  const newRevision = await writeMemory(path, content, { raw: true, source });
+
+  return { path, reverted_to: full, revision: newRevision };
+}
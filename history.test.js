@@ -0,0 +1,103 @@
+/**
+ * Jest tests for entity revision history
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory, readMemory, moveMemory, deleteMemory, revisionOf } from './memory.js';
+import { entityHistory, readRevision, readEntityVersion, revertEntity } from './history.js';
+import { parseFrontmatter } from './frontmatter.js';
+
+describe('Revision History', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('records every write with its source, newest first', async () => {
+    await writeMemory('people/john', 'v1', { source: 'write_entity' });
+    await writeMemory('people/john', 'v2', { source: 'deep_learn' });
+
+    const history = await entityHistory('people/john');
+
+    expect(history.total).toBe(2);
+    expect(history.current_revision).toBe(revisionOf('v2'));
+    expect(history.revisions.map(entry => [entry.revision, entry.source])).toEqual([
+      [revisionOf('v2'), 'deep_learn'],
+      [revisionOf('v1'), 'write_entity']
+    ]);
+    expect((await readRevision('people/john', revisionOf('v1').slice(0, 8))).content).toBe('v1');
+  });
+
+  test('snapshots content edited outside the server before overwriting it', async () => {
+    await writeMemory('people/john', 'v1', { source: 'write_entity' });
+    await fs.writeFile('./memory/people/john.md', 'hand edited');
+    await writeMemory('people/john', 'v2', { source: 'write_entity' });
+
+    const history = await entityHistory('people/john');
+
+    expect(history.revisions.map(entry => entry.source)).toEqual(['write_entity', 'external', 'write_entity']);
+    expect((await readRevision('people/john', history.revisions[1].revision)).content).toBe('hand edited');
+  });
+
+  test('keeps history through deletes and moves', async () => {
+    await writeMemory('concepts/idea', 'first', { source: 'write_entity' });
+    await moveMemory('concepts/idea', 'patterns/idea', { source: 'move_entity' });
+    await deleteMemory('patterns/idea', { source: 'delete_entity' });
+
+    const moved = await entityHistory('patterns/idea');
+    expect(moved.exists).toBe(false);
+    expect(moved.revisions.map(entry => entry.action)).toEqual(['delete', 'move', 'write']);
+    expect(moved.revisions[1].from).toBe('concepts/idea');
+
+    const original = await entityHistory('concepts/idea');
+    expect(original.revisions[0]).toMatchObject({ action: 'move', to: 'patterns/idea' });
+  });
+
+  test('reads a version with metadata split from the body', async () => {
+    await writeMemory('people/john', '# John', { metadata: { tags: ['team'] }, source: 'write_entity' });
+    const [entry] = (await entityHistory('people/john')).revisions;
+
+    const version = await readEntityVersion('people/john', entry.revision);
+
+    expect(version.content).toBe('# John');
+    expect(version.metadata.tags).toEqual(['team']);
+    expect(version.source).toBe('write_entity');
+  });
+
+  test('reverts to a past revision as a new revision', async () => {
+    await writeMemory('me', 'careful wording', { source: 'learn' });
+    await writeMemory('me', 'clobbered', { source: 'learn' });
+
+    const result = await revertEntity('me', revisionOf('careful wording'), { source: 'revert_entity' });
+
+    expect(await readMemory('me')).toBe('careful wording');
+    expect(result.reverted_to).toBe(revisionOf('careful wording'));
+    const history = await entityHistory('me');
+    expect(history.revisions[0].source).toBe('revert_entity');
+    expect(history.total).toBe(3);
+  });
+
+  test('reverts frontmatter exactly as it was in the revision', async () => {
+    await writeMemory('me', 'First', { metadata: { tags: ['a'], importance: 'high' }, source: 'write_entity' });
+    const original = await readMemory('me');
+    await writeMemory('me', 'Second', { metadata: { tags: ['b'], importance: null, type: 'note' }, source: 'write_entity' });
+
+    await revertEntity('me', revisionOf(original), { source: 'revert_entity' });
+
+    const reverted = await readMemory('me');
+    expect(parseFrontmatter(reverted).metadata).toEqual(parseFrontmatter(original).metadata);
+    expect(reverted).toBe(original);
+  });
+
+  test('rejects unknown, short and foreign revisions', async () => {
+    await writeMemory('a', 'A', { source: 'write_entity' });
+    await writeMemory('b', 'B', { source: 'write_entity' });
+
+    await expect(readRevision('a', 'abc')).rejects.toThrow('at least 7 characters');
+    await expect(readRevision('a', revisionOf('B'))).rejects.toThrow('Revision not found');
+    await expect(entityHistory('../outside')).rejects.toThrow('escapes memory directory');
+  });
+});
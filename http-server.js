@@ -0,0 +1,193 @@
+/**
+ * Streamable HTTP mode: one long-lived process serving several MCP clients on this machine
+ * Each client session gets its own transport and MCP server instance (so its active session and
+ * resource subscriptions are its own), while memory, locks and indexes are shared by the process.
+ * The server listens on 127.0.0.1 only and refuses requests whose Host or Origin is not local, so
+ * web pages cannot reach it through DNS rebinding. With a tokens map (see auth.js) every MCP request must
+ * carry a known bearer token; its scope reaches the MCP server's handlers as extra.authInfo.extra.scope.
+ * A session that sees no request for idleTimeoutMs is closed, so clients that vanish without a DELETE
+ * do not keep their transport and server instance forever.
+ *
+ *   POST/GET/DELETE /mcp   MCP Streamable HTTP endpoint (mcp-session-id header after initialize)
+ *   GET /health            { status, sessions, uptime_seconds }
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { authenticate } from './auth.js';
+
+export const HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3917;
+export const MCP_ENDPOINT = '/mcp';
+export const HEALTH_ENDPOINT = '/health';
+export const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const LOCAL_HOSTNAMES = ['127.0.0.1', 'localhost', '[::1]'];
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+// JSON-RPC error response for requests the transport never sees
+function sendError(res, status, code, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+}
+
+function isLocal(value) {
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(value).hostname);
+  } catch {
+    return false;
+  }
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Parse error: request body is not valid JSON'), { status: 400, code: -32700 });
+  }
+}
+
+// Start listening. connect(transport) must connect a new MCP server to the transport of a new client session.
+// tokens (from loadTokens) turns on bearer-token auth; idleTimeoutMs 0 keeps idle sessions open.
+// Resolves to { url, port, sessions, close() }; port 0 picks a free port.
+export async function startHttpServer(connect, { port = DEFAULT_HTTP_PORT, tokens = null, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS } = {}) {
+  // mcp-session-id -> transport
+  const sessions = new Map();
+  // transport -> idle timer
+  const idleTimers = new Map();
+  const startedAt = Date.now();
+
+  // Restart the transport's idle countdown
+  const touch = transport => {
+    clearTimeout(idleTimers.get(transport));
+    if (idleTimeoutMs > 0) {
+      idleTimers.set(transport, setTimeout(() => {
+        transport.close().catch(error => console.error('Failed to close idle session:', error.message));
+      }, idleTimeoutMs).unref());
+    }
+  };
+
+  // A request counts as activity when it starts and again when it ends, so long requests do not expire
+  const handleOnSession = async (transport, req, res, body) => {
+    touch(transport);
+    res.once('close', () => {
+      if (idleTimers.has(transport)) {
+        touch(transport);
+      }
+    });
+    await transport.handleRequest(req, res, body);
+  };
+
+  const openSession = async () => {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: sessionId => {
+        sessions.set(sessionId, transport);
+      }
+    });
+    transport.onclose = () => {
+      clearTimeout(idleTimers.get(transport));
+      idleTimers.delete(transport);
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+    await connect(transport);
+    return transport;
+  };
+
+  const handle = async (req, res) => {
+    // Only local pages and clients: a rebound DNS name or a foreign page shows up in Host or Origin
+    if (!isLocal(`http://${req.headers.host}`) || (req.headers.origin !== undefined && !isLocal(req.headers.origin))) {
+      sendError(res, 403, -32000, 'Forbidden: only local clients may connect');
+      return;
+    }
+
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    if (pathname === HEALTH_ENDPOINT && req.method === 'GET') {
+      sendJson(res, 200, { status: 'ok', sessions: sessions.size, uptime_seconds: Math.floor((Date.now() - startedAt) / 1000) });
+      return;
+    }
+    if (pathname !== MCP_ENDPOINT) {
+      sendError(res, 404, -32000, `Not found: ${pathname} (the MCP endpoint is ${MCP_ENDPOINT})`);
+      return;
+    }
+
+    if (tokens) {
+      const scope = authenticate(tokens, req.headers.authorization);
+      if (!scope) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendError(res, 401, -32000, 'Unauthorized: a valid bearer token is required');
+        return;
+      }
+      req.auth = { token: scope.name, clientId: scope.name, scopes: [], extra: { scope } };
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+
+    if (sessionId !== undefined) {
+      const transport = sessions.get(sessionId);
+      if (!transport) {
+        sendError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      await handleOnSession(transport, req, res, body);
+      return;
+    }
+
+    if (req.method === 'POST' && isInitializeRequest(body)) {
+      const transport = await openSession();
+      await handleOnSession(transport, req, res, body);
+      return;
+    }
+
+    sendError(res, 400, -32000, 'Bad Request: no valid mcp-session-id header (send initialize first)');
+  };
+
+  const server = createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.code || -32603, error.message);
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, HTTP_HOST, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const actualPort = server.address().port;
+  return {
+    url: `http://${HTTP_HOST}:${actualPort}${MCP_ENDPOINT}`,
+    port: actualPort,
+    sessions,
+    async close() {
+      for (const transport of [...sessions.values()]) {
+        await transport.close();
+      }
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Jest tests for the Streamable HTTP mode
+ */
+
+import { promises as fs } from 'fs';
+import { request } from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { CognitiveDevelopmentServer, serverOptions } from './src/cognitive-server.js';
+import { startHttpServer, DEFAULT_HTTP_PORT } from './http-server.js';
+import { loadTokens } from './auth.js';
+
+async function connectClient(url, token) {
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const requestInit = token ? { headers: { Authorization: `Bearer ${token}` } } : undefined;
+  const transport = new StreamableHTTPClientTransport(new URL(url), { requestInit });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+// Raw request, for headers fetch will not let a client set
+function rawRequest(port, { method = 'GET', path = '/health', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('HTTP mode', () => {
+  let http;
+  const clients = [];
+
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+    http = await startHttpServer(async transport => {
+      await new CognitiveDevelopmentServer().server.connect(transport);
+    }, { port: 0 });
+  });
+
+  afterEach(async () => {
+    for (const client of clients.splice(0)) {
+      await client.close();
+    }
+    await http.close();
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('listens on localhost and reports health', async () => {
+    expect(http.url).toBe(`http://127.0.0.1:${http.port}/mcp`);
+
+    const response = await fetch(`http://127.0.0.1:${http.port}/health`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ status: 'ok', sessions: 0 });
+  });
+
+  test('serves several clients with their own sessions on shared memory', async () => {
+    const first = await connectClient(http.url);
+    const second = await connectClient(http.url);
+    clients.push(first.client, second.client);
+
+    expect(first.transport.sessionId).toBeTruthy();
+    expect(second.transport.sessionId).not.toBe(first.transport.sessionId);
+    expect(http.sessions.size).toBe(2);
+
+    await first.client.callTool({ name: 'write_entity', arguments: { entity_path: 'projects/shared', content: '# Shared' } });
+    const result = await second.client.callTool({ name: 'read_entity', arguments: { entity_path: 'projects/shared' } });
+    expect(JSON.parse(result.content[0].text).content).toContain('# Shared');
+
+    // Active sessions are per client
+    await first.client.callTool({ name: 'start_session', arguments: { session_id: 'research' } });
+    const sessions = await second.client.callTool({ name: 'list_sessions', arguments: {} });
+    expect(JSON.parse(sessions.content[0].text).active_session).toBe('default');
+  });
+
+  test('ends a session when the client terminates it', async () => {
+    const { client, transport } = await connectClient(http.url);
+    clients.push(client);
+    const sessionId = transport.sessionId;
+
+    await transport.terminateSession();
+
+    expect(http.sessions.has(sessionId)).toBe(false);
+    const response = await rawRequest(http.port, {
+      method: 'POST',
+      path: '/mcp',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': sessionId },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    expect(response.status).toBe(404);
+  });
+
+  test('closes sessions that stay idle', async () => {
+    const idle = await startHttpServer(async transport => {
+      await new CognitiveDevelopmentServer().server.connect(transport);
+    }, { port: 0, idleTimeoutMs: 200 });
+    try {
+      const { client, transport } = await connectClient(idle.url);
+      clients.push(client);
+      const sessionId = transport.sessionId;
+
+      // Requests keep the session open past the timeout
+      for (let round = 0; round < 3; round++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await client.listTools();
+      }
+      expect(idle.sessions.has(sessionId)).toBe(true);
+
+      await new Promise(resolve => setTimeout(resolve, 400));
+      expect(idle.sessions.has(sessionId)).toBe(false);
+      await expect(client.listTools()).rejects.toThrow();
+    } finally {
+      await idle.close();
+    }
+  });
+
+  test('rejects requests without a session, malformed bodies and unknown paths', async () => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+
+    const noSession = await rawRequest(http.port, { method: 'POST', path: '/mcp', headers, body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }) });
+    expect(noSession.status).toBe(400);
+
+    const malformed = await rawRequest(http.port, { method: 'POST', path: '/mcp', headers, body: '{not json' });
+    expect(malformed).toMatchObject({ status: 400, body: { error: { code: -32700 } } });
+
+    expect((await rawRequest(http.port, { path: '/other' })).status).toBe(404);
+  });
+
+  test('refuses non-local Host and Origin headers', async () => {
+    expect((await rawRequest(http.port, { headers: { Host: 'evil.example:80' } })).status).toBe(403);
+    expect((await rawRequest(http.port, { headers: { Origin: 'https://evil.example' } })).status).toBe(403);
+    expect((await rawRequest(http.port, { headers: { Origin: `http://localhost:${http.port}` } })).status).toBe(200);
+  });
+});
+
+describe('HTTP mode with tokens', () => {
+  const tokensFile = './memory-http-tokens.json';
+  let http;
+  const clients = [];
+
+  const connect = async token => {
+    const { client } = await connectClient(http.url, token);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+    await fs.writeFile(tokensFile, JSON.stringify({
+      tokens: [
+        { name: 'main', token: 'main-token-000000001' },
+        { name: 'sub-agent', token: 'sub-agent-token-0002', read_only: true, deny_paths: ['me'] },
+        { name: 'planner', token: 'planner-token-000003', write_prefixes: ['projects/'] },
+        { name: 'outsider', token: 'outsider-token-00004', deny_paths: ['people/'] }
+      ]
+    }));
+    http = await startHttpServer(async transport => {
+      await new CognitiveDevelopmentServer().server.connect(transport);
+    }, { port: 0, tokens: await loadTokens(tokensFile) });
+  });
+
+  afterEach(async () => {
+    for (const client of clients.splice(0)) {
+      await client.close();
+    }
+    await http.close();
+  });
+
+  afterAll(async () => {
+    await fs.rm(tokensFile, { force: true });
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('requires a known bearer token', async () => {
+    await expect(connectClient(http.url)).rejects.toThrow();
+    await expect(connectClient(http.url, 'unknown-token-0000000')).rejects.toThrow();
+
+    const response = await fetch(http.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+    expect(response.status).toBe(401);
+    expect(response.headers.get('www-authenticate')).toBe('Bearer');
+    // Health needs no token
+    expect((await fetch(`http://127.0.0.1:${http.port}/health`)).status).toBe(200);
+  });
+
+  test('lets a sub-agent read shared memory but not write or touch me.md', async () => {
+    const main = await connect('main-token-000000001');
+    await main.callTool({ name: 'write_entity', arguments: { entity_path: 'projects/shared', content: '# Shared' } });
+    await main.callTool({ name: 'learn', arguments: { content: 'Be brief', rationale: 'Asked twice' } });
+
+    const agent = await connect('sub-agent-token-0002');
+    const result = await agent.callTool({ name: 'read_entity', arguments: { entity_path: 'projects/shared' } });
+    expect(JSON.parse(result.content[0].text).content).toContain('# Shared');
+
+    await expect(agent.callTool({ name: 'write_entity', arguments: { entity_path: 'projects/shared', content: 'x' } }))
+      .rejects.toMatchObject({ code: -32600, data: { denied: true, tool: 'write_entity' } });
+    await expect(agent.callTool({ name: 'learn', arguments: { content: 'x', rationale: 'y' } })).rejects.toMatchObject({ code: -32600 });
+    await expect(agent.callTool({ name: 'read_entity', arguments: { entity_path: 'me' } }))
+      .rejects.toMatchObject({ code: -32600, data: { path: 'me' } });
+    await expect(agent.readResource({ uri: 'memory://me' })).rejects.toMatchObject({ code: -32600 });
+
+    const { messages } = await agent.getPrompt({ name: 'learn_protocol' });
+    expect(messages.map(message => message.content.resource?.uri)).not.toContain('memory://me');
+  });
+
+  test('leaves denied paths out of every result', async () => {
+    const main = await connect('main-token-000000001');
+    const write = (path, content) => main.callTool({ name: 'write_entity', arguments: { entity_path: path, content } });
+    await write('projects/plan', '# Plan\n\nQuarterly plan');
+    await write('people/secret', '# Secret\n\nZanzibar contact for the [[projects/plan]], see [[people/ghost]]');
+    await main.callTool({ name: 'add_session_note', arguments: { note_type: 'context', content: 'Worked on the quarterly plan with the usual contacts. '.repeat(4) } });
+    await main.callTool({
+      name: 'deep_learn',
+      arguments: {
+        entities: [
+          { path: 'people/ally', content: '# Ally\n\nZanzibar ally', anchor_summary: 'Trusted ally' },
+          { path: 'projects/roadmap', content: '# Roadmap\n\nQuarterly roadmap', anchor_summary: 'Roadmap' }
+        ]
+      }
+    });
+    await main.callTool({ name: 'delete_entity', arguments: { entity_path: 'people/ally' } });
+    await main.callTool({ name: 'pin_anchor', arguments: { entity_path: 'people/secret', summary: 'Key person' } });
+
+    const outsider = await connect('outsider-token-00004');
+    const call = async (name, args = {}) => (await outsider.callTool({ name, arguments: args })).content[0].text;
+    const outputs = {
+      list_entities: await call('list_entities'),
+      query_entities: await call('query_entities'),
+      search_entities: await call('search_entities', { query: 'contact' }),
+      recall: await call('recall', { query: 'contact' }),
+      get_backlinks: await call('get_backlinks', { entity_path: 'projects/plan' }),
+      get_neighborhood: await call('get_neighborhood', { entity_path: 'projects/plan', depth: 3 }),
+      get_dangling_links: await call('get_dangling_links'),
+      get_anchors: await call('get_anchors'),
+      get_startup_context: await call('get_startup_context'),
+      list_trash: await call('list_trash'),
+      list_session_archives: await call('list_session_archives'),
+      search_session_archives: await call('search_session_archives', { text: 'plan' }),
+      resources: JSON.stringify(await outsider.listResources())
+    };
+
+    // context_anchors.md itself is readable, so the queries avoid words of its lines about people/
+    for (const [name, text] of Object.entries(outputs)) {
+      expect({ name, leaked: /people\/|Zanzibar/.test(text) }).toEqual({ name, leaked: false });
+    }
+    // The filter hides only the denied folder
+    expect(JSON.parse(outputs.list_entities)).toContain('projects/plan');
+    expect(JSON.parse(outputs.get_startup_context).entities.map(entity => entity.path)).toEqual(['projects/roadmap']);
+    expect(JSON.parse(outputs.list_session_archives).archives[0].entities).toEqual(['projects/roadmap']);
+    expect(JSON.parse(outputs.search_session_archives).total).toBe(1);
+    await expect(outsider.subscribeResource({ uri: 'memory://people/secret' })).rejects.toMatchObject({ code: -32600 });
+  });
+
+  test('limits a prefix token to its folders', async () => {
+    const planner = await connect('planner-token-000003');
+
+    await planner.callTool({ name: 'write_entity', arguments: { entity_path: 'projects/plan', content: '# Plan' } });
+    await expect(planner.callTool({ name: 'write_entity', arguments: { entity_path: 'people/someone', content: 'x' } }))
+      .rejects.toMatchObject({ code: -32600, data: { path: 'people/someone' } });
+  });
+});
+
+describe('serverOptions', () => {
+  test('defaults to stdio', () => {
+    expect(serverOptions([], {})).toEqual({ transport: 'stdio', port: DEFAULT_HTTP_PORT });
+  });
+
+  test('reads the transport and port from flags or the environment, flags first', () => {
+    expect(serverOptions(['--http', '--port', '4000'], {})).toEqual({ transport: 'http', port: 4000 });
+    expect(serverOptions(['--port=4001'], { COGNITIVE_MEMORY_TRANSPORT: 'http' })).toEqual({ transport: 'http', port: 4001 });
+    expect(serverOptions([], { COGNITIVE_MEMORY_TRANSPORT: 'http', COGNITIVE_MEMORY_PORT: '4002' })).toEqual({ transport: 'http', port: 4002 });
+    expect(serverOptions(['--stdio'], { COGNITIVE_MEMORY_TRANSPORT: 'http' }).transport).toBe('stdio');
+    expect(serverOptions(['--http', '--tokens', 'tokens.json'], {}).tokensFile).toBe('tokens.json');
+    expect(serverOptions([], { COGNITIVE_MEMORY_TOKENS_FILE: 'env.json' }).tokensFile).toBe('env.json');
+  });
+
+  test('reads the idle timeout in minutes', () => {
+    expect(serverOptions(['--http', '--idle-timeout', '5'], {}).idleTimeoutMs).toBe(5 * 60 * 1000);
+    expect(serverOptions([], { COGNITIVE_MEMORY_IDLE_TIMEOUT: '0' }).idleTimeoutMs).toBe(0);
+    expect(serverOptions([], {}).idleTimeoutMs).toBeUndefined();
+    expect(() => serverOptions(['--idle-timeout=soon'], {})).toThrow('Invalid idle timeout');
+  });
+
+  test('rejects unknown options, transports and ports', () => {
+    expect(() => serverOptions(['--verbose'], {})).toThrow('Unknown option');
+    expect(() => serverOptions([], { COGNITIVE_MEMORY_TRANSPORT: 'sse' })).toThrow('Unknown transport');
+    expect(() => serverOptions(['--port', 'abc'], {})).toThrow('Invalid port');
+    expect(() => serverOptions(['--port', '70000'], {})).toThrow('Invalid port');
+    expect(() => serverOptions(['--tokens'], {})).toThrow('--tokens needs a file path');
+  });
+});
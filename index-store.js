@@ -0,0 +1,199 @@
+/**
+ * Shared persistence for derived indexes kept under <memory>/.index/
+ * Each store is a JSON snapshot (<name>.json) plus an append-only log of the entity paths changed
+ * since (<name>.<log id>.log), with an in-process cache. An update re-indexes one entity in memory and
+ * appends one line to the log; only every COMPACT_AFTER updates is the whole snapshot rewritten, under
+ * a new log id. Loading applies the log lines it has not seen yet by re-reading those entities.
+ * Updates are queued within the process and run under a lock file (.locks/.index/<name>.json.lock), so
+ * server processes sharing a memory directory never lose each other's changes.
+ * Index data always carries { version, docs: { path: { size, mtimeMs } } } so it can be checked against disk.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { MEMORY_DIR, listMemory, readMemoryWithMetadata, statMemory, writeFileAtomic } from './memory.js';
+import { withFileLock } from './file-lock.js';
+
+const INDEX_DIR = '.index';
+// Log lines after which the snapshot is rewritten and the log started afresh
+const COMPACT_AFTER = 500;
+
+// Compare recorded { path: { size, mtimeMs } } against the memory directory.
+// Returns entities added or edited outside the server, and entities that disappeared.
+export async function findStaleEntries(recorded) {
+  const onDisk = await listMemory();
+  const changed = [];
+
+  for (const path of onDisk) {
+    const stat = await statMemory(path).catch(() => null);
+    const known = recorded[path];
+    if (stat && (!known || known.size !== stat.size || known.mtimeMs !== stat.mtimeMs)) {
+      changed.push(path);
+    }
+  }
+
+  const present = new Set(onDisk);
+  const removed = Object.keys(recorded).filter(path => !present.has(path));
+
+  return { changed, removed };
+}
+
+// Create a store for one index file.
+//   empty()                         -> fresh data with no entities
+//   add(data, path, body, metadata) -> index one entity's markdown body and frontmatter metadata
+//   remove(data, path)              -> drop one entity
+export function createIndexStore(name, { version, empty, add, remove }) {
+  const indexDir = join(MEMORY_DIR, INDEX_DIR);
+  const filePath = join(indexDir, `${name}.json`);
+  const logPath = logId => join(indexDir, `${name}.${logId}.log`);
+  const lockFile = join(MEMORY_DIR, '.locks', INDEX_DIR, `${name}.json.lock`);
+  // { data, size, mtimeMs } of the snapshot on disk, plus the log bytes and lines applied to data
+  let cache = null;
+  let queue = Promise.resolve();
+
+  // Queue fn so concurrent writers in this process never interleave, and hold the lock file while it
+  // runs so writers in other processes do not either (each load sees the other's last save)
+  function serialize(fn) {
+    const run = queue.then(() => withFileLock(lockFile, fn));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Write the whole snapshot with a fresh, empty log, and delete the logs it replaces
+  async function save(data) {
+    data.log = randomBytes(6).toString('hex');
+    await writeFileAtomic(filePath, JSON.stringify(data));
+    const stat = await fs.stat(filePath);
+    cache = { data, size: stat.size, mtimeMs: stat.mtimeMs, logBytes: 0, logLines: 0 };
+
+    for (const file of await fs.readdir(indexDir)) {
+      if (file.startsWith(`${name}.`) && file.endsWith('.log') && file !== `${name}.${data.log}.log`) {
+        await fs.rm(join(indexDir, file), { force: true });
+      }
+    }
+  }
+
+  // Re-read one entity from disk, or drop it if it no longer exists
+  async function refreshEntity(data, path) {
+    const entity = await readMemoryWithMetadata(path).catch(() => null);
+    const stat = await statMemory(path).catch(() => null);
+    remove(data, path);
+    if (entity && stat) {
+      add(data, path, entity.content, entity.metadata);
+      data.docs[path] = { ...data.docs[path], size: stat.size, mtimeMs: stat.mtimeMs };
+    }
+  }
+
+  async function rebuild() {
+    const data = empty();
+    for (const path of await listMemory()) {
+      await refreshEntity(data, path);
+    }
+    return data;
+  }
+
+  // Apply the complete log lines state has not seen yet. A line still being appended is left for later.
+  async function replayLog(state) {
+    const log = await fs.readFile(logPath(state.data.log)).catch(() => null);
+    const end = log ? log.lastIndexOf('\n') + 1 : 0;
+    if (end <= state.logBytes) {
+      return;
+    }
+    const lines = log.subarray(state.logBytes, end).toString('utf-8').split('\n').filter(Boolean);
+    state.logBytes = end;
+    state.logLines += lines.length;
+    for (const line of lines) {
+      await refreshEntity(state.data, JSON.parse(line).path);
+    }
+  }
+
+  // Current index from disk, reusing the cache while the snapshot is unchanged; null if the snapshot
+  // is missing, unreadable or outdated
+  async function read() {
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (!stat) {
+      return null;
+    }
+
+    if (!cache || cache.size !== stat.size || cache.mtimeMs !== stat.mtimeMs) {
+      try {
+        const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        if (data.version !== version) {
+          return null;
+        }
+        cache = { data, size: stat.size, mtimeMs: stat.mtimeMs, logBytes: 0, logLines: 0 };
+      } catch {
+        // Corrupt index - rebuild
+        return null;
+      }
+    }
+
+    const state = cache;
+    await replayLog(state);
+    return state.data;
+  }
+
+  // Read, or rebuild and save if there is nothing usable on disk. Call only inside serialize().
+  async function loadLocked() {
+    const existing = await read();
+    if (existing) {
+      return existing;
+    }
+    const data = await rebuild();
+    await save(data);
+    return data;
+  }
+
+  // Load for queries: reading needs no lock, a rebuild takes it
+  async function load() {
+    return (await read()) ?? await serialize(loadLocked);
+  }
+
+  // Re-index one entity after it changed through memory.js: log it, or compact when the log is long
+  function refresh(path) {
+    return serialize(async () => {
+      const data = await loadLocked();
+      await refreshEntity(data, path);
+      if (cache.logLines + 1 >= COMPACT_AFTER) {
+        await save(data);
+        return;
+      }
+      const line = JSON.stringify({ path }) + '\n';
+      await fs.appendFile(logPath(data.log), line);
+      cache.logBytes += Buffer.byteLength(line);
+      cache.logLines++;
+    });
+  }
+
+  // Startup check: reindex entities added or edited outside the server (by mtime/size)
+  function sync() {
+    return serialize(async () => {
+      const existed = await fs.access(filePath).then(() => true, () => false);
+      const data = await loadLocked();
+      if (!existed) {
+        return { rebuilt: true, reindexed: Object.keys(data.docs).length, removed: 0 };
+      }
+
+      const { changed, removed } = await findStaleEntries(data.docs);
+      for (const path of [...changed, ...removed]) {
+        await refreshEntity(data, path);
+      }
+      if (changed.length > 0 || removed.length > 0) {
+        await save(data);
+      }
+      return { rebuilt: false, reindexed: changed.length, removed: removed.length };
+    });
+  }
+
+  // Discard the index and rebuild it from every entity on disk
+  function reset() {
+    return serialize(async () => {
+      const data = await rebuild();
+      await save(data);
+      return data;
+    });
+  }
+
+  return { load, refresh, sync, reset };
+}
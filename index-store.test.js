@@ -0,0 +1,72 @@
+/**
+ * Jest tests for the shared index store
+ */
+
+import { promises as fs } from 'fs';
+import { createIndexStore } from './index-store.js';
+
+const STORE = {
+  version: 1,
+  empty: () => ({ version: 1, docs: {}, paths: [] }),
+  add: (data, path) => {
+    data.paths.push(path);
+  },
+  remove: (data, path) => {
+    data.paths = data.paths.filter(existing => existing !== path);
+  }
+};
+
+describe('Index Store', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('stores sharing one index file never lose each other\'s updates', async () => {
+    // Two stores on one file have separate caches and queues, like two server processes
+    const first = createIndexStore('shared-test', STORE);
+    const second = createIndexStore('shared-test', STORE);
+    await first.reset();
+
+    const paths = Array.from({ length: 12 }, (_, index) => `people/p${index}`);
+    await fs.mkdir('./memory/people', { recursive: true });
+    for (const path of paths) {
+      await fs.writeFile(`./memory/${path}.md`, `# ${path}`);
+    }
+
+    await Promise.all(paths.map((path, index) => (index % 2 ? first : second).refresh(path)));
+
+    const fresh = createIndexStore('shared-test', STORE);
+    expect((await fresh.load()).paths.sort()).toEqual([...paths].sort());
+    expect((await second.load()).paths).toHaveLength(paths.length);
+  });
+
+  test('appends updates to a log instead of rewriting the snapshot', async () => {
+    await fs.mkdir('./memory', { recursive: true });
+    await fs.writeFile('./memory/me.md', '# Me');
+    const store = createIndexStore('log-test', STORE);
+    await store.reset();
+    const snapshot = await fs.readFile('./memory/.index/log-test.json', 'utf-8');
+
+    await fs.writeFile('./memory/you.md', '# You');
+    await store.refresh('you');
+
+    expect(await fs.readFile('./memory/.index/log-test.json', 'utf-8')).toBe(snapshot);
+    const log = await fs.readFile(`./memory/.index/log-test.${JSON.parse(snapshot).log}.log`, 'utf-8');
+    expect(log).toBe('{"path":"you"}\n');
+    expect((await createIndexStore('log-test', STORE).load()).paths.sort()).toEqual(['me', 'you']);
+
+    await store.reset();
+    expect((await fs.readdir('./memory/.index')).filter(file => file.startsWith('log-test.'))).toHaveLength(1);
+  });
+
+  test('rebuilds a missing index on first load', async () => {
+    await fs.mkdir('./memory', { recursive: true });
+    await fs.writeFile('./memory/me.md', '# Me');
+
+    expect((await createIndexStore('rebuild-test', STORE).load()).paths).toEqual(['me']);
+  });
+});
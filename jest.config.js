@@ -3,6 +3,9 @@ process.env.COGNITIVE_MEMORY_PATH = './memory';
 
 export default {
   testEnvironment: 'node',
+  // Every suite shares the one memory directory above and clears it in beforeEach, so suites
+  // running side by side in several workers would delete each other's files mid-test
+  maxWorkers: 1,
   testMatch: ['**/tests/**/*.test.js', '**/*.test.js'],
   transform: {},
   moduleNameMapper: {
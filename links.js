@@ -0,0 +1,261 @@
+/**
+ * Link graph between entities
+ * Parses [[wiki-links]] and markdown links, kept current on every write in .index/links.json
+ */
+
+import { posix } from 'path';
+import { onMemoryChange } from './memory.js';
+import { createIndexStore } from './index-store.js';
+import { escapeRegExp } from './search.js';
+
+const LINKS_VERSION = 1;
+const MAX_NEIGHBORHOOD_DEPTH = 5;
+
+const WIKI_LINK_PATTERN = /\[\[([^\]|#\n]+)(?:#[^\]|\n]*)?(?:\|[^\]\n]*)?\]\]/g;
+const MARKDOWN_LINK_PATTERN = /(!?)\[[^\]\n]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"\n]*")?\s*\)/g;
+
+// Normalize a link target to an entity path ("people/john-doe"), or null if it is not an entity link.
+// Wiki-links and bare markdown targets are relative to the memory root; ./ and ../ are relative to the source entity.
+export function resolveLinkTarget(target, sourcePath, { relative = false } = {}) {
+  let cleaned = target.trim().split('#')[0];
+  try {
+    cleaned = decodeURIComponent(cleaned);
+  } catch {
+    // Keep undecodable targets as written
+  }
+
+  if (cleaned === '' || /^[a-z][a-z0-9+.-]*:/i.test(cleaned)) {
+    return null;
+  }
+
+  // Markdown links to images, PDFs and other files are not entity links
+  const extension = posix.extname(cleaned);
+  if (relative && /^\.[a-z][a-z0-9]{0,4}$/i.test(extension) && extension !== '.md') {
+    return null;
+  }
+  cleaned = cleaned.replace(/\.md$/, '');
+
+  const base = relative && /^\.\.?\//.test(cleaned) ? posix.dirname(sourcePath) : '';
+  const resolved = posix.normalize(posix.join('/', base, cleaned)).slice(1);
+
+  return resolved === '' ? null : resolved;
+}
+
+// Outgoing links of one entity body: [{ target, line }] with 1-based lines, skipping fenced code
+export function parseLinks(body, sourcePath) {
+  const links = [];
+  let inFence = false;
+
+  body.split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      return;
+    }
+
+    for (const match of line.matchAll(WIKI_LINK_PATTERN)) {
+      const target = resolveLinkTarget(match[1], sourcePath);
+      if (target) {
+        links.push({ target, line: index + 1 });
+      }
+    }
+    for (const match of line.matchAll(MARKDOWN_LINK_PATTERN)) {
+      if (match[1] === '!') {
+        continue;
+      }
+      const target = resolveLinkTarget(match[2], sourcePath, { relative: true });
+      if (target) {
+        links.push({ target, line: index + 1 });
+      }
+    }
+  });
+
+  return links;
+}
+
+// Markdown link target for `to`, written in the same style as the original target
+function formatMarkdownTarget(original, sourcePath, to) {
+  const [pathPart, ...fragment] = original.split('#');
+  const suffix = (pathPart.endsWith('.md') ? '.md' : '') + (fragment.length ? `#${fragment.join('#')}` : '');
+
+  if (/^\.\.?\//.test(pathPart)) {
+    let relativePath = posix.relative(posix.dirname(`/${sourcePath}`), `/${to}`);
+    if (!relativePath.startsWith('.')) {
+      relativePath = `./${relativePath}`;
+    }
+    return relativePath + suffix;
+  }
+  return (pathPart.startsWith('/') ? '/' : '') + to + suffix;
+}
+
+// Apply fn to every line outside fenced code blocks
+function mapOutsideFences(text, fn) {
+  let inFence = false;
+  return text.split('\n').map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    return inFence ? line : fn(line);
+  }).join('\n');
+}
+
+// Rewrite links in `text` (the content of sourcePath) that point at `from` so they point at `to`.
+// Relative markdown links are recomputed from newSourcePath when the source itself moves.
+// With mentions: true, bare path mentions ("people/john-doe", "**people/john-doe**") are rewritten too.
+export function rewriteLinks(text, sourcePath, from, to, { newSourcePath = sourcePath, mentions = false } = {}) {
+  // Plain mentions must not be followed by more path characters ("people/john" vs "people/john-doe")
+  const mentionPattern = new RegExp(`(?<![\\w/.-])${escapeRegExp(from)}(?![\\w/-]|\\.(?!md\\b)\\w)`, 'g');
+
+  return mapOutsideFences(text, line => {
+    let updated = line.replace(WIKI_LINK_PATTERN, (match, target) => {
+      if (resolveLinkTarget(target, sourcePath) !== from) {
+        return match;
+      }
+      return match.replace(`[[${target}`, `[[${target.trim().startsWith('/') ? '/' : ''}${to}${target.trim().endsWith('.md') ? '.md' : ''}`);
+    });
+
+    updated = updated.replace(MARKDOWN_LINK_PATTERN, (match, bang, target) => {
+      const resolved = resolveLinkTarget(target, sourcePath, { relative: true });
+      if (bang === '!' || !resolved) {
+        return match;
+      }
+      const isTarget = resolved === from;
+      const sourceMoved = newSourcePath !== sourcePath && /^\.\.?\//.test(target);
+      if (!isTarget && !sourceMoved) {
+        return match;
+      }
+      const at = match.indexOf(target, match.indexOf('](') + 2);
+      const replacement = formatMarkdownTarget(target, newSourcePath, isTarget ? to : resolved);
+      return match.slice(0, at) + replacement + match.slice(at + target.length);
+    });
+
+    if (mentions) {
+      // Leave text already inside links alone; those were handled above
+      updated = updated.split(/(\[\[[^\]]*\]\]|\]\([^)]*\))/).map((part, index) =>
+        (index % 2 === 1 ? part : part.replace(mentionPattern, to))
+      ).join('');
+    }
+
+    return updated;
+  });
+}
+
+const store = createIndexStore('links', {
+  version: LINKS_VERSION,
+  empty: () => ({ version: LINKS_VERSION, docs: {} }),
+  add: (data, path, body) => {
+    const targets = [...new Set(parseLinks(body, path).map(link => link.target))].filter(target => target !== path);
+    data.docs[path] = { links: targets };
+  },
+  remove: (data, path) => {
+    delete data.docs[path];
+  }
+});
+
+// Keep the graph current on every write through memory.js
+onMemoryChange(({ path }) => store.refresh(path));
+
+// Startup check: re-parse entities edited outside the server
+export async function syncLinks() {
+  return await store.sync();
+}
+
+// Discard the graph and re-parse every entity on disk
+export async function rebuildLinks() {
+  const graph = await store.reset();
+  return { entities: Object.keys(graph.docs).length };
+}
+
+function backlinksOf(graph, path) {
+  return Object.keys(graph.docs).filter(source => graph.docs[source].links.includes(path)).sort();
+}
+
+// Outgoing links of an entity, flagging targets that do not exist
+export async function getLinks(path) {
+  const graph = await store.load();
+  const doc = graph.docs[path];
+  if (!doc) {
+    throw new Error(`Entity not found: ${path}`);
+  }
+
+  const links = doc.links.map(target => ({ target, exists: Boolean(graph.docs[target]) }));
+  return {
+    path,
+    links,
+    dangling: links.filter(link => !link.exists).map(link => link.target)
+  };
+}
+
+// Entities linking to a path (which need not exist itself)
+export async function getBacklinks(path) {
+  const graph = await store.load();
+  return {
+    path,
+    exists: Boolean(graph.docs[path]),
+    backlinks: backlinksOf(graph, path)
+  };
+}
+
+// Entities within `depth` hops of a path, following links in both directions. The walk never enters
+// an entity canRead rejects, so nothing reached only through it shows up either.
+export async function getNeighborhood(path, depth = 1, { canRead = () => true } = {}) {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_NEIGHBORHOOD_DEPTH) {
+    throw new Error(`Depth must be an integer between 1 and ${MAX_NEIGHBORHOOD_DEPTH}`);
+  }
+
+  const graph = await store.load();
+  const distances = new Map([[path, 0]]);
+  const edges = new Map();
+  let frontier = [path];
+
+  for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+    const next = [];
+    for (const node of frontier) {
+      const outgoing = (graph.docs[node] ? graph.docs[node].links : []).filter(canRead);
+      const incoming = backlinksOf(graph, node).filter(canRead);
+
+      for (const target of outgoing) {
+        edges.set(`${node}\n${target}`, { from: node, to: target });
+      }
+      for (const source of incoming) {
+        edges.set(`${source}\n${node}`, { from: source, to: node });
+      }
+
+      for (const neighbor of [...outgoing, ...incoming]) {
+        if (!distances.has(neighbor)) {
+          distances.set(neighbor, distance);
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const nodes = [...distances].map(([node, distance]) => ({ path: node, distance, exists: Boolean(graph.docs[node]) }));
+  return {
+    path,
+    depth,
+    nodes: nodes.sort((a, b) => a.distance - b.distance || a.path.localeCompare(b.path)),
+    edges: [...edges.values()],
+    dangling: nodes.filter(node => !node.exists).map(node => node.path)
+  };
+}
+
+// Every link in memory whose target entity does not exist
+export async function getDanglingLinks() {
+  const graph = await store.load();
+  const dangling = [];
+
+  for (const [source, doc] of Object.entries(graph.docs)) {
+    for (const target of doc.links) {
+      if (!graph.docs[target]) {
+        dangling.push({ from: source, to: target });
+      }
+    }
+  }
+
+  return { total: dangling.length, dangling: dangling.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to)) };
+}
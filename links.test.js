@@ -0,0 +1,143 @@
+/**
+ * Jest tests for the entity link graph
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { resolveLinkTarget, parseLinks, rewriteLinks, getLinks, getBacklinks, getNeighborhood, getDanglingLinks, syncLinks } from './links.js';
+
+describe('Link Graph', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  describe('parsing', () => {
+    test('resolves wiki and markdown targets to entity paths', () => {
+      expect(resolveLinkTarget('people/john-doe', 'projects/x')).toBe('people/john-doe');
+      expect(resolveLinkTarget('/people/john-doe.md#bio', 'projects/x')).toBe('people/john-doe');
+      expect(resolveLinkTarget('../people/john%20doe.md', 'projects/x', { relative: true })).toBe('people/john doe');
+      expect(resolveLinkTarget('./sibling', 'projects/x', { relative: true })).toBe('projects/sibling');
+      expect(resolveLinkTarget('https://example.com', 'projects/x')).toBeNull();
+      expect(resolveLinkTarget('diagram.png', 'projects/x', { relative: true })).toBeNull();
+      expect(resolveLinkTarget('projects/website-v2.0', 'projects/x', { relative: true })).toBe('projects/website-v2.0');
+      expect(resolveLinkTarget('#section', 'projects/x')).toBeNull();
+    });
+
+    test('finds wiki-links, aliased links and markdown links with line numbers', () => {
+      const body = [
+        '# John',
+        'Works on [[projects/mcp-servers]] with [[people/izzy|Izzy]].',
+        'See [the concept](concepts/learning.md) and ![img](pic.png).',
+        '```',
+        '[[not/a-link]]',
+        '```',
+        '[Docs](https://example.com)'
+      ].join('\n');
+
+      expect(parseLinks(body, 'people/john')).toEqual([
+        { target: 'projects/mcp-servers', line: 2 },
+        { target: 'people/izzy', line: 2 },
+        { target: 'concepts/learning', line: 3 }
+      ]);
+    });
+  });
+
+  describe('rewriteLinks', () => {
+    test('rewrites wiki and markdown links in their original style', () => {
+      const text = 'See [[people/jon|Jon]], [[people/jon#bio]], [Jon](../people/jon.md) and [again](/people/jon).';
+
+      expect(rewriteLinks(text, 'projects/p', 'people/jon', 'team/john')).toBe(
+        'See [[team/john|Jon]], [[team/john#bio]], [Jon](../team/john.md) and [again](/team/john).'
+      );
+    });
+
+    test('leaves other links, code blocks and plain mentions alone by default', () => {
+      const text = '[[people/jon-doe]] people/jon\n```\n[[people/jon]]\n```';
+
+      expect(rewriteLinks(text, 'x', 'people/jon', 'team/john')).toBe(text);
+    });
+
+    test('rewrites plain path mentions when asked', () => {
+      const text = '- **people/jon**: summary (not people/jon-doe), file people/jon.md';
+
+      expect(rewriteLinks(text, 'context_anchors', 'people/jon', 'team/john', { mentions: true })).toBe(
+        '- **team/john**: summary (not people/jon-doe), file team/john.md'
+      );
+    });
+
+    test('rebases relative links when the source entity moves', () => {
+      const text = '[sibling](./other.md) [root](projects/x)';
+
+      expect(rewriteLinks(text, 'people/a', 'people/a', 'archive/old/a', { newSourcePath: 'archive/old/a' })).toBe(
+        '[sibling](../../people/other.md) [root](projects/x)'
+      );
+    });
+  });
+
+  describe('graph queries', () => {
+    beforeEach(async () => {
+      await writeMemory('people/john-doe', 'Works on [[projects/mcp-servers]] and [[projects/missing]].');
+      await writeMemory('projects/mcp-servers', 'Uses [[concepts/learning]]. Owner: [John](../people/john-doe.md)');
+      await writeMemory('concepts/learning', 'No links here.');
+      await writeMemory('people/izzy', 'Reviews [[projects/mcp-servers]].');
+    });
+
+    test('reports outgoing links and dangling targets', async () => {
+      const result = await getLinks('people/john-doe');
+
+      expect(result.links).toEqual([
+        { target: 'projects/mcp-servers', exists: true },
+        { target: 'projects/missing', exists: false }
+      ]);
+      expect(result.dangling).toEqual(['projects/missing']);
+    });
+
+    test('rejects links for unknown entities', async () => {
+      await expect(getLinks('people/nobody')).rejects.toThrow('Entity not found');
+    });
+
+    test('reports backlinks', async () => {
+      expect((await getBacklinks('projects/mcp-servers')).backlinks).toEqual(['people/izzy', 'people/john-doe']);
+      expect(await getBacklinks('projects/missing')).toEqual({ path: 'projects/missing', exists: false, backlinks: ['people/john-doe'] });
+    });
+
+    test('walks the neighborhood in both directions', async () => {
+      const one = await getNeighborhood('concepts/learning', 1);
+      expect(one.nodes.map(n => n.path)).toEqual(['concepts/learning', 'projects/mcp-servers']);
+
+      const two = await getNeighborhood('concepts/learning', 2);
+      expect(two.nodes).toEqual([
+        { path: 'concepts/learning', distance: 0, exists: true },
+        { path: 'projects/mcp-servers', distance: 1, exists: true },
+        { path: 'people/izzy', distance: 2, exists: true },
+        { path: 'people/john-doe', distance: 2, exists: true }
+      ]);
+      expect(two.edges).toContainEqual({ from: 'people/izzy', to: 'projects/mcp-servers' });
+    });
+
+    test('validates depth', async () => {
+      await expect(getNeighborhood('concepts/learning', 0)).rejects.toThrow('Depth');
+      await expect(getNeighborhood('concepts/learning', 9)).rejects.toThrow('Depth');
+    });
+
+    test('lists every dangling link', async () => {
+      expect(await getDanglingLinks()).toEqual({ total: 1, dangling: [{ from: 'people/john-doe', to: 'projects/missing' }] });
+
+      await writeMemory('projects/missing', 'Now it exists');
+      expect((await getDanglingLinks()).total).toBe(0);
+    });
+
+    test('updates on every write and on startup sync', async () => {
+      await writeMemory('people/izzy', 'No longer links anywhere.');
+      expect((await getBacklinks('projects/mcp-servers')).backlinks).toEqual(['people/john-doe']);
+
+      await fs.writeFile('./memory/concepts/learning.md', 'Now links to [[people/izzy]]');
+      await syncLinks();
+      expect((await getBacklinks('people/izzy')).backlinks).toEqual(['concepts/learning']);
+    });
+  });
+});
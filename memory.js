@@ -4,7 +4,10 @@
  */
 
 import { promises as fs } from 'fs';
-import { join, dirname, resolve, sep } from 'path';
+import { join, dirname, resolve, relative, sep } from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { parseFrontmatter, serializeFrontmatter } from './frontmatter.js';
+import { withFileLock, cleanStaleLocks } from './file-lock.js';
 
 const MEMORY_DIR = process.env.COGNITIVE_MEMORY_PATH;
 
@@ -12,8 +15,123 @@ if (!MEMORY_DIR) {
   throw new Error('COGNITIVE_MEMORY_PATH environment variable is required but not set');
 }
 
-// Validate path stays within memory directory (prevent path traversal)
-function validatePath(userPath) {
+export { MEMORY_DIR };
+
+// Revision id of a file's raw content
+export function revisionOf(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+// Thrown when a write's expected revision no longer matches the file on disk
+export class RevisionConflictError extends Error {
+  constructor(path, expectedRevision, currentRevision) {
+    const expected = expectedRevision === null ? 'no existing file' : `revision ${expectedRevision}`;
+    const current = currentRevision === null ? 'the file does not exist' : `current revision is ${currentRevision}`;
+    super(`Conflict: '${path}' changed since it was read (expected ${expected}, ${current}); read it again and retry`);
+    this.name = 'RevisionConflictError';
+    this.path = path;
+    this.expectedRevision = expectedRevision;
+    this.currentRevision = currentRevision;
+  }
+}
+
+// Write through a synced temp file and a rename, so a crash never leaves a truncated file behind
+export async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+
+  try {
+    const handle = await fs.open(tempPath, 'w');
+    try {
+      await handle.writeFile(content);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+const LOCKS_DIR = join(MEMORY_DIR, '.locks');
+
+// Startup sweep of lock files left behind by processes that died
+export async function removeStaleLocks() {
+  return await cleanStaleLocks(LOCKS_DIR);
+}
+
+// Per-file queues so read-check-write sequences in this process never interleave, plus an advisory
+// lock file in .locks/ so they do not interleave with other server processes either
+const pathLocks = new Map();
+
+async function withPathLock(fullPath, fn) {
+  const lockFile = join(LOCKS_DIR, `${relative(resolve(MEMORY_DIR), fullPath)}.lock`);
+  const previous = pathLocks.get(fullPath) || Promise.resolve();
+  const run = previous.then(() => withFileLock(lockFile, fn));
+  const settled = run.catch(() => {});
+  pathLocks.set(fullPath, settled);
+  settled.then(() => {
+    if (pathLocks.get(fullPath) === settled) {
+      pathLocks.delete(fullPath);
+    }
+  });
+  return run;
+}
+
+// Lock several paths, always in sorted order so two callers locking the same paths cannot deadlock
+async function withPathLocks(fullPaths, fn) {
+  const [first, ...rest] = [...new Set(fullPaths)].sort();
+  return first === undefined ? await fn() : await withPathLock(first, () => withPathLocks(rest, fn));
+}
+
+// Listeners notified after memory changes (search index, etc.), and those that must run while the
+// entity is still locked because they depend on the order of changes (revision history)
+const changeListeners = new Set();
+const lockedListeners = new Set();
+
+// Register a listener called after each change with
+//   { action: 'write' | 'delete', path, content, previous, source, movedFrom, movedTo }
+// where previous is the file content before the change (null for a new file) and source names the tool
+// that made it. Listeners run once the entity's lock is released, unless options.whileLocked is set;
+// either way the change's write or delete call waits for them. Returns a function that removes the listener.
+export function onMemoryChange(listener, { whileLocked = false } = {}) {
+  const listeners = whileLocked ? lockedListeners : changeListeners;
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function notify(listeners, changes) {
+  for (const change of changes) {
+    for (const listener of listeners) {
+      await listener(change);
+    }
+  }
+}
+
+// Run fn under the locks of fullPaths. fn reports each change it makes with record(change), which notifies the
+// whileLocked listeners straight away; the other listeners are notified after the lock is released.
+async function changeLocked(fullPaths, fn) {
+  const changes = [];
+  const record = async change => {
+    changes.push(change);
+    await notify(lockedListeners, [change]);
+  };
+  try {
+    return await withPathLocks(fullPaths, () => fn(record));
+  } finally {
+    await notify(changeListeners, changes);
+  }
+}
+
+// Validate path stays within memory directory (prevent path traversal), returning the full file path.
+// Dot-prefixed names (.trash/, .index/, ...) are reserved for the server's own bookkeeping.
+export function validatePath(userPath) {
+  if (userPath.split(/[\\/]/).some(segment => segment.startsWith('.') && segment !== '.' && segment !== '..')) {
+    throw new Error(`Access denied: path '${userPath}' uses a reserved hidden name`);
+  }
+
   const fullPath = resolve(join(MEMORY_DIR, userPath + '.md'));
   const normalizedMemoryDir = resolve(MEMORY_DIR);
 
@@ -24,11 +142,80 @@ function validatePath(userPath) {
   return fullPath;
 }
 
-// Write memory to file
-export async function writeMemory(path, content) {
+// Merge existing, embedded and supplied metadata, stamping created/updated.
+// Null values in the supplied metadata remove a field.
+async function stampMetadata(fullPath, existingRaw, content, metadata) {
+  const existing = existingRaw === null ? {} : parseFrontmatter(existingRaw).metadata;
+  const { metadata: embedded, body } = parseFrontmatter(content);
+  const now = new Date().toISOString();
+
+  let created = existing.created || embedded.created;
+  if (!created && existingRaw !== null) {
+    const stat = await fs.stat(fullPath);
+    created = new Date(stat.birthtimeMs || stat.mtimeMs).toISOString();
+  }
+
+  const merged = { ...existing, ...embedded, ...metadata, created: created || now, updated: now };
+  for (const [key, value] of Object.entries(merged)) {
+    if (value === null || value === undefined) {
+      delete merged[key];
+    }
+  }
+
+  return serializeFrontmatter(merged, body);
+}
+
+function checkRevision(path, previous, expectedRevision) {
+  if (expectedRevision === undefined) {
+    return;
+  }
+  const currentRevision = previous === null ? null : revisionOf(previous);
+  if (currentRevision !== expectedRevision) {
+    throw new RevisionConflictError(path, expectedRevision, currentRevision);
+  }
+}
+
+async function writeLocked(path, fullPath, previous, content, options, record) {
+  checkRevision(path, previous, options.expectedRevision);
+
+  const withMetadata = !options.raw && (options.metadata !== undefined || parseFrontmatter(content).hasFrontmatter);
+  const finalContent = withMetadata ? await stampMetadata(fullPath, previous, content, options.metadata || {}) : content;
+
+  await writeFileAtomic(fullPath, finalContent);
+  await record({ action: 'write', path, content: finalContent, previous, source: options.source });
+  return revisionOf(finalContent);
+}
+
+// Write memory to file, returning the new revision.
+// Entities get YAML frontmatter with created/updated stamped when options.metadata is given
+// or the content already carries a frontmatter block; plain content is written as-is.
+// options.raw writes content exactly as given, without stamping metadata.
+// options.source names the tool making the change, for revision history.
+// options.expectedRevision rejects the write with RevisionConflictError unless the file is still at that
+// revision (null: the file must not exist yet).
+export async function writeMemory(path, content, options = {}) {
   const fullPath = validatePath(path);
-  await fs.mkdir(dirname(fullPath), { recursive: true });
-  await fs.writeFile(fullPath, content);
+  return await changeLocked([fullPath], async record => {
+    const previous = await fs.readFile(fullPath, 'utf-8').catch(() => null);
+    return await writeLocked(path, fullPath, previous, content, options, record);
+  });
+}
+
+// Read-modify-write without lost updates: update(current) receives the current content (null if the
+// file does not exist) and returns the new content, or null to leave the file alone.
+// Returns the new revision, or null when nothing was written.
+export async function updateMemory(path, update, options = {}) {
+  const fullPath = validatePath(path);
+  return await changeLocked([fullPath], async record => {
+    const previous = await fs.readFile(fullPath, 'utf-8').catch(() => null);
+    checkRevision(path, previous, options.expectedRevision);
+
+    const content = await update(previous);
+    if (content === null || content === undefined) {
+      return null;
+    }
+    return await writeLocked(path, fullPath, previous, content, { ...options, expectedRevision: undefined }, record);
+  });
 }
 
 // Read memory from file
@@ -37,6 +224,49 @@ export async function readMemory(path) {
   return await fs.readFile(fullPath, 'utf-8');
 }
 
+// Read memory split into parsed frontmatter metadata and markdown body
+export async function readMemoryWithMetadata(path) {
+  const { metadata, body } = parseFrontmatter(await readMemory(path));
+  return { metadata, content: body };
+}
+
+// Move a memory file to a new path; both paths must stay inside the memory directory
+export async function moveMemory(fromPath, toPath, options = {}) {
+  const fromFull = validatePath(fromPath);
+  const toFull = validatePath(toPath);
+
+  await changeLocked([fromFull, toFull], async record => {
+    const content = await fs.readFile(fromFull, 'utf-8');
+    if (await fs.access(toFull).then(() => true, () => false)) {
+      throw new Error(`Entity already exists: ${toPath}`);
+    }
+
+    await fs.mkdir(dirname(toFull), { recursive: true });
+    await fs.rename(fromFull, toFull);
+    await record({ action: 'delete', path: fromPath, previous: content, source: options.source, movedTo: toPath });
+    await record({ action: 'write', path: toPath, content, previous: null, source: options.source, movedFrom: fromPath });
+  });
+}
+
+// Delete a memory file, returning the content it had
+export async function deleteMemory(path, options = {}) {
+  const fullPath = validatePath(path);
+  return await changeLocked([fullPath], async record => {
+    const content = await fs.readFile(fullPath, 'utf-8');
+    checkRevision(path, content, options.expectedRevision);
+    await fs.unlink(fullPath);
+    await record({ action: 'delete', path, previous: content, source: options.source });
+    return content;
+  });
+}
+
+// Size and modification time of a memory file
+export async function statMemory(path) {
+  const fullPath = validatePath(path);
+  const stat = await fs.stat(fullPath);
+  return { size: stat.size, mtimeMs: stat.mtimeMs };
+}
+
 // List all memory files recursively
 export async function listMemory(dir = MEMORY_DIR, prefix = '') {
   // Validate dir is within MEMORY_DIR
@@ -51,8 +281,17 @@ export async function listMemory(dir = MEMORY_DIR, prefix = '') {
   const items = await fs.readdir(dir).catch(() => []);
 
   for (const item of items) {
+    // Hidden entries hold server bookkeeping (.trash/, .index/), not entities
+    if (item.startsWith('.')) {
+      continue;
+    }
+
     const itemPath = join(dir, item);
-    const stat = await fs.stat(itemPath);
+    // Entries can vanish mid-listing (atomic-write temp files, concurrent deletes)
+    const stat = await fs.stat(itemPath).catch(() => null);
+    if (!stat) {
+      continue;
+    }
 
     if (stat.isDirectory()) {
       const subFiles = await listMemory(itemPath, prefix + item + '/');
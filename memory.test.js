@@ -4,7 +4,7 @@
  */
 
 import { promises as fs } from 'fs';
-import { writeMemory, readMemory, listMemory } from './memory.js';
+import { writeMemory, updateMemory, readMemory, readMemoryWithMetadata, listMemory, moveMemory, deleteMemory, revisionOf, RevisionConflictError, writeFileAtomic } from './memory.js';
 
 describe('Brain-analogous Memory System', () => {
   // Clean up before and after tests
@@ -63,6 +63,167 @@ describe('Brain-analogous Memory System', () => {
     });
   });
 
+  describe('frontmatter metadata', () => {
+    test('writes plain content unchanged without metadata', async () => {
+      await writeMemory('current_session', '# Current Session\n');
+
+      expect(await readMemory('current_session')).toBe('# Current Session\n');
+    });
+
+    test('stamps created and updated when metadata is supplied', async () => {
+      const before = new Date().toISOString();
+      await writeMemory('people/john', '# John', { metadata: { type: 'person', tags: ['friend'] } });
+
+      const { metadata, content } = await readMemoryWithMetadata('people/john');
+      expect(content).toBe('# John');
+      expect(metadata.type).toBe('person');
+      expect(metadata.tags).toEqual(['friend']);
+      expect(metadata.created >= before).toBe(true);
+      expect(metadata.updated).toBe(metadata.created);
+    });
+
+    test('keeps created and existing fields on later writes', async () => {
+      await writeMemory('people/john', '# John', { metadata: { type: 'person', tags: ['friend'] } });
+      const first = await readMemoryWithMetadata('people/john');
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      await writeMemory('people/john', '# John Doe', { metadata: { importance: 'high' } });
+      const second = await readMemoryWithMetadata('people/john');
+
+      expect(second.content).toBe('# John Doe');
+      expect(second.metadata.created).toBe(first.metadata.created);
+      expect(second.metadata.updated > first.metadata.updated).toBe(true);
+      expect(second.metadata.tags).toEqual(['friend']);
+      expect(second.metadata.importance).toBe('high');
+    });
+
+    test('null metadata values remove fields', async () => {
+      await writeMemory('people/john', '# John', { metadata: { tags: ['friend'], importance: 'low' } });
+      await writeMemory('people/john', '# John', { metadata: { tags: null } });
+
+      const { metadata } = await readMemoryWithMetadata('people/john');
+      expect(metadata.tags).toBeUndefined();
+      expect(metadata.importance).toBe('low');
+    });
+
+    test('merges frontmatter embedded in the content', async () => {
+      await writeMemory('concepts/tdd', '---\ntype: concept\ntags: [testing]\n---\n# TDD');
+
+      const { metadata, content } = await readMemoryWithMetadata('concepts/tdd');
+      expect(metadata.type).toBe('concept');
+      expect(metadata.tags).toEqual(['testing']);
+      expect(metadata.updated).toBeDefined();
+      expect(content).toBe('# TDD');
+    });
+  });
+
+  describe('revisions', () => {
+    test('writeMemory returns the revision of what it wrote', async () => {
+      const revision = await writeMemory('note', 'Hello');
+
+      expect(revision).toBe(revisionOf('Hello'));
+    });
+
+    test('rejects a write whose expected revision is stale', async () => {
+      const first = await writeMemory('note', 'one');
+      await writeMemory('note', 'two');
+
+      const write = writeMemory('note', 'three', { expectedRevision: first });
+      await expect(write).rejects.toThrow(RevisionConflictError);
+      await expect(write).rejects.toThrow('changed since it was read');
+      expect(await readMemory('note')).toBe('two');
+    });
+
+    test('null expected revision means the file must not exist', async () => {
+      await writeMemory('note', 'one', { expectedRevision: null });
+
+      await expect(writeMemory('note', 'two', { expectedRevision: null })).rejects.toThrow('expected no existing file');
+    });
+
+    test('updateMemory serializes concurrent read-modify-write', async () => {
+      await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        updateMemory('log', current => `${current ?? ''}line ${i}\n`)
+      ));
+
+      const lines = (await readMemory('log')).trim().split('\n');
+      expect(lines).toHaveLength(10);
+    });
+
+    test('updateMemory leaves the file alone when update returns null', async () => {
+      await writeMemory('note', 'keep');
+
+      expect(await updateMemory('note', () => null)).toBeNull();
+      expect(await readMemory('note')).toBe('keep');
+    });
+  });
+
+  describe('writeFileAtomic', () => {
+    test('replaces files without leaving temp files behind', async () => {
+      await writeMemory('note', 'first');
+      await writeFileAtomic('./memory/note.md', 'second');
+
+      expect(await readMemory('note')).toBe('second');
+      expect((await fs.readdir('./memory')).filter(name => name.startsWith('note'))).toEqual(['note.md']);
+    });
+
+    test('leaves the original untouched when the write fails', async () => {
+      await writeMemory('note', 'original');
+
+      await expect(writeFileAtomic('./memory/note.md/child', 'x')).rejects.toThrow();
+      expect(await readMemory('note')).toBe('original');
+    });
+  });
+
+  describe('moveMemory', () => {
+    test('moves a file into a new folder', async () => {
+      await writeMemory('concepts/idea', 'An idea');
+      await moveMemory('concepts/idea', 'patterns/idea');
+
+      expect(await readMemory('patterns/idea')).toBe('An idea');
+      await expect(readMemory('concepts/idea')).rejects.toThrow();
+    });
+
+    test('refuses to overwrite an existing entity', async () => {
+      await writeMemory('a', 'A');
+      await writeMemory('b', 'B');
+
+      await expect(moveMemory('a', 'b')).rejects.toThrow('Entity already exists: b');
+      expect(await readMemory('a')).toBe('A');
+    });
+
+    test('concurrent moves and writes never overwrite the destination', async () => {
+      await writeMemory('a', 'A');
+      await writeMemory('b', 'B');
+
+      const results = await Promise.allSettled([moveMemory('a', 'c'), moveMemory('b', 'c'), writeMemory('c', 'C', { expectedRevision: null })]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      const contents = await Promise.all(['a', 'b', 'c'].map(path => readMemory(path).catch(() => null)));
+      expect(contents).toEqual(expect.arrayContaining(['A', 'B']));
+    });
+
+    test('validates both source and destination paths', async () => {
+      await writeMemory('a', 'A');
+
+      await expect(moveMemory('a', '../outside')).rejects.toThrow('escapes memory directory');
+      await expect(moveMemory('../outside', 'a2')).rejects.toThrow('escapes memory directory');
+    });
+  });
+
+  describe('deleteMemory', () => {
+    test('removes the file and returns its content', async () => {
+      await writeMemory('concepts/idea', 'An idea');
+
+      expect(await deleteMemory('concepts/idea')).toBe('An idea');
+      await expect(readMemory('concepts/idea')).rejects.toThrow();
+    });
+
+    test('rejects hidden path segments reserved for the server', async () => {
+      await expect(writeMemory('.trash/x', 'sneaky')).rejects.toThrow('reserved hidden name');
+      await expect(deleteMemory('people/.secret')).rejects.toThrow('reserved hidden name');
+    });
+  });
+
   describe('listMemory', () => {
     test('finds files in root directory', async () => {
       await writeMemory('test-note', 'Hello memory!');
@@ -80,6 +241,22 @@ describe('Brain-analogous Memory System', () => {
       expect(list).toContain('projects/website');
     });
 
+    test('skips hidden directories such as .trash and .index', async () => {
+      await writeMemory('people/john', 'John Doe info');
+      await fs.mkdir('./memory/.trash/item/people', { recursive: true });
+      await fs.writeFile('./memory/.trash/item/people/jane.md', 'Deleted');
+
+      expect(await listMemory()).toEqual(['people/john']);
+    });
+
+    test('skips entries that vanish while listing', async () => {
+      await writeMemory('people/john', 'John Doe info');
+      // A dangling symlink stats like a temp file renamed away mid-listing
+      await fs.symlink('./missing.md.tmp', './memory/people/john.md.123.abc.tmp');
+
+      expect(await listMemory()).toEqual(['people/john']);
+    });
+
     test('returns empty array when no files exist', async () => {
       const list = await listMemory();
       
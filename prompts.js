@@ -0,0 +1,147 @@
+/**
+ * MCP prompts for the Deep Learn, Learn and Dream protocols
+ * Each prompt is the protocol text followed by the memory it works on (session, anchors, entities)
+ * as embedded resources. A protocols/<name> entity in the memory directory replaces the built-in text.
+ */
+
+import { readMemory, listMemory } from './memory.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { ANCHORS_PATH, getAnchors } from './anchors.js';
+import { entityUri, RESOURCE_MIME_TYPE } from './resources.js';
+
+const MAX_EMBEDDED_ENTITIES = 10;
+
+const DEEP_LEARN_PROTOCOL = `# Deep Learn Protocol
+
+Consolidate the current session into long-term memory with one \`deep_learn\` call.
+
+1. Read the session notes below. Group them by the person, project, pattern, concept or protocol they are about.
+2. For each group, decide whether it updates an existing entity (embedded below when the session mentions it) or needs a new one. Prefer updating over creating near-duplicates; use \`search_entities\` or \`recall\` if unsure.
+3. Write each entity as complete, self-contained markdown: what it is, concrete examples from the session, decisions and their reasons, open questions. When updating, merge with the existing content instead of replacing it with a summary, and pass the revision from \`read_entity\` as \`expected_revision\`.
+4. Give every entity a one-line \`anchor_summary\` saying why it matters right now; it becomes the entity's context anchor.
+5. Call \`deep_learn\` with all entities at once. It writes them, refreshes the anchors, archives the session and resets it, as one transaction.
+
+Do not put behavioural feedback about how to work here; that belongs to the Learn Protocol.`;
+
+const LEARN_PROTOCOL = `# Learn Protocol
+
+Turn validated feedback about how to work into permanent base instructions in \`me.md\` with \`learn\`.
+
+1. Look through the session for feedback on behaviour: corrections, stated preferences, things that worked or failed repeatedly.
+2. Keep only patterns that are validated: stated explicitly or confirmed more than once. One-off task details belong in entities, not here.
+3. Check the current \`me.md\` below. If a section already covers the pattern, rewrite that section to include it rather than adding a near-duplicate.
+4. Call \`learn\` with the section name, the full new section content (concise, imperative, with a short example where it helps) and a rationale citing the feedback.
+
+The section content replaces the existing section of the same name, so include everything that should remain.`;
+
+const DREAM_PROTOCOL = `# Dream Protocol
+
+Reflect on recent work and append the synthesis to the dream journal with \`synthesis_reflection\`.
+
+1. Read the session, the anchors and the anchored entities below: they are what has mattered recently.
+2. Look for connections across them: recurring patterns, tensions, ideas from one area that apply to another, assumptions that no longer hold.
+3. Research the most promising threads (web search where available) and bring in outside ideas that confirm, challenge or extend them.
+4. Note how thinking or ways of working have changed (cognitive growth) and what deserves attention next (future focus).
+5. Call \`synthesis_reflection\` with a \`reflection_type\` (daily, session or project), the key insights as short standalone statements, and the growth and focus notes.
+
+If a reflection reveals a concrete fact or decision, also record it in the relevant entity.`;
+
+// name -> { description, protocol entity, built-in text, what to embed }
+const PROMPTS = {
+  deep_learn_protocol: {
+    description: 'Guide for consolidating the current session into structured entities with deep_learn, with the session, anchors and the entities it mentions embedded',
+    entity: 'protocols/deep-learn-protocol',
+    text: DEEP_LEARN_PROTOCOL,
+    embed: { session: true, anchors: true, mentioned: true }
+  },
+  learn_protocol: {
+    description: 'Guide for turning validated behavioural feedback into base instructions with learn, with me.md and the session embedded',
+    entity: 'protocols/learn-protocol',
+    text: LEARN_PROTOCOL,
+    embed: { me: true, session: true }
+  },
+  dream_protocol: {
+    description: 'Guide for a dream journal reflection with synthesis_reflection, with the session, anchors and anchored entities embedded',
+    entity: 'protocols/dream-protocol',
+    text: DREAM_PROTOCOL,
+    embed: { session: true, anchors: true, anchored: true }
+  }
+};
+
+const PROMPT_ARGUMENTS = [
+  { name: 'session_id', description: 'Named session to embed (default: the active session)', required: false },
+  { name: 'entities', description: 'Comma-separated entity paths to embed as well (e.g., "projects/mcp-server,people/john-doe")', required: false }
+];
+
+export function listPrompts() {
+  return Object.entries(PROMPTS).map(([name, prompt]) => ({ name, description: prompt.description, arguments: PROMPT_ARGUMENTS }));
+}
+
+function embedded(path, text) {
+  return { role: 'user', content: { type: 'resource', resource: { uri: entityUri(path), mimeType: RESOURCE_MIME_TYPE, text } } };
+}
+
+// Existing entities whose paths appear in text; sessions and archives are not entities
+async function mentionedEntities(text) {
+  return (await listMemory())
+    .filter(path => path.includes('/') && !/^(sessions|session_archives)\//.test(path))
+    .filter(path => text.includes(path));
+}
+
+// Build a prompt. sessionPath is the session to embed; entities is the caller's comma-separated list.
+// Paths canRead rejects are never read, so a restricted caller gets the built-in text and less context.
+export async function getPrompt(name, { sessionPath, entities = '', canRead = () => true } = {}) {
+  const prompt = Object.hasOwn(PROMPTS, name) ? PROMPTS[name] : null;
+  if (!prompt) {
+    throw new Error(`Unknown prompt: '${name}' (available: ${Object.keys(PROMPTS).join(', ')})`);
+  }
+
+  const read = path => canRead(path) ? readMemory(path).catch(() => null) : Promise.resolve(null);
+  const override = await read(prompt.entity);
+  const protocol = override === null ? prompt.text : parseFrontmatter(override).body.trim();
+  const messages = [{ role: 'user', content: { type: 'text', text: protocol } }];
+  const included = new Set();
+
+  const embed = async (path) => {
+    if (included.has(path)) {
+      return;
+    }
+    const text = await read(path);
+    if (text !== null) {
+      included.add(path);
+      messages.push(embedded(path, text));
+    }
+  };
+
+  if (prompt.embed.me) {
+    await embed('me');
+  }
+  const session = prompt.embed.session ? await read(sessionPath) : null;
+  if (session !== null) {
+    await embed(sessionPath);
+  }
+  if (prompt.embed.anchors) {
+    await embed(ANCHORS_PATH);
+  }
+
+  // Entities the caller asked for first, then the ones the protocol finds relevant
+  const paths = entities.split(',').map(path => path.trim()).filter(Boolean);
+  if (prompt.embed.mentioned && session !== null) {
+    paths.push(...await mentionedEntities(session));
+  }
+  if (prompt.embed.anchored) {
+    paths.push(...(await getAnchors({ limit: MAX_EMBEDDED_ENTITIES })).anchors.map(anchor => anchor.path));
+  }
+  const limit = included.size + MAX_EMBEDDED_ENTITIES;
+  for (const path of paths) {
+    if (included.size >= limit) {
+      break;
+    }
+    await embed(path);
+  }
+
+  return {
+    description: prompt.description + (override === null ? '' : ` (protocol text from ${prompt.entity})`),
+    messages
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Jest tests for the protocol prompts
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { listPrompts, getPrompt } from './prompts.js';
+
+const uris = prompt => prompt.messages.filter(message => message.content.type === 'resource').map(message => message.content.resource.uri);
+
+describe('Protocol Prompts', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('lists the three protocols with their arguments', () => {
+    const prompts = listPrompts();
+
+    expect(prompts.map(prompt => prompt.name)).toEqual(['deep_learn_protocol', 'learn_protocol', 'dream_protocol']);
+    expect(prompts[0].arguments.map(argument => argument.name)).toEqual(['session_id', 'entities']);
+  });
+
+  test('deep learn embeds the session, anchors and the entities the session mentions', async () => {
+    await writeMemory('current_session', '# Current Session\n\n### CONTEXT - HIGH (2024-05-01T10:00:00.000Z)\nDiscussed projects/mcp-server with people/john-doe\n');
+    await writeMemory('context_anchors', '# Context Anchors\n\n## Recent\n- **concepts/learning**: How learning works\n');
+    await writeMemory('projects/mcp-server', '# MCP Server');
+    await writeMemory('concepts/learning', '# Learning');
+
+    const prompt = await getPrompt('deep_learn_protocol', { sessionPath: 'current_session' });
+
+    expect(prompt.messages[0].content).toMatchObject({ type: 'text' });
+    expect(prompt.messages[0].content.text).toContain('# Deep Learn Protocol');
+    expect(uris(prompt)).toEqual(['memory://current_session', 'memory://context_anchors', 'memory://projects/mcp-server']);
+    expect(prompt.messages[1].content.resource).toMatchObject({ mimeType: 'text/markdown' });
+    expect(prompt.messages[1].content.resource.text).toContain('Discussed projects/mcp-server');
+  });
+
+  test('learn embeds me.md and the session plus requested entities', async () => {
+    await writeMemory('me', '# Base Instructions');
+    await writeMemory('sessions/research', '# Session: research\n');
+    await writeMemory('patterns/feedback', '# Feedback');
+
+    const prompt = await getPrompt('learn_protocol', { sessionPath: 'sessions/research', entities: 'patterns/feedback, patterns/missing' });
+
+    expect(prompt.messages[0].content.text).toContain('# Learn Protocol');
+    expect(uris(prompt)).toEqual(['memory://me', 'memory://sessions/research', 'memory://patterns/feedback']);
+  });
+
+  test('dream embeds anchored entities, pinned first', async () => {
+    await writeMemory('context_anchors', [
+      '# Context Anchors', '',
+      '## Pinned', '- **projects/main**: Main project <!-- touched:2024-01-01T00:00:00.000Z -->', '',
+      '## Recent', '- **concepts/recent**: Recent idea <!-- touched:2024-05-01T00:00:00.000Z -->', ''
+    ].join('\n'));
+    await writeMemory('projects/main', '# Main');
+    await writeMemory('concepts/recent', '# Recent');
+
+    const prompt = await getPrompt('dream_protocol', { sessionPath: 'current_session' });
+
+    expect(prompt.messages[0].content.text).toContain('# Dream Protocol');
+    expect(uris(prompt)).toEqual(['memory://context_anchors', 'memory://projects/main', 'memory://concepts/recent']);
+  });
+
+  test('a protocols/ entity overrides the built-in text', async () => {
+    await writeMemory('protocols/dream-protocol', '# My Dream Protocol\n\nReflect weekly.', { metadata: { type: 'protocol' } });
+
+    const prompt = await getPrompt('dream_protocol', { sessionPath: 'current_session' });
+
+    expect(prompt.messages[0].content.text).toBe('# My Dream Protocol\n\nReflect weekly.');
+    expect(prompt.description).toContain('protocols/dream-protocol');
+  });
+
+  test('rejects unknown prompts', async () => {
+    await expect(getPrompt('toString', { sessionPath: 'current_session' })).rejects.toThrow("Unknown prompt: 'toString'");
+  });
+});
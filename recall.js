@@ -0,0 +1,220 @@
+/**
+ * Local semantic recall - no network, no external model
+ * Entities are split into heading-sized chunks and embedded as sparse TF-IDF vectors
+ * over stemmed, stopword-free terms (plus path words, type, tags and aliases), stored in .index/vectors.json
+ */
+
+import { onMemoryChange, readMemoryWithMetadata } from './memory.js';
+import { createIndexStore } from './index-store.js';
+import { tokenize } from './search-index.js';
+
+const VECTORS_VERSION = 2;
+const MAX_CHUNK_LINES = 20;
+const DEFAULT_RECALL_LIMIT = 5;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+  'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your'
+]);
+
+// Light suffix stripping so "reviews"/"reviewing"/"reviewed" share one dimension
+export function stem(word) {
+  let result = word;
+
+  if (result.length > 4 && result.endsWith('ies')) {
+    result = result.slice(0, -3) + 'y';
+  } else if (result.length > 4 && /(?:[sxz]|ch|sh)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.length > 3 && result.endsWith('s') && !result.endsWith('ss')) {
+    result = result.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+      result = result.slice(0, -suffix.length);
+      // "preferred" -> "prefer", "running" -> "run"
+      if (/([^aeiouslz])\1$/.test(result)) {
+        result = result.slice(0, -1);
+      }
+      break;
+    }
+  }
+
+  if (result.length > 5 && result.endsWith('ly')) {
+    result = result.slice(0, -2);
+  }
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+// Stemmed content terms of a text
+export function embeddingTerms(text) {
+  return tokenize(text).filter(term => !STOPWORDS.has(term)).map(stem);
+}
+
+function termFrequencies(terms) {
+  const tf = {};
+  for (const term of terms) {
+    tf[term] = (tf[term] || 0) + 1;
+  }
+  return tf;
+}
+
+// Split an entity into chunks at headings, capping each chunk at MAX_CHUNK_LINES.
+// Returns [{ start, end }] as 0-based inclusive line ranges.
+export function chunkLines(lines) {
+  const chunks = [];
+  let start = 0;
+
+  lines.forEach((line, index) => {
+    const atHeading = /^#{1,6}\s/.test(line) && index > start;
+    const full = index - start >= MAX_CHUNK_LINES;
+    if (atHeading || full) {
+      chunks.push({ start, end: index - 1 });
+      start = index;
+    }
+  });
+  chunks.push({ start, end: lines.length - 1 });
+
+  return chunks.filter(({ start: from, end }) => lines.slice(from, end + 1).some(line => line.trim() !== ''));
+}
+
+function removeEntity(data, path) {
+  const doc = data.docs[path];
+  if (!doc) {
+    return;
+  }
+  for (const chunk of doc.chunks) {
+    for (const term of Object.keys(chunk.tf)) {
+      data.df[term]--;
+      if (data.df[term] <= 0) {
+        delete data.df[term];
+      }
+    }
+  }
+  data.chunk_count -= doc.chunks.length;
+  delete data.docs[path];
+}
+
+function addEntity(data, path, content, metadata = {}) {
+  const lines = content.split('\n');
+  // Path words ("people/izzy" -> izzy) and descriptive metadata belong to every chunk of the entity
+  const describing = [path.replace(/[/_-]/g, ' '), metadata.type, ...(metadata.tags || []), ...(metadata.aliases || [])];
+  const pathTerms = embeddingTerms(describing.filter(Boolean).join(' '));
+
+  const chunks = chunkLines(lines).map(({ start, end }) => ({
+    start,
+    end,
+    tf: termFrequencies([...pathTerms, ...embeddingTerms(lines.slice(start, end + 1).join('\n'))])
+  }));
+
+  for (const chunk of chunks) {
+    for (const term of Object.keys(chunk.tf)) {
+      data.df[term] = (data.df[term] || 0) + 1;
+    }
+  }
+  data.chunk_count += chunks.length;
+  data.docs[path] = { chunks };
+}
+
+const store = createIndexStore('vectors', {
+  version: VECTORS_VERSION,
+  empty: () => ({ version: VECTORS_VERSION, docs: {}, df: {}, chunk_count: 0 }),
+  add: addEntity,
+  remove: removeEntity
+});
+
+// Re-embed entities whenever they change through memory.js (write_entity, deep_learn, ...)
+onMemoryChange(({ path }) => store.refresh(path));
+
+// TF-IDF weights for a term-frequency map
+function weigh(tf, data) {
+  const vector = new Map();
+  let norm = 0;
+  for (const [term, count] of Object.entries(tf)) {
+    const idf = Math.log(1 + data.chunk_count / (data.df[term] || 1));
+    const weight = (1 + Math.log(count)) * idf;
+    vector.set(term, weight);
+    norm += weight * weight;
+  }
+  return { vector, norm: Math.sqrt(norm) };
+}
+
+function cosine(query, chunk) {
+  if (query.norm === 0 || chunk.norm === 0) {
+    return 0;
+  }
+  let dot = 0;
+  for (const [term, weight] of query.vector) {
+    dot += weight * (chunk.vector.get(term) || 0);
+  }
+  return dot / (query.norm * chunk.norm);
+}
+
+// Startup check: re-embed entities edited outside the server
+export async function syncVectors() {
+  return await store.sync();
+}
+
+// Discard the vectors and re-embed every entity on disk
+export async function rebuildVectors() {
+  const data = await store.reset();
+  return { entities: Object.keys(data.docs).length, chunks: data.chunk_count };
+}
+
+// Find entities by meaning. Returns the best-matching chunk per entity, highest similarity first.
+// Entities canRead rejects are never scored, so they cannot take one of the limit places.
+export async function recall(query, { limit = DEFAULT_RECALL_LIMIT, filterPrefix = '', minScore = 0.05, canRead = () => true } = {}) {
+  const queryTerms = embeddingTerms(query);
+  if (queryTerms.length === 0) {
+    throw new Error('Recall query must contain at least one meaningful word');
+  }
+
+  const data = await store.load();
+  const queryVector = weigh(termFrequencies(queryTerms), data);
+  const best = [];
+
+  for (const [path, doc] of Object.entries(data.docs)) {
+    if (!path.startsWith(filterPrefix) || !canRead(path)) {
+      continue;
+    }
+    let top = null;
+    for (const chunk of doc.chunks) {
+      const score = cosine(queryVector, weigh(chunk.tf, data));
+      if (!top || score > top.score) {
+        top = { score, chunk };
+      }
+    }
+    if (top && top.score >= minScore) {
+      best.push({ path, ...top });
+    }
+  }
+
+  best.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+
+  const results = [];
+  for (const { path, score, chunk } of best.slice(0, limit)) {
+    const entity = await readMemoryWithMetadata(path).catch(() => null);
+    if (entity === null) {
+      continue;
+    }
+    results.push({
+      path,
+      score: Math.round(score * 10000) / 10000,
+      chunk: {
+        start_line: chunk.start + 1,
+        end_line: chunk.end + 1,
+        text: entity.content.split('\n').slice(chunk.start, chunk.end + 1).join('\n')
+      }
+    });
+  }
+
+  return { query, results };
+}
@@ -0,0 +1,102 @@
+/**
+ * Jest tests for local semantic recall
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { stem, chunkLines, recall, syncVectors, rebuildVectors } from './recall.js';
+
+describe('Semantic Recall', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('stems word variants to a shared form', () => {
+    expect(stem('reviews')).toBe(stem('review'));
+    expect(stem('reviewed')).toBe(stem('reviewing'));
+    expect(stem('likes')).toBe(stem('like'));
+    expect(stem('preferred')).toBe(stem('prefers'));
+    expect(stem('class')).toBe('class');
+  });
+
+  test('chunks at headings and skips blank chunks', () => {
+    const lines = ['# Title', 'intro', '', '## Section', 'body', ''];
+
+    expect(chunkLines(lines)).toEqual([{ start: 0, end: 2 }, { start: 3, end: 5 }]);
+  });
+
+  test('caps chunk length', () => {
+    const lines = Array.from({ length: 45 }, (_, i) => `line ${i}`);
+
+    expect(chunkLines(lines)).toHaveLength(3);
+  });
+
+  describe('recall', () => {
+    beforeEach(async () => {
+      await writeMemory('people/izzy', '# Izzy\n\n## Collaboration\nPrefers small PRs and liked thorough, kind reviewing of code.\n\n## Hobbies\nClimbing and chess.');
+      await writeMemory('projects/deploy', '# Deploy Pipeline\n\nBlue/green rollout for the API servers.');
+      await writeMemory('concepts/tdd', '# TDD\n\nWrite the failing test before the code.');
+    });
+
+    test('finds entities by meaning even without exact words', async () => {
+      const result = await recall('how Izzy likes code reviews');
+
+      expect(result.results[0].path).toBe('people/izzy');
+      expect(result.results[0].chunk.start_line).toBe(3);
+      expect(result.results[0].chunk.text).toContain('thorough, kind reviewing');
+      expect(result.results[0].score).toBeGreaterThan(0);
+    });
+
+    test('returns one best chunk per entity ordered by similarity', async () => {
+      const result = await recall('code', { limit: 10 });
+      const paths = result.results.map(r => r.path);
+
+      expect(new Set(paths).size).toBe(paths.length);
+      expect(paths).not.toContain('projects/deploy');
+    });
+
+    test('respects filter prefix and limit', async () => {
+      const filtered = await recall('code', { filterPrefix: 'concepts/' });
+      expect(filtered.results.map(r => r.path)).toEqual(['concepts/tdd']);
+
+      const limited = await recall('code', { limit: 1 });
+      expect(limited.results).toHaveLength(1);
+    });
+
+    test('refreshes vectors when an entity is rewritten', async () => {
+      await writeMemory('projects/deploy', '# Deploy Pipeline\n\nNow reviewed by Izzy before each rollout.');
+
+      const result = await recall('rollout reviews', { limit: 1 });
+      expect(result.results[0].path).toBe('projects/deploy');
+      expect(result.results[0].chunk.text).toContain('Now reviewed');
+    });
+
+    test('stores vectors inside the memory directory', async () => {
+      // Snapshot plus the log of entities changed since
+      const vectors = JSON.parse(await fs.readFile('./memory/.index/vectors.json', 'utf-8'));
+      const log = await fs.readFile(`./memory/.index/vectors.${vectors.log}.log`, 'utf-8').catch(() => '');
+      const logged = log.split('\n').filter(Boolean).map(line => JSON.parse(line).path);
+
+      expect([...new Set([...Object.keys(vectors.docs), ...logged])].sort()).toEqual(['concepts/tdd', 'people/izzy', 'projects/deploy']);
+    });
+
+    test('sync re-embeds files edited outside the server', async () => {
+      await fs.writeFile('./memory/concepts/tdd.md', '# TDD\n\nRed, green, refactor kata.');
+
+      expect(await syncVectors()).toEqual({ rebuilt: false, reindexed: 1, removed: 0 });
+      expect((await recall('kata')).results.map(r => r.path)).toEqual(['concepts/tdd']);
+    });
+
+    test('rebuild re-embeds every entity', async () => {
+      expect(await rebuildVectors()).toEqual({ entities: 3, chunks: 5 });
+    });
+
+    test('rejects queries with only stopwords', async () => {
+      await expect(recall('how is the')).rejects.toThrow('meaningful word');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Entities as MCP resources
+ * Every entity is a text/markdown resource at memory://<path> (e.g. memory://people/john-doe), so clients
+ * can attach it to context directly instead of calling read_entity
+ */
+
+import { listMemory, readMemory, statMemory, validatePath } from './memory.js';
+
+export const URI_SCHEME = 'memory://';
+export const RESOURCE_MIME_TYPE = 'text/markdown';
+
+const PAGE_SIZE = 200;
+// Folders the memory layout uses for entity types, offered as templates even before they exist
+const ENTITY_FOLDERS = ['people', 'projects', 'patterns', 'protocols', 'anti-patterns', 'concepts'];
+
+export function entityUri(path) {
+  return URI_SCHEME + path.split('/').map(encodeURIComponent).join('/');
+}
+
+// Entity path of a memory:// URI; throws on other schemes and paths outside the memory directory
+export function pathFromUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(URI_SCHEME)) {
+    throw new Error(`Not a memory resource URI: '${uri}' (expected ${URI_SCHEME}<entity path>)`);
+  }
+  const path = uri.slice(URI_SCHEME.length).replace(/\.md$/, '').split('/').map(decodeURIComponent).join('/');
+  validatePath(path);
+  return path;
+}
+
+// One page of entity resources; cursor is the opaque nextCursor of the previous page.
+// Cursors are offsets into the paths canRead allows.
+export async function listEntityResources(cursor, { canRead = () => true } = {}) {
+  const offset = cursor === undefined ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid cursor: '${cursor}'`);
+  }
+
+  const paths = (await listMemory()).filter(path => canRead(path)).sort();
+  const resources = [];
+  for (const path of paths.slice(offset, offset + PAGE_SIZE)) {
+    const stat = await statMemory(path).catch(() => null);
+    if (stat) {
+      resources.push({
+        uri: entityUri(path),
+        name: path,
+        mimeType: RESOURCE_MIME_TYPE,
+        size: stat.size,
+        annotations: { lastModified: new Date(stat.mtimeMs).toISOString() }
+      });
+    }
+  }
+
+  const next = offset + PAGE_SIZE;
+  return next < paths.length ? { resources, nextCursor: String(next) } : { resources };
+}
+
+// The raw file (frontmatter included) behind a resource URI, or null if the entity does not exist
+export async function readEntityResource(uri) {
+  const path = pathFromUri(uri);
+  const text = await readMemory(path).catch(() => null);
+  return text === null ? null : { uri, mimeType: RESOURCE_MIME_TYPE, text };
+}
+
+// A template for any entity plus one per entity-type folder
+export async function entityResourceTemplates() {
+  const folders = new Set(ENTITY_FOLDERS);
+  for (const path of await listMemory()) {
+    if (path.includes('/')) {
+      folders.add(path.split('/')[0]);
+    }
+  }
+
+  return [
+    { uriTemplate: `${URI_SCHEME}{+path}`, name: 'entity', description: 'Any memory entity by path (e.g., memory://me or memory://people/john-doe)', mimeType: RESOURCE_MIME_TYPE },
+    ...[...folders].sort().map(folder => ({
+      uriTemplate: `${URI_SCHEME}${encodeURIComponent(folder)}/{+name}`,
+      name: `${folder}-entity`,
+      description: `An entity in ${folder}/`,
+      mimeType: RESOURCE_MIME_TYPE
+    }))
+  ];
+}
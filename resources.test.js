@@ -0,0 +1,60 @@
+/**
+ * Jest tests for entities as MCP resources
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { entityUri, pathFromUri, listEntityResources, readEntityResource, entityResourceTemplates } from './resources.js';
+
+describe('Entity Resources', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('maps entity paths to memory:// URIs and back', () => {
+    expect(entityUri('people/john-doe')).toBe('memory://people/john-doe');
+    expect(entityUri('notes/a b')).toBe('memory://notes/a%20b');
+    expect(pathFromUri('memory://notes/a%20b')).toBe('notes/a b');
+    expect(pathFromUri('memory://people/john-doe.md')).toBe('people/john-doe');
+    expect(() => pathFromUri('file:///etc/passwd')).toThrow('Not a memory resource URI');
+    expect(() => pathFromUri('memory://../outside')).toThrow('escapes memory directory');
+    expect(() => pathFromUri('memory://.trash/x')).toThrow('reserved');
+  });
+
+  test('lists every entity with size and modification time', async () => {
+    await writeMemory('me', '# Me');
+    await writeMemory('people/john-doe', '# John');
+
+    const { resources, nextCursor } = await listEntityResources();
+
+    expect(nextCursor).toBeUndefined();
+    expect(resources.map(resource => resource.uri)).toEqual(['memory://me', 'memory://people/john-doe']);
+    expect(resources[1]).toMatchObject({ name: 'people/john-doe', mimeType: 'text/markdown', size: 6 });
+    expect(new Date(resources[1].annotations.lastModified).getTime()).not.toBeNaN();
+    await expect(listEntityResources('abc')).rejects.toThrow('Invalid cursor');
+  });
+
+  test('reads the raw entity file', async () => {
+    await writeMemory('people/john-doe', '# John', { metadata: { tags: ['friend'] } });
+
+    const resource = await readEntityResource('memory://people/john-doe');
+
+    expect(resource.mimeType).toBe('text/markdown');
+    expect(resource.text).toContain('tags: [friend]');
+    expect(resource.text).toContain('# John');
+    expect(await readEntityResource('memory://people/nobody')).toBeNull();
+  });
+
+  test('offers a template per entity folder', async () => {
+    await writeMemory('recipes/soup', '# Soup');
+
+    const templates = await entityResourceTemplates();
+
+    expect(templates[0].uriTemplate).toBe('memory://{+path}');
+    expect(templates.map(template => template.uriTemplate)).toEqual(expect.arrayContaining(['memory://people/{+name}', 'memory://recipes/{+name}']));
+  });
+});
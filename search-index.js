@@ -0,0 +1,155 @@
+/**
+ * Persistent inverted index over entity content
+ * term -> entity -> { term frequency, line numbers }, ranked with BM25
+ */
+
+import { onMemoryChange } from './memory.js';
+import { createIndexStore } from './index-store.js';
+
+const INDEX_VERSION = 2;
+const MAX_LINES_PER_POSTING = 50;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// Word tokens in order of appearance, case preserved
+export function splitWords(text) {
+  return text.match(TOKEN_PATTERN) || [];
+}
+
+// Lowercase word tokens, in order of appearance
+export function tokenize(text) {
+  return splitWords(text.toLowerCase());
+}
+
+// term -> { tf, lines } for one entity (1-based line numbers)
+function tokenizeContent(content) {
+  const terms = new Map();
+  let length = 0;
+
+  content.split('\n').forEach((line, index) => {
+    for (const term of tokenize(line)) {
+      length++;
+      const entry = terms.get(term) || { tf: 0, lines: [] };
+      entry.tf++;
+      if (entry.lines[entry.lines.length - 1] !== index + 1 && entry.lines.length < MAX_LINES_PER_POSTING) {
+        entry.lines.push(index + 1);
+      }
+      terms.set(term, entry);
+    }
+  });
+
+  return { terms, length };
+}
+
+function removeDoc(index, path) {
+  const doc = index.docs[path];
+  if (!doc) {
+    return;
+  }
+  for (const term of doc.terms) {
+    const posting = index.postings[term];
+    if (posting) {
+      delete posting[path];
+      if (Object.keys(posting).length === 0) {
+        delete index.postings[term];
+      }
+    }
+  }
+  delete index.docs[path];
+}
+
+function addDoc(index, path, content) {
+  const { terms, length } = tokenizeContent(content);
+
+  for (const [term, { tf, lines }] of terms) {
+    if (!index.postings[term]) {
+      index.postings[term] = {};
+    }
+    index.postings[term][path] = [tf, lines];
+  }
+
+  index.docs[path] = { length, terms: [...terms.keys()] };
+}
+
+const store = createIndexStore('search', {
+  version: INDEX_VERSION,
+  empty: () => ({ version: INDEX_VERSION, docs: {}, postings: {} }),
+  add: addDoc,
+  remove: removeDoc
+});
+
+// Keep the index current on every write through memory.js
+onMemoryChange(({ path }) => store.refresh(path));
+
+// Startup check: reindex entities added or edited outside the server (by mtime/size)
+export async function syncSearchIndex() {
+  return await store.sync();
+}
+
+// Discard the index and rebuild it from every entity on disk
+export async function rebuildSearchIndex() {
+  const index = await store.reset();
+  return {
+    entities: Object.keys(index.docs).length,
+    terms: Object.keys(index.postings).length
+  };
+}
+
+// Index terms matching a query token: the token itself or any word it prefixes
+function expandToken(index, token) {
+  return Object.keys(index.postings).filter(term => term.startsWith(token));
+}
+
+// Rank entities containing every query token (as a word or word prefix) with BM25.
+// Returns [{ path, score, lines }] sorted by descending score.
+export async function querySearchIndex(query, { filterPrefix = '' } = {}) {
+  const tokens = [...new Set(tokenize(query))];
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const index = await store.load();
+  const docPaths = Object.keys(index.docs);
+  const docCount = docPaths.length;
+  const avgLength = docPaths.reduce((sum, path) => sum + index.docs[path].length, 0) / (docCount || 1);
+
+  let candidates = null;
+  const scores = new Map();
+  const lines = new Map();
+
+  for (const token of tokens) {
+    // Treat all expansions of a token as one term: summed frequency, combined document frequency
+    const frequencies = new Map();
+    for (const term of expandToken(index, token)) {
+      for (const [path, [tf, termLines]] of Object.entries(index.postings[term])) {
+        if (!path.startsWith(filterPrefix)) {
+          continue;
+        }
+        frequencies.set(path, (frequencies.get(path) || 0) + tf);
+        lines.set(path, [...(lines.get(path) || []), ...termLines]);
+      }
+    }
+
+    const df = frequencies.size;
+    const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    for (const [path, tf] of frequencies) {
+      const norm = 1 - BM25_B + BM25_B * (index.docs[path].length / (avgLength || 1));
+      scores.set(path, (scores.get(path) || 0) + idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+    }
+
+    const matchedHere = new Set(frequencies.keys());
+    candidates = candidates === null ?
+      matchedHere :
+      new Set([...candidates].filter(path => matchedHere.has(path)));
+  }
+
+  return [...candidates]
+    .map(path => ({
+      path,
+      score: Math.round(scores.get(path) * 10000) / 10000,
+      lines: [...new Set(lines.get(path))].sort((a, b) => a - b)
+    }))
+    .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+}
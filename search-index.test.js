@@ -0,0 +1,88 @@
+/**
+ * Jest tests for the persistent search index
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { tokenize, querySearchIndex, syncSearchIndex, rebuildSearchIndex } from './search-index.js';
+
+describe('Search Index', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('tokenizes into lowercase words', () => {
+    expect(tokenize('Code-Review: TDD_first, v2.0!')).toEqual(['code', 'review', 'tdd_first', 'v2', '0']);
+  });
+
+  test('stores the index inside the memory directory', async () => {
+    await writeMemory('people/izzy', '# Izzy');
+
+    const index = JSON.parse(await fs.readFile('./memory/.index/search.json', 'utf-8'));
+    expect(Object.keys(index.docs)).toEqual(['people/izzy']);
+    expect(index.postings.izzy['people/izzy']).toEqual([1, [1]]);
+  });
+
+  test('updates incrementally on writeMemory', async () => {
+    await writeMemory('people/izzy', '# Izzy\n\nLikes pair programming');
+    expect((await querySearchIndex('pair')).map(r => r.path)).toEqual(['people/izzy']);
+
+    await writeMemory('people/izzy', '# Izzy\n\nLikes async reviews');
+    expect(await querySearchIndex('pair')).toEqual([]);
+    expect(await querySearchIndex('async')).toEqual([{ path: 'people/izzy', score: expect.any(Number), lines: [3] }]);
+  });
+
+  test('ranks by BM25 and requires every term', async () => {
+    await writeMemory('concepts/testing', 'testing testing testing tdd');
+    await writeMemory('concepts/tdd', 'tdd workflow with some testing');
+    await writeMemory('concepts/other', 'unrelated notes');
+
+    const ranked = await querySearchIndex('testing');
+    expect(ranked.map(r => r.path)).toEqual(['concepts/testing', 'concepts/tdd']);
+
+    const both = await querySearchIndex('tdd workflow');
+    expect(both.map(r => r.path)).toEqual(['concepts/tdd']);
+  });
+
+  test('filters by prefix', async () => {
+    await writeMemory('people/izzy', 'mcp servers');
+    await writeMemory('projects/mcp', 'mcp servers');
+
+    expect((await querySearchIndex('mcp', { filterPrefix: 'projects/' })).map(r => r.path)).toEqual(['projects/mcp']);
+  });
+
+  test('startup sync picks up files edited outside the server', async () => {
+    await writeMemory('people/izzy', 'original words');
+    await writeMemory('people/gone', 'soon deleted');
+
+    await fs.writeFile('./memory/people/izzy.md', 'edited externally with different words');
+    await fs.writeFile('./memory/people/new.md', 'created externally');
+    await fs.rm('./memory/people/gone.md');
+
+    const result = await syncSearchIndex();
+    expect(result).toEqual({ rebuilt: false, reindexed: 2, removed: 1 });
+    expect((await querySearchIndex('externally')).map(r => r.path).sort()).toEqual(['people/izzy', 'people/new']);
+    expect(await querySearchIndex('original')).toEqual([]);
+    expect(await querySearchIndex('deleted')).toEqual([]);
+  });
+
+  test('builds the index from disk when none exists', async () => {
+    await fs.mkdir('./memory/people', { recursive: true });
+    await fs.writeFile('./memory/people/izzy.md', 'pre-existing entity');
+
+    const result = await syncSearchIndex();
+    expect(result.rebuilt).toBe(true);
+    expect((await querySearchIndex('existing')).map(r => r.path)).toEqual(['people/izzy']);
+  });
+
+  test('rebuild reports entity and term counts', async () => {
+    await writeMemory('a', 'one two');
+    await writeMemory('b', 'two three');
+
+    expect(await rebuildSearchIndex()).toEqual({ entities: 2, terms: 3 });
+  });
+});
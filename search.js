@@ -0,0 +1,164 @@
+/**
+ * Full-text search across memory entities
+ * Plain-term, phrase and regex queries with line numbers and surrounding context.
+ * Term and phrase queries narrow candidates through the inverted index; regex scans every entity.
+ * Only the markdown body is searched, so line numbers line up with read_entity offsets.
+ */
+
+import { listMemory, readMemoryWithMetadata } from './memory.js';
+import { querySearchIndex, splitWords } from './search-index.js';
+
+const DEFAULT_CONTEXT_LINES = 2;
+const DEFAULT_MAX_RESULTS = 20;
+const DEFAULT_MAX_HITS_PER_ENTITY = 5;
+
+export const SEARCH_MODES = ['terms', 'phrase', 'regex'];
+
+// Escape text for literal use inside a RegExp
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build one global regex per thing that has to be found in an entity.
+// Terms mode requires every word (or word prefix) somewhere in the entity; phrase and regex need a single pattern.
+export function buildMatchers(query, mode = 'terms', caseSensitive = false) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode '${mode}' (expected one of: ${SEARCH_MODES.join(', ')})`);
+  }
+  if (typeof query !== 'string' || query.trim() === '') {
+    throw new Error('Search query must be a non-empty string');
+  }
+
+  const flags = caseSensitive ? 'g' : 'gi';
+
+  if (mode === 'regex') {
+    try {
+      return [new RegExp(query, flags)];
+    } catch (error) {
+      throw new Error(`Invalid regex query: ${error.message}`);
+    }
+  }
+
+  if (mode === 'phrase') {
+    return [new RegExp(escapeRegExp(query.trim()), flags)];
+  }
+
+  const words = [...new Set(splitWords(caseSensitive ? query : query.toLowerCase()))];
+  if (words.length === 0) {
+    throw new Error('Search query must contain at least one word');
+  }
+  return words.map(word => new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}`, `${flags}u`));
+}
+
+// Count non-overlapping matches of a global regex in a line
+function countMatches(regex, line) {
+  regex.lastIndex = 0;
+  let count = 0;
+  let match;
+  while ((match = regex.exec(line)) !== null) {
+    count++;
+    if (match[0] === '') {
+      regex.lastIndex++;
+    }
+  }
+  return count;
+}
+
+// Find matching lines in a single entity's content.
+// Returns null when the entity does not satisfy every matcher.
+export function searchContent(content, matchers, { contextLines = DEFAULT_CONTEXT_LINES, maxHits = DEFAULT_MAX_HITS_PER_ENTITY } = {}) {
+  const lines = content.split('\n');
+  const matchedPatterns = new Set();
+  const hits = [];
+  let matchCount = 0;
+  let matchedLines = 0;
+
+  lines.forEach((line, index) => {
+    let lineMatches = 0;
+    matchers.forEach((regex, matcherIndex) => {
+      const count = countMatches(regex, line);
+      if (count > 0) {
+        matchedPatterns.add(matcherIndex);
+        lineMatches += count;
+      }
+    });
+
+    if (lineMatches === 0) {
+      return;
+    }
+
+    matchCount += lineMatches;
+    matchedLines++;
+    if (hits.length < maxHits) {
+      hits.push({
+        line: index + 1,
+        text: line,
+        before: lines.slice(Math.max(0, index - contextLines), index),
+        after: lines.slice(index + 1, index + 1 + contextLines)
+      });
+    }
+  });
+
+  if (matchedPatterns.size < matchers.length) {
+    return null;
+  }
+
+  return { match_count: matchCount, matched_lines: matchedLines, hits };
+}
+
+// Candidate entities for a query, with index scores when the index can rank them
+async function findCandidates(query, mode, filterPrefix) {
+  if (mode !== 'regex' && splitWords(query).length > 0) {
+    return await querySearchIndex(query, { filterPrefix });
+  }
+  const entities = await listMemory();
+  return entities.filter(path => path.startsWith(filterPrefix)).map(path => ({ path }));
+}
+
+// Search entities (optionally under a prefix) that canRead allows; total_results counts only those.
+// Terms queries are ranked by BM25; phrase and regex queries by number of matches.
+export async function searchMemory({
+  query,
+  mode = 'terms',
+  filterPrefix = '',
+  caseSensitive = false,
+  contextLines = DEFAULT_CONTEXT_LINES,
+  maxResults = DEFAULT_MAX_RESULTS,
+  maxHitsPerEntity = DEFAULT_MAX_HITS_PER_ENTITY,
+  canRead = () => true
+}) {
+  const matchers = buildMatchers(query, mode, caseSensitive);
+  const candidates = (await findCandidates(query, mode, filterPrefix)).filter(candidate => canRead(candidate.path));
+  const ranked = mode === 'terms';
+  // The index matches terms case-insensitively, so every candidate is a result unless case matters
+  const candidatesMatch = ranked && !caseSensitive;
+  const results = [];
+
+  for (const candidate of candidates) {
+    // Index-ranked results are already in order; stop reading files once the page is full
+    if (candidatesMatch && results.length >= maxResults) {
+      break;
+    }
+
+    const entity = await readMemoryWithMetadata(candidate.path).catch(() => null);
+    if (entity === null) {
+      continue;
+    }
+
+    const found = searchContent(entity.content, matchers, { contextLines, maxHits: maxHitsPerEntity });
+    if (found) {
+      results.push({ path: candidate.path, score: ranked ? candidate.score : found.match_count, ...found });
+    }
+  }
+
+  if (!ranked) {
+    results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  }
+
+  return {
+    query,
+    mode,
+    total_results: candidatesMatch ? candidates.length : results.length,
+    results: results.slice(0, maxResults)
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Jest tests for full-text entity search
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { buildMatchers, searchContent, searchMemory } from './search.js';
+
+describe('Entity Search', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  describe('buildMatchers', () => {
+    test('creates one matcher per distinct term', () => {
+      const matchers = buildMatchers('code review Code');
+      expect(matchers).toHaveLength(2);
+    });
+
+    test('matches terms at word starts', () => {
+      const [matcher] = buildMatchers('review');
+      expect(matcher.test('Reviews pending')).toBe(true);
+      matcher.lastIndex = 0;
+      expect(matcher.test('preview pending')).toBe(false);
+    });
+
+    test('escapes regex metacharacters in phrase mode', () => {
+      const [matcher] = buildMatchers('v2.0 (beta)', 'phrase');
+      expect(matcher.test('release v2.0 (beta) today')).toBe(true);
+      matcher.lastIndex = 0;
+      expect(matcher.test('release v200 beta today')).toBe(false);
+    });
+
+    test('rejects invalid regex queries', () => {
+      expect(() => buildMatchers('([a-z', 'regex')).toThrow('Invalid regex query');
+    });
+
+    test('rejects unknown modes and empty queries', () => {
+      expect(() => buildMatchers('x', 'fuzzy')).toThrow('Unknown search mode');
+      expect(() => buildMatchers('   ')).toThrow('non-empty');
+    });
+  });
+
+  describe('searchContent', () => {
+    const content = ['# Izzy', '', 'Prefers small code review batches', 'Likes TDD', 'Review early, review often'].join('\n');
+
+    test('returns 1-based line numbers with context', () => {
+      const found = searchContent(content, buildMatchers('tdd'), { contextLines: 1 });
+
+      expect(found.hits).toEqual([{
+        line: 4,
+        text: 'Likes TDD',
+        before: ['Prefers small code review batches'],
+        after: ['Review early, review often']
+      }]);
+    });
+
+    test('counts every occurrence across lines', () => {
+      const found = searchContent(content, buildMatchers('review'));
+
+      expect(found.match_count).toBe(3);
+      expect(found.matched_lines).toBe(2);
+    });
+
+    test('requires every term to appear somewhere in the entity', () => {
+      expect(searchContent(content, buildMatchers('review tdd'))).not.toBeNull();
+      expect(searchContent(content, buildMatchers('review python'))).toBeNull();
+    });
+
+    test('caps hits per entity', () => {
+      const found = searchContent(content, buildMatchers('review'), { maxHits: 1 });
+
+      expect(found.hits).toHaveLength(1);
+      expect(found.matched_lines).toBe(2);
+    });
+  });
+
+  describe('searchMemory', () => {
+    beforeEach(async () => {
+      await writeMemory('people/izzy', '# Izzy\n\nCode review: prefers small batches.\nReview early.');
+      await writeMemory('people/john-doe', '# John Doe\n\nWorks on the code review bot.');
+      await writeMemory('projects/mcp-servers', '# MCP Servers\n\nNo reviews here, just code.');
+    });
+
+    test('ranks entities by relevance', async () => {
+      const result = await searchMemory({ query: 'review' });
+
+      expect(result.total_results).toBe(3);
+      expect(result.results[0].path).toBe('people/izzy');
+      expect(result.results.map(r => r.path).sort()).toEqual(['people/izzy', 'people/john-doe', 'projects/mcp-servers']);
+    });
+
+    test('matches whole words and word prefixes only', async () => {
+      const prefix = await searchMemory({ query: 'revi' });
+      expect(prefix.total_results).toBe(3);
+
+      const infix = await searchMemory({ query: 'view' });
+      expect(infix.total_results).toBe(0);
+    });
+
+    test('limits search to filter prefix', async () => {
+      const result = await searchMemory({ query: 'code', filterPrefix: 'projects/' });
+
+      expect(result.results.map(r => r.path)).toEqual(['projects/mcp-servers']);
+    });
+
+    test('supports phrase and regex queries', async () => {
+      const phrase = await searchMemory({ query: 'code review', mode: 'phrase' });
+      expect(phrase.results.map(r => r.path).sort()).toEqual(['people/izzy', 'people/john-doe']);
+
+      const regex = await searchMemory({ query: '^Review\\b', mode: 'regex', caseSensitive: true });
+      expect(regex.results.map(r => r.path)).toEqual(['people/izzy']);
+      expect(regex.results[0].hits[0].line).toBe(4);
+    });
+
+    test('truncates to max results', async () => {
+      const result = await searchMemory({ query: 'review', maxResults: 1 });
+
+      expect(result.total_results).toBe(3);
+      expect(result.results).toHaveLength(1);
+    });
+
+    test('counts only case-sensitive matches in the total', async () => {
+      const result = await searchMemory({ query: 'Review', caseSensitive: true, maxResults: 1 });
+
+      expect(result.total_results).toBe(1);
+      expect(result.results.map(r => r.path)).toEqual(['people/izzy']);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Server configuration: read-only mode and per-tool allow/deny lists
+ * Read from .server-config.json in the memory directory, with environment variables taking precedence:
+ *
+ *   { "read_only": true, "disabled_tools": ["reindex"], "enabled_tools": ["read_entity", "search_entities"] }
+ *
+ *   COGNITIVE_MEMORY_READ_ONLY=true|false
+ *   COGNITIVE_MEMORY_DISABLED_TOOLS=deep_learn,learn
+ *   COGNITIVE_MEMORY_ENABLED_TOOLS=read_entity,list_entities
+ *
+ * A tool is available unless read-only mode is on and it writes, it is disabled, or it is missing from
+ * the enabled list. In read-only mode the enabled list defaults to READ_ONLY_TOOLS. The file is hidden,
+ * so no tool can read or change it.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { MEMORY_DIR } from './memory.js';
+import { isKnownTool, isMutatingTool } from './auth.js';
+
+export const CONFIG_FILE = '.server-config.json';
+
+// What a read-only server offers when enabled_tools does not say otherwise
+export const READ_ONLY_TOOLS = Object.freeze(['read_entity', 'list_entities']);
+
+export const DEFAULT_SERVER_CONFIG = Object.freeze({ read_only: false, disabled_tools: [], enabled_tools: null });
+
+function parseBoolean(value, name) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+  if (['0', 'false', 'no', 'off', ''].includes(normalized)) {
+    return false;
+  }
+  throw new Error(`${name} must be true or false, not '${value}'`);
+}
+
+// Tool names from a list or a comma-separated string; unknown names are errors so a typo never leaves a tool on
+function parseToolList(value, name) {
+  const tools = typeof value === 'string' ? value.split(',').map(tool => tool.trim()).filter(Boolean) : value;
+  if (!Array.isArray(tools) || tools.some(tool => typeof tool !== 'string')) {
+    throw new Error(`${name} must be a list of tool names`);
+  }
+  const unknown = tools.filter(tool => !isKnownTool(tool));
+  if (unknown.length > 0) {
+    throw new Error(`${name} names unknown tool(s): ${unknown.join(', ')}`);
+  }
+  return tools;
+}
+
+// Configuration from the memory directory's config file and the environment
+export async function loadServerConfig({ env = process.env, memoryDir = MEMORY_DIR } = {}) {
+  const file = join(memoryDir, CONFIG_FILE);
+  let fileConfig = {};
+  try {
+    fileConfig = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot read server config '${file}': ${error.message}`);
+    }
+  }
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new Error(`Server config '${file}' must be a JSON object`);
+  }
+
+  const setting = (key, envName) => env[envName] !== undefined ? [env[envName], envName] : [fileConfig[key], `${CONFIG_FILE} ${key}`];
+  const [readOnly, readOnlyName] = setting('read_only', 'COGNITIVE_MEMORY_READ_ONLY');
+  const [disabled, disabledName] = setting('disabled_tools', 'COGNITIVE_MEMORY_DISABLED_TOOLS');
+  const [enabled, enabledName] = setting('enabled_tools', 'COGNITIVE_MEMORY_ENABLED_TOOLS');
+
+  return {
+    read_only: readOnly === undefined ? false : parseBoolean(readOnly, readOnlyName),
+    disabled_tools: disabled === undefined ? [] : parseToolList(disabled, disabledName),
+    enabled_tools: enabled === undefined ? null : parseToolList(enabled, enabledName)
+  };
+}
+
+// Why a tool is unavailable under config, or null if it is available (unknown tools are left to the dispatcher)
+export function toolRestriction(config, name) {
+  if (!isKnownTool(name)) {
+    return null;
+  }
+  if (config.read_only && isMutatingTool(name)) {
+    return `Tool '${name}' changes memory and the server is in read-only mode`;
+  }
+  const enabled = config.enabled_tools ?? (config.read_only ? READ_ONLY_TOOLS : null);
+  if (config.disabled_tools.includes(name) || (enabled && !enabled.includes(name))) {
+    return `Tool '${name}' is disabled by the server configuration`;
+  }
+  return null;
+}
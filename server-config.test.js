@@ -0,0 +1,80 @@
+/**
+ * Jest tests for the server configuration
+ */
+
+import { promises as fs } from 'fs';
+import { loadServerConfig, toolRestriction, DEFAULT_SERVER_CONFIG, CONFIG_FILE } from './server-config.js';
+
+const writeConfig = async config => {
+  await fs.mkdir('./memory', { recursive: true });
+  await fs.writeFile(`./memory/${CONFIG_FILE}`, typeof config === 'string' ? config : JSON.stringify(config));
+};
+
+describe('Server Config', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('defaults to every tool available', async () => {
+    expect(await loadServerConfig({ env: {} })).toEqual(DEFAULT_SERVER_CONFIG);
+    expect(toolRestriction(DEFAULT_SERVER_CONFIG, 'deep_learn')).toBeNull();
+  });
+
+  test('reads the config file from the memory directory', async () => {
+    await writeConfig({ read_only: true, disabled_tools: ['reindex'] });
+
+    expect(await loadServerConfig({ env: {} })).toEqual({ read_only: true, disabled_tools: ['reindex'], enabled_tools: null });
+  });
+
+  test('environment variables win over the file', async () => {
+    await writeConfig({ read_only: true, disabled_tools: ['reindex'] });
+
+    const config = await loadServerConfig({
+      env: { COGNITIVE_MEMORY_READ_ONLY: 'false', COGNITIVE_MEMORY_DISABLED_TOOLS: 'deep_learn, learn', COGNITIVE_MEMORY_ENABLED_TOOLS: '' }
+    });
+
+    expect(config).toEqual({ read_only: false, disabled_tools: ['deep_learn', 'learn'], enabled_tools: [] });
+  });
+
+  test('rejects bad values and unknown tool names', async () => {
+    await expect(loadServerConfig({ env: { COGNITIVE_MEMORY_READ_ONLY: 'maybe' } })).rejects.toThrow("COGNITIVE_MEMORY_READ_ONLY must be true or false, not 'maybe'");
+    await expect(loadServerConfig({ env: { COGNITIVE_MEMORY_DISABLED_TOOLS: 'deep_lern' } })).rejects.toThrow('names unknown tool(s): deep_lern');
+
+    await writeConfig({ enabled_tools: 'read_entity' });
+    expect((await loadServerConfig({ env: {} })).enabled_tools).toEqual(['read_entity']);
+    await writeConfig({ enabled_tools: [1] });
+    await expect(loadServerConfig({ env: {} })).rejects.toThrow(`${CONFIG_FILE} enabled_tools must be a list of tool names`);
+    await writeConfig('{ read_only');
+    await expect(loadServerConfig({ env: {} })).rejects.toThrow('Cannot read server config');
+    await writeConfig('[]');
+    await expect(loadServerConfig({ env: {} })).rejects.toThrow('must be a JSON object');
+  });
+
+  test('restricts writing tools in read-only mode and listed tools otherwise', () => {
+    const readOnly = { ...DEFAULT_SERVER_CONFIG, read_only: true };
+    expect(toolRestriction(readOnly, 'read_entity')).toBeNull();
+    expect(toolRestriction(readOnly, 'list_entities')).toBeNull();
+    expect(toolRestriction(readOnly, 'search_entities')).toContain('disabled by the server configuration');
+    expect(toolRestriction(readOnly, 'deep_learn')).toContain('read-only mode');
+
+    // An enabled list widens read-only mode to other read tools, never to writing ones
+    const readOnlyWithSearch = { ...readOnly, enabled_tools: ['read_entity', 'search_entities', 'write_entity'] };
+    expect(toolRestriction(readOnlyWithSearch, 'search_entities')).toBeNull();
+    expect(toolRestriction(readOnlyWithSearch, 'list_entities')).toContain('disabled');
+    expect(toolRestriction(readOnlyWithSearch, 'write_entity')).toContain('read-only mode');
+
+    const disabled = { ...DEFAULT_SERVER_CONFIG, disabled_tools: ['learn'] };
+    expect(toolRestriction(disabled, 'learn')).toContain('disabled by the server configuration');
+    expect(toolRestriction(disabled, 'deep_learn')).toBeNull();
+
+    const allowList = { ...DEFAULT_SERVER_CONFIG, enabled_tools: ['read_entity'] };
+    expect(toolRestriction(allowList, 'read_entity')).toBeNull();
+    expect(toolRestriction(allowList, 'list_entities')).toContain('disabled');
+    // Unknown tools are reported by the dispatcher instead
+    expect(toolRestriction(readOnly, 'no_such_tool')).toBeNull();
+  });
+});
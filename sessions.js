@@ -0,0 +1,225 @@
+/**
+ * Named sessions for parallel workstreams, and the structured notes inside them
+ * The default session lives in current_session.md; named sessions live in sessions/<id>.md and archive
+ * to session_archives/<id>/ instead of session_archives/. Each note is a markdown block whose heading
+ * carries its type, importance, timestamp and id, so sessions stay readable and can be parsed back.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import { readMemory, writeMemory, updateMemory, listMemory, statMemory, RevisionConflictError } from './memory.js';
+
+export const DEFAULT_SESSION = 'default';
+export const NOTE_TYPES = ['context', 'insight', 'decision'];
+export const NOTE_IMPORTANCE = ['low', 'medium', 'high'];
+
+const SESSION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+// ### DECISION - HIGH (2024-05-01T10:00:00.000Z) <!-- note:1a2b3c4d edited:2024-05-01T11:00:00.000Z -->
+// Notes written before ids existed have no comment; they get an id derived from their heading.
+const NOTE_HEADING = /^### (CONTEXT|INSIGHT|DECISION) - (LOW|MEDIUM|HIGH) \(([^)]+)\)(?: <!-- note:([a-z0-9]+)(?: edited:(\S+))? -->)?\s*$/;
+
+export function validateSessionId(id) {
+  if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid session id '${id}' (use letters, digits, '-' and '_', up to 64 characters)`);
+  }
+  return id;
+}
+
+// Memory path of a session file
+export function sessionPath(id) {
+  return id === DEFAULT_SESSION ? 'current_session' : `sessions/${validateSessionId(id)}`;
+}
+
+// Folder prefix a session archives into
+export function sessionArchivePrefix(id) {
+  return id === DEFAULT_SESSION ? 'session_archives/' : `session_archives/${validateSessionId(id)}/`;
+}
+
+// Heading written at the top of a fresh session file
+export function sessionHeader(id) {
+  return id === DEFAULT_SESSION ? '# Current Session\n' : `# Session: ${id}\n`;
+}
+
+export async function sessionExists(id) {
+  return await readMemory(sessionPath(id)).then(() => true, () => false);
+}
+
+// Fail unless a named session has been started; the default session is created on demand
+export async function requireSession(id) {
+  validateSessionId(id);
+  if (id !== DEFAULT_SESSION && !await sessionExists(id)) {
+    throw new Error(`Session not found: '${id}' (create it with start_session)`);
+  }
+  return id;
+}
+
+// Create a named session file
+export async function startSession(id, { title, source } = {}) {
+  validateSessionId(id);
+  if (id === DEFAULT_SESSION) {
+    throw new Error(`'${DEFAULT_SESSION}' is reserved for the default session`);
+  }
+
+  const startedAt = new Date().toISOString();
+  const content = `# Session: ${title || id}\n\n*Started ${startedAt}*\n`;
+  try {
+    await writeMemory(sessionPath(id), content, { expectedRevision: null, source });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      throw new Error(`Session already exists: '${id}'`);
+    }
+    throw error;
+  }
+
+  return { session_id: id, path: sessionPath(id), started_at: startedAt };
+}
+
+function legacyNoteId(headingLine) {
+  return createHash('sha256').update(headingLine).digest('hex').slice(0, 8);
+}
+
+function formatHeading({ id, note_type, importance, timestamp, edited_at }) {
+  const marker = `<!-- note:${id}${edited_at ? ` edited:${edited_at}` : ''} -->`;
+  return `### ${note_type.toUpperCase()} - ${importance.toUpperCase()} (${timestamp}) ${marker}`;
+}
+
+// Markdown block appended to a session for a new note
+export function formatNote({ note_type, importance, content, timestamp = new Date().toISOString() }) {
+  const id = randomBytes(4).toString('hex');
+  return { id, timestamp, block: `\n${formatHeading({ id, note_type, importance, timestamp })}\n${content}\n` };
+}
+
+// Parse the notes of a session file: [{ id, note_type, importance, timestamp, edited_at, content, line, end }]
+// where line is the heading's 0-based line and end is where the note's block stops
+export function parseNotes(sessionContent) {
+  const lines = sessionContent.split('\n');
+  const notes = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(NOTE_HEADING);
+    if (match) {
+      notes.push({
+        id: match[4] || legacyNoteId(line),
+        note_type: match[1].toLowerCase(),
+        importance: match[2].toLowerCase(),
+        timestamp: match[3],
+        edited_at: match[5] || null,
+        line: index
+      });
+    }
+  });
+
+  for (const [index, note] of notes.entries()) {
+    note.end = index + 1 < notes.length ? notes[index + 1].line : lines.length;
+    note.content = lines.slice(note.line + 1, note.end).join('\n').replace(/\n+$/, '');
+  }
+
+  return notes;
+}
+
+// Parse an ISO date or timestamp filter to epoch ms (undefined stays null)
+export function parseTimeFilter(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} '${value}' (expected an ISO date or timestamp)`);
+  }
+  return time;
+}
+
+// Parsed notes matching every given filter, as plain records without line positions
+export function filterNotes(notes, { noteType, importance, since, until, text } = {}) {
+  const sinceTime = parseTimeFilter(since, 'since');
+  const untilTime = parseTimeFilter(until, 'until');
+  const needle = text ? text.toLowerCase() : null;
+
+  return notes
+    .filter(note => !noteType || note.note_type === noteType)
+    .filter(note => !importance || note.importance === importance)
+    .filter(note => sinceTime === null || Date.parse(note.timestamp) >= sinceTime)
+    .filter(note => untilTime === null || Date.parse(note.timestamp) <= untilTime)
+    .filter(note => !needle || note.content.toLowerCase().includes(needle))
+    .map(({ id, note_type, importance: level, timestamp, edited_at, content }) => ({ id, note_type, importance: level, timestamp, edited_at, content }));
+}
+
+// Notes of a session matching every given filter, in session order; limit keeps the most recent
+export async function getSessionNotes(id, { limit, ...filters } = {}) {
+  const path = sessionPath(id);
+  const content = await readMemory(path).catch(() => '');
+  const notes = filterNotes(parseNotes(content), filters);
+
+  return { session_id: id, path, total: notes.length, notes: limit > 0 ? notes.slice(-limit) : notes };
+}
+
+// Rewrite one note in place; update(note) returns the replacement note, or null to delete it
+async function changeNote(id, noteId, update, options) {
+  let changed = null;
+
+  await updateMemory(sessionPath(id), current => {
+    const note = current === null ? undefined : parseNotes(current).find(candidate => candidate.id === noteId);
+    if (!note) {
+      throw new Error(`Session note not found: '${noteId}' in session '${id}'`);
+    }
+    const lines = current.split('\n');
+    const replacement = update(note);
+    const block = replacement === null ? [] : [formatHeading(replacement), ...replacement.content.split('\n'), ''];
+    lines.splice(note.line, note.end - note.line, ...block);
+    changed = replacement === null ? note : replacement;
+    return lines.join('\n');
+  }, options);
+
+  const { line: _line, end: _end, ...result } = changed;
+  return result;
+}
+
+// Edit a note's content, type or importance; its id and timestamp are kept
+export async function editSessionNote(id, noteId, { content, noteType, importance }, options) {
+  if (noteType !== undefined && !NOTE_TYPES.includes(noteType)) {
+    throw new Error(`Unknown note type '${noteType}' (expected one of: ${NOTE_TYPES.join(', ')})`);
+  }
+  if (importance !== undefined && !NOTE_IMPORTANCE.includes(importance)) {
+    throw new Error(`Unknown importance '${importance}' (expected one of: ${NOTE_IMPORTANCE.join(', ')})`);
+  }
+  return await changeNote(id, noteId, note => ({
+    ...note,
+    content: content ?? note.content,
+    note_type: noteType ?? note.note_type,
+    importance: importance ?? note.importance,
+    edited_at: new Date().toISOString()
+  }), options);
+}
+
+export async function deleteSessionNote(id, noteId, options) {
+  return await changeNote(id, noteId, () => null, options);
+}
+
+async function describeSession(id) {
+  const path = sessionPath(id);
+  const content = await readMemory(path).catch(() => null);
+  const stat = content === null ? null : await statMemory(path);
+
+  return {
+    session_id: id,
+    path,
+    exists: content !== null,
+    note_count: content === null ? 0 : parseNotes(content).length,
+    size: stat ? stat.size : 0,
+    modified: stat ? new Date(stat.mtimeMs).toISOString() : null
+  };
+}
+
+// Default session plus every named session, most recently modified first
+export async function listSessions() {
+  const named = (await listMemory())
+    .filter(path => /^sessions\/[^/]+$/.test(path))
+    .map(path => path.slice('sessions/'.length))
+    .filter(id => SESSION_ID_PATTERN.test(id));
+
+  const sessions = [];
+  for (const id of [DEFAULT_SESSION, ...named]) {
+    sessions.push(await describeSession(id));
+  }
+
+  return sessions.sort((a, b) => (b.modified || '').localeCompare(a.modified || ''));
+}
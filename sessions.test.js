@@ -0,0 +1,115 @@
+/**
+ * Jest tests for named sessions
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { DEFAULT_SESSION, sessionPath, sessionArchivePrefix, validateSessionId, requireSession, startSession, listSessions, formatNote, parseNotes, getSessionNotes, editSessionNote, deleteSessionNote } from './sessions.js';
+
+describe('Sessions', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('maps the default session to current_session and named sessions to sessions/', () => {
+    expect(sessionPath(DEFAULT_SESSION)).toBe('current_session');
+    expect(sessionPath('refactor-auth')).toBe('sessions/refactor-auth');
+    expect(sessionArchivePrefix(DEFAULT_SESSION)).toBe('session_archives/');
+    expect(sessionArchivePrefix('refactor-auth')).toBe('session_archives/refactor-auth/');
+  });
+
+  test('rejects ids that are not plain names', () => {
+    expect(() => validateSessionId('../escape')).toThrow('Invalid session id');
+    expect(() => validateSessionId('a/b')).toThrow('Invalid session id');
+    expect(() => validateSessionId('')).toThrow('Invalid session id');
+  });
+
+  test('starts a named session once', async () => {
+    const session = await startSession('refactor-auth', { title: 'Auth refactor' });
+
+    expect(session.path).toBe('sessions/refactor-auth');
+    expect(await fs.readFile('./memory/sessions/refactor-auth.md', 'utf-8')).toContain('# Session: Auth refactor');
+    await expect(startSession('refactor-auth')).rejects.toThrow('Session already exists');
+    await expect(startSession(DEFAULT_SESSION)).rejects.toThrow('reserved');
+  });
+
+  test('requires named sessions to exist but not the default one', async () => {
+    await expect(requireSession('missing')).rejects.toThrow('Session not found');
+    await expect(requireSession(DEFAULT_SESSION)).resolves.toBe(DEFAULT_SESSION);
+  });
+
+  test('lists the default and named sessions with note counts', async () => {
+    await writeMemory('current_session', '# Current Session\n\n### CONTEXT - HIGH (2024-01-01T00:00:00.000Z)\nOne\n');
+    await startSession('docs');
+
+    const sessions = await listSessions();
+
+    expect(sessions.map(session => session.session_id).sort()).toEqual(['default', 'docs']);
+    expect(sessions.find(session => session.session_id === 'default').note_count).toBe(1);
+    expect(sessions.find(session => session.session_id === 'docs')).toMatchObject({ exists: true, note_count: 0, path: 'sessions/docs' });
+  });
+
+  describe('notes', () => {
+    async function seed() {
+      const notes = [
+        formatNote({ note_type: 'context', importance: 'low', content: 'Set up the repo', timestamp: '2024-05-01T09:00:00.000Z' }),
+        formatNote({ note_type: 'decision', importance: 'high', content: 'Use JSONL for the log\nSecond line', timestamp: '2024-05-02T10:00:00.000Z' }),
+        formatNote({ note_type: 'decision', importance: 'medium', content: 'Keep markdown sessions', timestamp: '2024-05-02T15:00:00.000Z' })
+      ];
+      await writeMemory('current_session', '# Current Session\n' + notes.map(note => note.block).join(''), { raw: true });
+      return notes.map(note => note.id);
+    }
+
+    test('parses notes written with and without ids', () => {
+      const content = '# Current Session\n\n### INSIGHT - HIGH (2024-01-01T00:00:00.000Z)\nLegacy\n' +
+        formatNote({ note_type: 'context', importance: 'low', content: 'New' }).block;
+
+      const notes = parseNotes(content);
+
+      expect(notes.map(note => [note.note_type, note.importance, note.content])).toEqual([['insight', 'high', 'Legacy'], ['context', 'low', 'New']]);
+      expect(notes[0].id).toMatch(/^[0-9a-f]{8}$/);
+      expect(parseNotes(content)[0].id).toBe(notes[0].id);
+    });
+
+    test('filters by type, importance, time range and text', async () => {
+      const [setup, jsonl, markdown] = await seed();
+
+      expect((await getSessionNotes(DEFAULT_SESSION, { noteType: 'decision' })).notes.map(note => note.id)).toEqual([jsonl, markdown]);
+      expect((await getSessionNotes(DEFAULT_SESSION, { noteType: 'decision', importance: 'high' })).notes.map(note => note.id)).toEqual([jsonl]);
+      expect((await getSessionNotes(DEFAULT_SESSION, { since: '2024-05-02', until: '2024-05-02T12:00:00Z' })).notes.map(note => note.id)).toEqual([jsonl]);
+      expect((await getSessionNotes(DEFAULT_SESSION, { text: 'REPO' })).notes.map(note => note.id)).toEqual([setup]);
+      expect((await getSessionNotes(DEFAULT_SESSION, { limit: 1 })).notes.map(note => note.id)).toEqual([markdown]);
+      expect((await getSessionNotes(DEFAULT_SESSION)).notes[1].content).toBe('Use JSONL for the log\nSecond line');
+      await expect(getSessionNotes(DEFAULT_SESSION, { since: 'yesterday' })).rejects.toThrow('Invalid since');
+    });
+
+    test('edits a note in place, keeping its id and timestamp', async () => {
+      const [, jsonl] = await seed();
+
+      const edited = await editSessionNote(DEFAULT_SESSION, jsonl, { content: 'Use JSONL', importance: 'medium' });
+
+      expect(edited).toMatchObject({ id: jsonl, importance: 'medium', timestamp: '2024-05-02T10:00:00.000Z', content: 'Use JSONL' });
+      expect(edited.edited_at).not.toBeNull();
+      const notes = (await getSessionNotes(DEFAULT_SESSION)).notes;
+      expect(notes.map(note => note.content)).toEqual(['Set up the repo', 'Use JSONL', 'Keep markdown sessions']);
+      expect(notes[1].edited_at).toBe(edited.edited_at);
+      await expect(editSessionNote(DEFAULT_SESSION, jsonl, { noteType: 'question' })).rejects.toThrow('Unknown note type');
+    });
+
+    test('deletes a note and leaves the rest intact', async () => {
+      const [setup, jsonl, markdown] = await seed();
+
+      await deleteSessionNote(DEFAULT_SESSION, markdown);
+      await deleteSessionNote(DEFAULT_SESSION, setup);
+
+      const raw = await fs.readFile('./memory/current_session.md', 'utf-8');
+      expect(raw.startsWith('# Current Session\n')).toBe(true);
+      expect((await getSessionNotes(DEFAULT_SESSION)).notes.map(note => note.id)).toEqual([jsonl]);
+      await expect(deleteSessionNote(DEFAULT_SESSION, setup)).rejects.toThrow('Session note not found');
+    });
+  });
+});
@@ -1,21 +1,200 @@
 #!/usr/bin/env node
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema, McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
-import { writeMemory, readMemory, listMemory } from '../memory.js';
-import { promises as fs } from 'fs';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import { onMemoryChange, writeMemory, updateMemory, readMemory, listMemory, moveMemory, revisionOf, RevisionConflictError, removeStaleLocks } from '../memory.js';
+import { searchMemory, SEARCH_MODES } from '../search.js';
+import { syncSearchIndex, rebuildSearchIndex } from '../search-index.js';
+import { recall, syncVectors, rebuildVectors } from '../recall.js';
+import { queryEntities, IMPORTANCE_LEVELS, SORT_FIELDS } from '../entity-query.js';
+import { syncLinks, rebuildLinks, getLinks, getBacklinks, getNeighborhood, getDanglingLinks, rewriteLinks } from '../links.js';
+import { trashEntity, listTrash, restoreEntity, purgeTrash } from '../trash.js';
+import { entityHistory, readEntityVersion, revertEntity, readRevision } from '../history.js';
+import { diffLines, diffStats, formatUnifiedDiff } from '../diff.js';
+import { parseFrontmatter } from '../frontmatter.js';
+import { applyEdit, findHeadings, EDIT_OPERATIONS } from '../entity-edit.js';
+import { runTransaction, recoverTransactions, TransactionError } from '../transaction.js';
+import { DEFAULT_SESSION, NOTE_TYPES, NOTE_IMPORTANCE, sessionPath, sessionHeader, requireSession, startSession, listSessions, formatNote, parseNotes, getSessionNotes, editSessionNote, deleteSessionNote } from '../sessions.js';
+import { ANCHORS_PATH, parseAnchors, touchAnchors, getAnchors, pinAnchor, pruneAnchors } from '../anchors.js';
+import { getStartupContext } from '../startup-context.js';
+import { entityUri, pathFromUri, listEntityResources, readEntityResource, entityResourceTemplates } from '../resources.js';
+import { listPrompts, getPrompt } from '../prompts.js';
+import { startHttpServer, DEFAULT_HTTP_PORT } from '../http-server.js';
+import { loadTokens, authorizeToolCall, authorizeRead, canRead, AccessDeniedError } from '../auth.js';
+import { loadServerConfig, toolRestriction, DEFAULT_SERVER_CONFIG } from '../server-config.js';
+import { archivePathFor, archiveMetadata, readArchive, listArchives, searchArchives, syncArchiveIndex, rebuildArchiveIndex } from '../archives.js';
+import { promises as fs, realpathSync } from 'fs';
 import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+// Frontmatter fields callers may set; created/updated are managed by the server
+const ENTITY_METADATA_SCHEMA = {
+  type: 'object',
+  description: 'Optional frontmatter metadata (set a field to null to remove it)',
+  properties: {
+    type: { type: 'string', description: 'Entity type (e.g., \'person\', \'project\', \'concept\')' },
+    tags: { type: 'array', items: { type: 'string' }, description: 'Tags for filtering' },
+    aliases: { type: 'array', items: { type: 'string' }, description: 'Alternative names for the entity' },
+    importance: { type: 'string', enum: ['low', 'medium', 'high'], description: 'Importance of the entity' }
+  }
+};
+
+// Optimistic concurrency: the revision from read_entity that a write expects to replace
+const EXPECTED_REVISION_SCHEMA = {
+  type: 'string',
+  description: 'Revision from read_entity; the write is rejected with a conflict error if the entity changed since'
+};
+
+const DIFF_FORMATS = ['unified', 'lines'];
+
+// JSON-RPC error code the MCP specification uses for unknown resources
+const RESOURCE_NOT_FOUND = -32002;
+
+// Token scope of an HTTP request (see auth.js); undefined over stdio or without a tokens file
+function requestScope(extra) {
+  return extra?.authInfo?.extra?.scope;
+}
+
+// What a caller may read, for tools that list paths; direct calls (tests, stdio) may read everything
+const FULL_ACCESS = { canRead: () => true };
+
+function accessDenied(error) {
+  return new McpError(ErrorCode.InvalidRequest, error.message, { denied: true, tool: error.tool, path: error.path });
+}
+
+const SESSION_ID_SCHEMA = {
+  type: 'string',
+  description: `Named session to use (default: the active session, see switch_session; '${DEFAULT_SESSION}' is current_session)`
+};
 
 class CognitiveDevelopmentServer {
-  constructor() {
+  // config: read-only mode and tool allow/deny lists (see server-config.js); run() loads it from disk
+  constructor({ config = DEFAULT_SERVER_CONFIG } = {}) {
     this.server = new Server({
       name: 'cognitive-memory',
       version: '0.1.0'
     }, {
-      capabilities: { tools: {} }
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {}
+      }
     });
+
+    this.config = config;
+    // Session used when a tool call names none; per server process
+    this.activeSession = DEFAULT_SESSION;
+    // Resource URIs the connected client subscribed to
+    this.subscriptions = new Set();
+    this.stopWatching = null;
     
     this.setupHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
+  }
+
+  setupResourceHandlers() {
+    this.server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      const scope = requestScope(extra);
+      try {
+        return await listEntityResources(request.params?.cursor, { canRead: path => canRead(scope, path) });
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: await entityResourceTemplates()
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      const { uri } = request.params;
+      let resource;
+      try {
+        const path = pathFromUri(uri);
+        authorizeRead(requestScope(extra), path);
+        resource = await readEntityResource(uri);
+      } catch (error) {
+        throw error instanceof AccessDeniedError ? accessDenied(error) : new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      if (resource === null) {
+        throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+      }
+      return { contents: [resource] };
+    });
+
+    this.server.setRequestHandler(SubscribeRequestSchema, (request, extra) => {
+      const { uri } = request.params;
+      try {
+        const path = pathFromUri(uri);
+        authorizeRead(requestScope(extra), path);
+        // Canonical form, so memory://people/john-doe.md and memory://people/john-doe are one subscription
+        this.subscriptions.add(entityUri(path));
+      } catch (error) {
+        throw error instanceof AccessDeniedError ? accessDenied(error) : new McpError(ErrorCode.InvalidParams, error.message);
+      }
+      return {};
+    });
+
+    this.server.setRequestHandler(UnsubscribeRequestSchema, (request) => {
+      try {
+        this.subscriptions.delete(entityUri(pathFromUri(request.params.uri)));
+      } catch {
+        // Never subscribed
+      }
+      return {};
+    });
+
+    // Watch memory only while a client is connected
+    this.server.oninitialized = () => {
+      this.stopWatching?.();
+      this.stopWatching = onMemoryChange(change => this.notifyResourceChange(change));
+    };
+    this.server.onclose = () => {
+      this.stopWatching?.();
+      this.stopWatching = null;
+      this.subscriptions.clear();
+    };
+  }
+
+  setupPromptHandlers() {
+    this.server.setRequestHandler(ListPromptsRequestSchema, () => ({ prompts: listPrompts() }));
+
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+      const { name, arguments: args = {} } = request.params;
+      try {
+        const sessionId = await requireSession(args.session_id || this.activeSession);
+        // Content the token may not read is left out of the prompt
+        const scope = requestScope(extra);
+        return await getPrompt(name, { sessionPath: sessionPath(sessionId), entities: args.entities, canRead: path => canRead(scope, path) });
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
+      }
+    });
+  }
+
+  // Tell the client about a changed entity: resources/updated for subscribers, list_changed when an
+  // entity appears or disappears. Notifications are not awaited so writes never wait on the client.
+  notifyResourceChange({ action, path, previous }) {
+    const uri = entityUri(path);
+    if (this.subscriptions.has(uri)) {
+      this.server.sendResourceUpdated({ uri }).catch(() => {});
+    }
+    if (action === 'delete' || previous === null) {
+      this.server.sendResourceListChanged().catch(() => {});
+    }
   }
   
   setupHandlers() {
@@ -27,16 +206,132 @@ class CognitiveDevelopmentServer {
           inputSchema: {
             type: 'object',
             properties: {
-              note_type: { type: 'string', enum: ['context', 'insight', 'decision'], description: 'Type of session note to add' },
+              note_type: { type: 'string', enum: NOTE_TYPES, description: 'Type of session note to add' },
               content: { type: 'string', description: 'Note content to append to current session' },
-              importance: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium', description: 'Importance level of the note' }
+              importance: { type: 'string', enum: NOTE_IMPORTANCE, default: 'medium', description: 'Importance level of the note' },
+              session_id: SESSION_ID_SCHEMA
             },
             required: ['note_type', 'content']
           }
         },
+        {
+          name: 'get_session_notes',
+          description: 'Read session notes as structured records (id, type, importance, timestamp, content), filtered by type, importance, time range and text',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              note_type: { type: 'string', enum: NOTE_TYPES, description: 'Only notes of this type' },
+              importance: { type: 'string', enum: NOTE_IMPORTANCE, description: 'Only notes of this importance' },
+              since: { type: 'string', description: 'Only notes at or after this ISO date or timestamp (e.g., \'2024-05-01\')' },
+              until: { type: 'string', description: 'Only notes at or before this ISO date or timestamp' },
+              text: { type: 'string', description: 'Only notes whose content contains this text (case-insensitive)' },
+              limit: { type: 'integer', description: 'Return only the most recent N matching notes' },
+              session_id: SESSION_ID_SCHEMA
+            }
+          }
+        },
+        {
+          name: 'edit_session_note',
+          description: 'Change the content, type or importance of a session note by id; its timestamp is kept and the edit time recorded',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              note_id: { type: 'string', description: 'Note id from add_session_note or get_session_notes' },
+              content: { type: 'string', description: 'New note content' },
+              note_type: { type: 'string', enum: NOTE_TYPES, description: 'New note type' },
+              importance: { type: 'string', enum: NOTE_IMPORTANCE, description: 'New importance' },
+              session_id: SESSION_ID_SCHEMA
+            },
+            required: ['note_id']
+          }
+        },
+        {
+          name: 'delete_session_note',
+          description: 'Remove a session note by id',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              note_id: { type: 'string', description: 'Note id from add_session_note or get_session_notes' },
+              session_id: SESSION_ID_SCHEMA
+            },
+            required: ['note_id']
+          }
+        },
+        {
+          name: 'start_session',
+          description: 'Start a named session for a parallel workstream. It gets its own session file (sessions/<id>) and its own archive folder (session_archives/<id>/).',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: { type: 'string', description: 'Session id: letters, digits, \'-\' and \'_\' (e.g., \'refactor-auth\')' },
+              title: { type: 'string', description: 'Optional title for the session file heading' },
+              switch: { type: 'boolean', default: true, description: 'Make the new session the active one' }
+            },
+            required: ['session_id']
+          }
+        },
+        {
+          name: 'list_sessions',
+          description: 'List the default session and every named session with note counts, size and last modified time',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'switch_session',
+          description: `Make a session the active one, used by add_session_note and deep_learn when they get no session_id ('${DEFAULT_SESSION}' switches back to current_session)`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: { type: 'string', description: 'Session to switch to' }
+            },
+            required: ['session_id']
+          }
+        },
+        {
+          name: 'list_session_archives',
+          description: 'List archived sessions, newest first, with the time range their notes span, size and note count',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: { type: 'string', description: `Only archives of this session ('${DEFAULT_SESSION}' for current_session)` },
+              since: { type: 'string', description: 'Only archives with notes at or after this ISO date or timestamp' },
+              until: { type: 'string', description: 'Only archives with notes at or before this ISO date or timestamp' }
+            }
+          }
+        },
+        {
+          name: 'search_session_archives',
+          description: 'Search notes inside archived sessions by type, importance, time range and text',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              note_type: { type: 'string', enum: NOTE_TYPES, description: 'Only notes of this type' },
+              importance: { type: 'string', enum: NOTE_IMPORTANCE, description: 'Only notes of this importance' },
+              since: { type: 'string', description: 'Only notes at or after this ISO date or timestamp' },
+              until: { type: 'string', description: 'Only notes at or before this ISO date or timestamp' },
+              text: { type: 'string', description: 'Only notes whose content contains this text (case-insensitive)' },
+              session_id: { type: 'string', description: 'Only archives of this session' },
+              limit: { type: 'integer', default: 50, description: 'Maximum number of notes to return' }
+            }
+          }
+        },
+        {
+          name: 'restore_session',
+          description: 'Reopen an archived session as the current session. Notes already in the session are archived first; the archive itself is kept.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              archive_path: { type: 'string', description: 'Archive path from list_session_archives (e.g., \'session_archives/2024-05-01\')' },
+              session_id: SESSION_ID_SCHEMA
+            },
+            required: ['archive_path']
+          }
+        },
         {
           name: 'read_entity',
-          description: 'Read entity from long-term memory. Supports pagination via offset/limit for large files.',
+          description: 'Read entity from long-term memory. Returns YAML frontmatter as a separate metadata field and the file\'s revision (pass it as expected_revision when writing back); offset/limit paginate the body.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -49,16 +344,208 @@ class CognitiveDevelopmentServer {
         },
         {
           name: 'write_entity',
-          description: 'Write entity to long-term memory',
+          description: 'Write entity to long-term memory. Existing metadata is kept unless overridden; created/updated are set automatically.',
           inputSchema: {
             type: 'object',
             properties: {
               entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\', \'concepts/learning\')' },
-              content: { type: 'string', description: 'Content to write to entity' }
+              content: { type: 'string', description: 'Content to write to entity' },
+              metadata: ENTITY_METADATA_SCHEMA,
+              expected_revision: EXPECTED_REVISION_SCHEMA
             },
             required: ['entity_path', 'content']
           }
         },
+        {
+          name: 'edit_entity',
+          description: 'Edit part of an entity without sending the whole file: append, prepend, replace a section by heading, insert after a heading, or exact find/replace. Frontmatter metadata is kept.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' },
+              operation: { type: 'string', enum: EDIT_OPERATIONS, description: 'append/prepend: add content at the end/start; replace_section: replace everything under a heading (subsections included); insert_after_heading: add content right below a heading; find_replace: replace exact text' },
+              content: { type: 'string', description: 'Markdown to add or use as the new section content (all operations except find_replace)' },
+              heading: { type: 'string', description: 'Heading text, matched literally (e.g., \'Work Preferences\' or \'## Work Preferences\' to require a level)' },
+              find: { type: 'string', description: 'Exact text to find (find_replace)' },
+              replace: { type: 'string', description: 'Replacement text (find_replace)' },
+              expected_count: { type: 'integer', description: 'Fail without changing anything unless find matches exactly this many times (find_replace)' },
+              expected_revision: EXPECTED_REVISION_SCHEMA
+            },
+            required: ['entity_path', 'operation']
+          }
+        },
+        {
+          name: 'move_entity',
+          description: 'Move an entity to a new path and rewrite every reference to it (links in other entities, context_anchors, session files)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              from_path: { type: 'string', description: 'Current entity path (e.g., \'concepts/old-name\')' },
+              to_path: { type: 'string', description: 'New entity path (e.g., \'patterns/new-name\')' }
+            },
+            required: ['from_path', 'to_path']
+          }
+        },
+        {
+          name: 'rename_entity',
+          description: 'Rename an entity within its folder and rewrite every reference to it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Current entity path (e.g., \'people/jon-doe\')' },
+              new_name: { type: 'string', description: 'New name without folder (e.g., \'john-doe\')' }
+            },
+            required: ['entity_path', 'new_name']
+          }
+        },
+        {
+          name: 'delete_entity',
+          description: 'Delete an entity by moving it to the trash, where it can be restored with restore_entity until purged. Reports entities whose links to it are now dangling.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'restore_entity',
+          description: 'Restore a deleted entity from the trash, by trash_id or by the path it was deleted from (most recent deletion). Never overwrites an existing entity.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              trash_id: { type: 'string', description: 'Trash item id from delete_entity or list_trash' },
+              entity_path: { type: 'string', description: 'Original entity path; restores its most recent deletion' },
+              restore_to: { type: 'string', description: 'Optional different path to restore to' }
+            }
+          }
+        },
+        {
+          name: 'list_trash',
+          description: 'List deleted entities in the trash, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'purge_trash',
+          description: 'Permanently remove entities from the trash: one item, items deleted more than N days ago, or everything',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              trash_id: { type: 'string', description: 'Purge a single trash item' },
+              older_than_days: { type: 'number', description: 'Purge items deleted more than this many days ago' },
+              all: { type: 'boolean', default: false, description: 'Purge the whole trash' }
+            }
+          }
+        },
+        {
+          name: 'entity_history',
+          description: 'List the saved revisions of an entity, newest first, with the time and the tool that made each change. History is kept for every write, including deep_learn and learn, and survives deletion.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\', \'me\')' },
+              limit: { type: 'integer', default: 20, description: 'Maximum number of revisions to return' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'read_entity_version',
+          description: 'Read an entity as it was at a past revision. Returns metadata separately from the body; offset/limit paginate the body like read_entity.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' },
+              revision: { type: 'string', description: 'Revision id from entity_history (a unique prefix of at least 7 characters is enough)' },
+              offset: { type: 'integer', description: 'Number of lines to skip from the beginning (default: 0)' },
+              limit: { type: 'integer', description: 'Maximum number of lines to return after offset (default: all remaining)' }
+            },
+            required: ['entity_path', 'revision']
+          }
+        },
+        {
+          name: 'revert_entity',
+          description: 'Restore an entity to a past revision. The revert is itself recorded as a new revision, so it can be undone.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' },
+              revision: { type: 'string', description: 'Revision id from entity_history (a unique prefix of at least 7 characters is enough)' }
+            },
+            required: ['entity_path', 'revision']
+          }
+        },
+        {
+          name: 'entity_diff',
+          description: 'Show what changed between two revisions of an entity, or what writing new content would change, without writing anything. Compares bodies by line (numbered like read_entity) and lists changed metadata fields.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' },
+              from_revision: { type: 'string', description: 'Revision to compare from (default: the current file)' },
+              to_revision: { type: 'string', description: 'Revision to compare to (default: the current file)' },
+              content: { type: 'string', description: 'Proposed new content to compare to instead of a revision' },
+              metadata: ENTITY_METADATA_SCHEMA,
+              format: { type: 'string', enum: DIFF_FORMATS, default: 'unified', description: 'unified: unified diff text; lines: list of added and removed lines with line numbers' },
+              context_lines: { type: 'integer', default: 3, description: 'Unchanged lines of context around each change (unified format)' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'get_startup_context',
+          description: 'Rebuild context for a fresh conversation in one call: me.md, the latest session notes, the top context anchors and the content of the top anchored entities (pinned first), trimmed to a character or token budget',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              max_chars: { type: 'integer', default: 24000, description: 'Character budget for the whole bundle' },
+              max_tokens: { type: 'integer', description: 'Token budget (about 4 characters per token); overrides max_chars' },
+              anchor_limit: { type: 'integer', default: 20, description: 'Maximum number of anchors to list' },
+              entity_limit: { type: 'integer', default: 5, description: 'Maximum number of anchored entities to include content for' },
+              session_id: SESSION_ID_SCHEMA
+            }
+          }
+        },
+        {
+          name: 'get_anchors',
+          description: 'Read context anchors: one entry per entity path with summary, last-touched time and pin flag, pinned first, then most recently touched',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              pinned_only: { type: 'boolean', default: false, description: 'Only pinned anchors' },
+              limit: { type: 'integer', description: 'Maximum number of anchors to return' }
+            }
+          }
+        },
+        {
+          name: 'pin_anchor',
+          description: 'Pin (or unpin) the anchor for an entity so it stays at the top and is never pruned',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Entity path of the anchor' },
+              pinned: { type: 'boolean', default: true, description: 'false to unpin' },
+              summary: { type: 'string', description: 'New summary; required to create an anchor for an entity that has none' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'prune_anchors',
+          description: 'Remove unpinned anchors beyond a maximum count (least recently touched first) or not touched for a number of days',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              max_count: { type: 'integer', description: 'Keep at most this many unpinned anchors' },
+              older_than_days: { type: 'number', description: 'Remove unpinned anchors not touched for this many days' },
+              dry_run: { type: 'boolean', default: false, description: 'Report what would be removed without changing anything' }
+            }
+          }
+        },
         {
           name: 'list_entities',
           description: 'List all entities or filter by type',
@@ -69,9 +556,108 @@ class CognitiveDevelopmentServer {
             }
           }
         },
+        {
+          name: 'query_entities',
+          description: 'Find entities by metadata: tags, type, updated date range, importance and size. Returns summaries (title, type, tags, size, mtime, line count) sorted by last-modified, name or size.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              filter_prefix: { type: 'string', description: 'Optional prefix filter (e.g., \'people/\', \'projects/\')', default: '' },
+              type: { type: 'string', description: 'Entity type from frontmatter, or top-level folder when none is set (e.g., \'people\')' },
+              tags: { type: 'array', items: { type: 'string' }, description: 'Entities must have every listed tag' },
+              updated_since: { type: 'string', description: 'Only entities updated at or after this ISO date/time' },
+              updated_before: { type: 'string', description: 'Only entities updated before this ISO date/time' },
+              min_importance: { type: 'string', enum: IMPORTANCE_LEVELS, description: 'Minimum importance level' },
+              min_size: { type: 'integer', description: 'Minimum file size in bytes' },
+              max_size: { type: 'integer', description: 'Maximum file size in bytes' },
+              sort_by: { type: 'string', enum: SORT_FIELDS, default: 'modified', description: 'Sort field' },
+              order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort order (default: desc for modified/size, asc for name)' },
+              limit: { type: 'integer', default: 50, description: 'Maximum number of entities to return' }
+            }
+          }
+        },
+        {
+          name: 'search_entities',
+          description: 'Full-text search across all entities. Terms match whole words or word prefixes and are ranked by BM25. Returns hits with 1-based line numbers and surrounding context lines.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Search terms, exact phrase, or regular expression depending on mode' },
+              mode: { type: 'string', enum: SEARCH_MODES, default: 'terms', description: 'terms: every word must appear in the entity; phrase: exact phrase; regex: JavaScript regular expression' },
+              filter_prefix: { type: 'string', description: 'Optional prefix filter (e.g., \'people/\', \'projects/\')', default: '' },
+              case_sensitive: { type: 'boolean', default: false, description: 'Match case exactly' },
+              context_lines: { type: 'integer', default: 2, description: 'Lines of context to include before and after each hit' },
+              max_results: { type: 'integer', default: 20, description: 'Maximum number of entities to return' }
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'recall',
+          description: 'Find entities by meaning rather than exact words, using locally computed TF-IDF embeddings. Returns each entity\'s best-matching chunk with a similarity score.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Natural language description of what to recall (e.g., \'how Izzy likes code reviews\')' },
+              filter_prefix: { type: 'string', description: 'Optional prefix filter (e.g., \'people/\', \'projects/\')', default: '' },
+              limit: { type: 'integer', default: 5, description: 'Maximum number of entities to return' }
+            },
+            required: ['query']
+          }
+        },
+        {
+          name: 'get_links',
+          description: 'List the entities an entity links to via [[wiki-links]] or markdown links, flagging dangling links to entities that do not exist',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'get_backlinks',
+          description: 'List the entities that link to an entity',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'projects/mcp-servers\')' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'get_neighborhood',
+          description: 'Explore related context: entities within N link hops of an entity (following links and backlinks), with the edges between them',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              entity_path: { type: 'string', description: 'Full path to entity (e.g., \'people/john-doe\')' },
+              depth: { type: 'integer', default: 1, minimum: 1, maximum: 5, description: 'Number of hops to follow' }
+            },
+            required: ['entity_path']
+          }
+        },
+        {
+          name: 'get_dangling_links',
+          description: 'Report every link in memory that points to an entity that does not exist',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
+        {
+          name: 'reindex',
+          description: 'Force a full rebuild of the search index, recall vectors, link graph and session archive index from every entity on disk (use after bulk edits outside the server)',
+          inputSchema: {
+            type: 'object',
+            properties: {}
+          }
+        },
         {
           name: 'synthesis_reflection',
-          description: 'Append research-integrated philosophical synthesis to dream journal. Expects AI to have already performed web research, creative synthesis, and multi-layered analysis. See Dream Protocol for guidance.',
+          description: 'Append research-integrated philosophical synthesis to dream journal. Expects AI to have already performed web research, creative synthesis, and multi-layered analysis. See the dream_protocol prompt for guidance.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -85,7 +671,7 @@ class CognitiveDevelopmentServer {
         },
         {
           name: 'deep_learn',
-          description: 'Create/update structured entities from session learnings, reset current session, and update context anchors. Expects AI to have synthesized rich, detailed entity content with concrete examples. See Deep Learn Protocol for guidance.',
+          description: 'Create/update structured entities from session learnings, reset current session, and update context anchors. Expects AI to have synthesized rich, detailed entity content with concrete examples. See the deep_learn_protocol prompt for guidance.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -96,19 +682,22 @@ class CognitiveDevelopmentServer {
                   properties: {
                     path: { type: 'string', description: 'Entity path (e.g., "concepts/new-pattern", "projects/project-name")' },
                     content: { type: 'string', description: 'Full markdown content for the entity' },
-                    anchor_summary: { type: 'string', description: 'Brief summary for context_anchors reference' }
+                    anchor_summary: { type: 'string', description: 'Brief summary for context_anchors reference' },
+                    metadata: ENTITY_METADATA_SCHEMA,
+                    expected_revision: EXPECTED_REVISION_SCHEMA
                   },
                   required: ['path', 'content', 'anchor_summary']
                 },
                 description: 'Array of entities to create/update'
-              }
+              },
+              session_id: SESSION_ID_SCHEMA
             },
             required: ['entities']
           }
         },
         {
           name: 'learn',
-          description: 'Update base behavioral instructions in me.md with validated behavioral patterns. Expects AI to have synthesized and validated patterns from session feedback. Only for patterns that should become permanent base instructions. See Learn Protocol for guidance.',
+          description: 'Update base behavioral instructions in me.md with validated behavioral patterns. Expects AI to have synthesized and validated patterns from session feedback. Only for patterns that should become permanent base instructions. See the learn_protocol prompt for guidance.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -129,45 +718,187 @@ class CognitiveDevelopmentServer {
             required: ['content', 'rationale']
           }
         }
-      ]
+      ].filter(tool => toolRestriction(this.config, tool.name) === null)
     }));
     
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-      
-      switch (name) {
-        case 'add_session_note':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.addSessionNote(args)) }] };
-        case 'read_entity':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.readEntity(args)) }] };
-        case 'write_entity':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.writeEntity(args)) }] };
-        case 'list_entities':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.listEntities(args)) }] };
-        case 'synthesis_reflection':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.synthesisReflection(args)) }] };
-        case 'deep_learn':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.deepLearn(args)) }] };
-        case 'learn':
-          return { content: [{ type: 'text', text: JSON.stringify(await this.learn(args)) }] };
-        default:
-          throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+
+      const restriction = toolRestriction(this.config, name);
+      if (restriction) {
+        throw new McpError(ErrorCode.InvalidRequest, restriction, { disabled: true, tool: name, read_only: this.config.read_only });
+      }
+
+      try {
+        // Every tool call passes the token's scope check first, and results leave out denied paths
+        const scope = requestScope(extra);
+        authorizeToolCall(scope, name, args, { activeSession: this.activeSession });
+        return await this.callTool(name, args, scope);
+      } catch (error) {
+        if (error instanceof AccessDeniedError) {
+          throw accessDenied(error);
+        }
+        // Transactions report which steps committed and which were rolled back
+        const steps = error instanceof TransactionError ? { steps: error.steps } : {};
+        const cause = error instanceof TransactionError ? error.cause : error;
+        if (cause instanceof RevisionConflictError) {
+          throw new McpError(ErrorCode.InvalidRequest, error.message, {
+            conflict: true,
+            path: cause.path,
+            expected_revision: cause.expectedRevision,
+            current_revision: cause.currentRevision,
+            ...steps
+          });
+        }
+        if (error instanceof TransactionError) {
+          throw new McpError(ErrorCode.InternalError, error.message, steps);
+        }
+        throw error;
       }
     });
   }
+
+  // scope is the caller's token scope (see auth.js). Tools that list paths the call was not authorized
+  // for get access and leave out what the scope may not read.
+  async callTool(name, args = {}, scope = null) {
+    const access = { canRead: path => canRead(scope, path) };
+    switch (name) {
+      case 'add_session_note':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.addSessionNote(args)) }] };
+      case 'list_session_archives':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.listSessionArchives(args, access)) }] };
+      case 'search_session_archives':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.searchSessionArchives(args, access)) }] };
+      case 'restore_session':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.restoreSession(args)) }] };
+      case 'get_session_notes':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getSessionNotes(args)) }] };
+      case 'edit_session_note':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.editSessionNote(args)) }] };
+      case 'delete_session_note':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.deleteSessionNote(args)) }] };
+      case 'start_session':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.startSession(args)) }] };
+      case 'list_sessions':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.listSessions(access)) }] };
+      case 'switch_session':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.switchSession(args)) }] };
+      case 'read_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.readEntity(args)) }] };
+      case 'write_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.writeEntity(args)) }] };
+      case 'edit_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.editEntity(args)) }] };
+      case 'move_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.moveEntity(args)) }] };
+      case 'rename_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.renameEntity(args)) }] };
+      case 'delete_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.deleteEntity(args)) }] };
+      case 'restore_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.restoreEntity(args)) }] };
+      case 'list_trash':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.listTrash(access)) }] };
+      case 'purge_trash':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.purgeTrash(args)) }] };
+      case 'entity_history':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.entityHistory(args)) }] };
+      case 'read_entity_version':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.readEntityVersion(args)) }] };
+      case 'revert_entity':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.revertEntity(args)) }] };
+      case 'entity_diff':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.entityDiff(args)) }] };
+      case 'get_startup_context':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getStartupContext(args, access)) }] };
+      case 'get_anchors':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getAnchors(args, access)) }] };
+      case 'pin_anchor':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.pinAnchor(args)) }] };
+      case 'prune_anchors':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.pruneAnchors(args)) }] };
+      case 'list_entities':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.listEntities(args, access)) }] };
+      case 'query_entities':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.queryEntities(args, access)) }] };
+      case 'search_entities':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.searchEntities(args, access)) }] };
+      case 'recall':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.recall(args, access)) }] };
+      case 'get_links':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getLinks(args, access)) }] };
+      case 'get_backlinks':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getBacklinks(args, access)) }] };
+      case 'get_neighborhood':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getNeighborhood(args, access)) }] };
+      case 'get_dangling_links':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.getDanglingLinks(access)) }] };
+      case 'reindex':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.reindex()) }] };
+      case 'synthesis_reflection':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.synthesisReflection(args)) }] };
+      case 'deep_learn':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.deepLearn(args)) }] };
+      case 'learn':
+        return { content: [{ type: 'text', text: JSON.stringify(await this.learn(args)) }] };
+      default:
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+  }
   
-  async addSessionNote({ note_type, content, importance = 'medium' }) {
-    const timestamp = new Date().toISOString();
-    const formattedNote = `\n### ${note_type.toUpperCase()} - ${importance.toUpperCase()} (${timestamp})\n${content}\n`;
+  async addSessionNote({ note_type, content, importance = 'medium', session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    const note = formatNote({ note_type, importance, content });
 
-    const currentSession = await readMemory('current_session').catch(() => '# Current Session\n');
-    await writeMemory('current_session', currentSession + formattedNote);
-    return { success: true, message: `${note_type} note added to session` };
+    await updateMemory(sessionPath(sessionId), currentSession => (currentSession ?? sessionHeader(sessionId)) + note.block, { source: 'add_session_note' });
+    return { success: true, message: `${note_type} note added to session`, session_id: sessionId, note_id: note.id, timestamp: note.timestamp };
+  }
+
+  async getSessionNotes({ note_type, importance, since, until, text, limit, session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    return await getSessionNotes(sessionId, { noteType: note_type, importance, since, until, text, limit });
+  }
+
+  async editSessionNote({ note_id, content, note_type, importance, session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    if (content === undefined && note_type === undefined && importance === undefined) {
+      throw new Error('edit_session_note needs at least one of content, note_type or importance');
+    }
+    const note = await editSessionNote(sessionId, note_id, { content, noteType: note_type, importance }, { source: 'edit_session_note' });
+    return { success: true, session_id: sessionId, note };
+  }
+
+  async deleteSessionNote({ note_id, session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    const note = await deleteSessionNote(sessionId, note_id, { source: 'delete_session_note' });
+    return { success: true, session_id: sessionId, deleted: note };
+  }
+
+  async startSession({ session_id, title, switch: switchTo = true }) {
+    const session = await startSession(session_id, { title, source: 'start_session' });
+    if (switchTo) {
+      this.activeSession = session_id;
+    }
+    return { success: true, ...session, active: this.activeSession === session_id };
+  }
+
+  async listSessions(access = FULL_ACCESS) {
+    const sessions = (await listSessions())
+      .filter(session => access.canRead(session.path))
+      .map(session => ({ ...session, active: session.session_id === this.activeSession }));
+    return { active_session: this.activeSession, total: sessions.length, sessions };
+  }
+
+  async switchSession({ session_id }) {
+    const previous = this.activeSession;
+    this.activeSession = await requireSession(session_id);
+    return { success: true, previous_session: previous, active_session: this.activeSession, path: sessionPath(this.activeSession) };
   }
   
   async readEntity({ entity_path, offset = 0, limit }) {
-    const fullContent = await readMemory(entity_path);
-    const allLines = fullContent.split('\n');
+    const raw = await readMemory(entity_path);
+    const { metadata, body } = parseFrontmatter(raw);
+    const allLines = body.split('\n');
     const totalLines = allLines.length;
 
     let resultLines = allLines.slice(offset);
@@ -177,6 +908,8 @@ class CognitiveDevelopmentServer {
 
     return {
       path: entity_path,
+      revision: revisionOf(raw),
+      metadata,
       content: resultLines.join('\n'),
       total_lines: totalLines,
       returned_lines: resultLines.length,
@@ -184,18 +917,336 @@ class CognitiveDevelopmentServer {
     };
   }
   
-  async writeEntity({ entity_path, content }) {
-    await writeMemory(entity_path, content);
-    return { success: true, path: entity_path };
+  async writeEntity({ entity_path, content, metadata = {}, expected_revision }) {
+    const revision = await writeMemory(entity_path, content, { metadata, source: 'write_entity', expectedRevision: expected_revision });
+    return { success: true, path: entity_path, revision };
   }
   
-  async listEntities({ filter_prefix = '' }) {
-    const allEntities = await listMemory();
+  async editEntity({ entity_path, operation, content, heading, find, replace, expected_count, expected_revision }) {
+    let edited;
+    const revision = await updateMemory(entity_path, raw => {
+      if (raw === null) {
+        throw new Error(`Entity not found: ${entity_path}`);
+      }
+      const { body } = parseFrontmatter(raw);
+      edited = applyEdit(body, { operation, content, heading, find, replace, expectedCount: expected_count });
+      // The frontmatter block is written back untouched (apart from the updated stamp)
+      return raw.slice(0, raw.length - body.length) + edited.body;
+    }, { source: 'edit_entity', expectedRevision: expected_revision });
+
+    return {
+      success: true,
+      path: entity_path,
+      revision,
+      operation,
+      total_lines: edited.body.split('\n').length,
+      ...(edited.replacements !== undefined ? { replacements: edited.replacements } : {})
+    };
+  }
+
+  async listSessionArchives({ session_id, since, until }, access = FULL_ACCESS) {
+    const archives = await listArchives({ sessionId: session_id, since, until, canRead: access.canRead });
+    return { total: archives.length, archives };
+  }
+
+  async searchSessionArchives({ note_type, importance, since, until, text, session_id, limit }, access = FULL_ACCESS) {
+    return await searchArchives({ noteType: note_type, importance, since, until, text, sessionId: session_id, limit, canRead: access.canRead });
+  }
+
+  async restoreSession({ archive_path, session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    const archived = parseFrontmatter(await readArchive(archive_path)).body;
+    const timestamp = new Date().toISOString();
+
+    // Archive whatever the session holds now, then replace it, as one transaction
+    const { result: archivedCurrentTo, steps } = await runTransaction('restore_session', async (tx) => {
+      let archivePath = null;
+      await tx.step('session_restore', sessionPath(sessionId), async (current) => {
+        if (current !== null && parseNotes(current).length > 0) {
+          archivePath = await archivePathFor(sessionId, timestamp);
+          await tx.step('session_archive', archivePath, () => current, {
+            metadata: archiveMetadata(sessionId, { archivedAt: timestamp, archivedBy: 'restore_session' }),
+            expectedRevision: null,
+            source: 'restore_session'
+          });
+        }
+        return archived;
+      }, { raw: true, source: 'restore_session' });
+      return archivePath;
+    });
+
+    return {
+      success: true,
+      session_id: sessionId,
+      path: sessionPath(sessionId),
+      restored_from: archive_path,
+      note_count: parseNotes(archived).length,
+      archived_current_to: archivedCurrentTo,
+      steps
+    };
+  }
+
+  async moveEntity({ from_path, to_path }) {
+    if (from_path === to_path) {
+      throw new Error('Source and destination paths are the same');
+    }
+
+    const { backlinks } = await getBacklinks(from_path);
+    await moveMemory(from_path, to_path, { source: 'move_entity' });
+
+    // The moved entity's own relative links are rebased on its new folder
+    const movedContent = await readMemory(to_path);
+    const rebased = rewriteLinks(movedContent, from_path, from_path, to_path, { newSourcePath: to_path });
+    if (rebased !== movedContent) {
+      await writeMemory(to_path, rebased, { source: 'move_entity' });
+    }
+
+    // Session and anchor files also mention entity paths in plain text
+    const sessionPaths = (await listSessions()).filter(session => session.exists).map(session => session.path);
+    const mentionPaths = new Set([ANCHORS_PATH, ...sessionPaths]);
+    const referencing = new Set([...backlinks.filter(path => path !== from_path), ...mentionPaths]);
+    const referencesUpdated = [];
+    for (const path of referencing) {
+      const content = await readMemory(path).catch(() => null);
+      if (content === null) {
+        continue;
+      }
+      const mentions = mentionPaths.has(path);
+      const rewritten = rewriteLinks(content, path, from_path, to_path, { mentions });
+      if (rewritten !== content) {
+        await writeMemory(path, rewritten, { source: 'move_entity' });
+        referencesUpdated.push(path);
+      }
+    }
+
+    return {
+      success: true,
+      from: from_path,
+      to: to_path,
+      references_updated: referencesUpdated
+    };
+  }
+
+  async renameEntity({ entity_path, new_name }) {
+    if (!new_name || new_name.includes('/')) {
+      throw new Error('new_name must be a non-empty name without \'/\' (use move_entity to change folders)');
+    }
+    const folder = entity_path.includes('/') ? entity_path.slice(0, entity_path.lastIndexOf('/') + 1) : '';
+    return await this.moveEntity({ from_path: entity_path, to_path: folder + new_name });
+  }
+
+  async deleteEntity({ entity_path }) {
+    const record = await trashEntity(entity_path, { source: 'delete_entity' });
+    const { backlinks } = await getBacklinks(entity_path);
+    return {
+      success: true,
+      ...record,
+      dangling_backlinks: backlinks
+    };
+  }
+
+  async restoreEntity({ trash_id, entity_path, restore_to }) {
+    const restored = await restoreEntity({ trashId: trash_id, path: entity_path, restoreTo: restore_to, source: 'restore_entity' });
+    return { success: true, ...restored };
+  }
+
+  async listTrash(access = FULL_ACCESS) {
+    const items = (await listTrash()).filter(item => access.canRead(item.path));
+    return { total: items.length, items };
+  }
+
+  async purgeTrash({ trash_id, older_than_days, all = false }) {
+    const result = await purgeTrash({ trashId: trash_id, olderThanDays: older_than_days, all });
+    return { success: true, ...result };
+  }
+
+  async entityHistory({ entity_path, limit = 20 }) {
+    return await entityHistory(entity_path, { limit });
+  }
+
+  async readEntityVersion({ entity_path, revision, offset = 0, limit }) {
+    const version = await readEntityVersion(entity_path, revision);
+    const allLines = version.content.split('\n');
+
+    let resultLines = allLines.slice(offset);
+    if (limit > 0) {
+      resultLines = resultLines.slice(0, limit);
+    }
+
+    return {
+      path: entity_path,
+      ...version,
+      content: resultLines.join('\n'),
+      total_lines: allLines.length,
+      returned_lines: resultLines.length,
+      offset: offset
+    };
+  }
+
+  async revertEntity({ entity_path, revision }) {
+    const result = await revertEntity(entity_path, revision, { source: 'revert_entity' });
+    return { success: true, ...result };
+  }
+
+  async entityDiff({ entity_path, from_revision, to_revision, content, metadata = {}, format = 'unified', context_lines = 3 }) {
+    if (!DIFF_FORMATS.includes(format)) {
+      throw new Error(`Unknown diff format '${format}' (expected one of: ${DIFF_FORMATS.join(', ')})`);
+    }
+    if (!from_revision && !to_revision && content === undefined) {
+      throw new Error('Specify from_revision, to_revision or content to compare');
+    }
+    if (to_revision && content !== undefined) {
+      throw new Error('Specify either to_revision or content, not both');
+    }
+
+    // Each side is { label, revision, metadata, body }; a missing current file compares as empty
+    const current = await readMemory(entity_path).catch(() => null);
+    const side = async (revision) => {
+      if (revision) {
+        const version = await readRevision(entity_path, revision);
+        return { label: `${entity_path}@${version.revision.slice(0, 12)}`, revision: version.revision, ...parseFrontmatter(version.content) };
+      }
+      if (current === null && content === undefined) {
+        throw new Error(`Entity not found: ${entity_path}`);
+      }
+      return { label: entity_path, revision: 'current', ...parseFrontmatter(current || '') };
+    };
+
+    const from = await side(from_revision);
+    let to;
+    if (content !== undefined) {
+      // Metadata merges the way write_entity would merge it
+      const proposed = parseFrontmatter(content);
+      to = { label: `${entity_path} (proposed)`, revision: 'proposed', metadata: { ...from.metadata, ...proposed.metadata, ...metadata }, body: proposed.body };
+    } else {
+      to = await side(to_revision);
+    }
+
+    const lines = diffLines(from.body, to.body);
+    const stats = diffStats(lines);
+    const metadataChanges = [...new Set([...Object.keys(from.metadata), ...Object.keys(to.metadata)])]
+      .filter(key => key !== 'created' && key !== 'updated')
+      .filter(key => JSON.stringify(from.metadata[key] ?? null) !== JSON.stringify(to.metadata[key] ?? null))
+      .map(key => ({ field: key, from: from.metadata[key] ?? null, to: to.metadata[key] ?? null }));
+
+    const result = {
+      path: entity_path,
+      from: from.revision,
+      to: to.revision,
+      changed: stats.added + stats.removed > 0 || metadataChanges.length > 0,
+      ...stats,
+      metadata_changes: metadataChanges
+    };
+
+    if (format === 'lines') {
+      result.changes = lines.filter(line => line.type !== 'equal');
+    } else {
+      result.diff = formatUnifiedDiff(lines, { fromLabel: `a/${from.label}`, toLabel: `b/${to.label}`, context: context_lines });
+    }
+    return result;
+  }
+
+  async getStartupContext({ max_chars, max_tokens, anchor_limit, entity_limit, session_id }, access = FULL_ACCESS) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
+    const context = await getStartupContext({
+      sessionPath: sessionPath(sessionId),
+      maxChars: max_chars,
+      maxTokens: max_tokens,
+      anchorLimit: anchor_limit,
+      entityLimit: entity_limit,
+      canRead: access.canRead
+    });
+    return { session_id: sessionId, ...context };
+  }
+
+  async getAnchors({ pinned_only = false, limit }, access = FULL_ACCESS) {
+    return await getAnchors({ pinnedOnly: pinned_only, limit, canRead: access.canRead });
+  }
+
+  async pinAnchor({ entity_path, pinned = true, summary }) {
+    const anchor = await pinAnchor(entity_path, { pinned, summary, source: 'pin_anchor' });
+    return { success: true, anchor };
+  }
+
+  async pruneAnchors({ max_count, older_than_days, dry_run = false }) {
+    const result = await pruneAnchors({ maxCount: max_count, olderThanDays: older_than_days, dryRun: dry_run, source: 'prune_anchors' });
+    return { success: true, ...result };
+  }
+
+  async listEntities({ filter_prefix = '' }, access = FULL_ACCESS) {
+    const allEntities = (await listMemory()).filter(access.canRead);
     return filter_prefix ?
       allEntities.filter(path => path.startsWith(filter_prefix)) :
       allEntities;
   }
 
+  async queryEntities({ filter_prefix = '', type, tags, updated_since, updated_before, min_importance, min_size, max_size, sort_by = 'modified', order, limit = 50 }, access = FULL_ACCESS) {
+    return await queryEntities({
+      filterPrefix: filter_prefix,
+      type,
+      tags,
+      updatedSince: updated_since,
+      updatedBefore: updated_before,
+      minImportance: min_importance,
+      minSize: min_size,
+      maxSize: max_size,
+      sortBy: sort_by,
+      order,
+      limit,
+      canRead: access.canRead
+    });
+  }
+
+  async searchEntities({ query, mode = 'terms', filter_prefix = '', case_sensitive = false, context_lines = 2, max_results = 20 }, access = FULL_ACCESS) {
+    return await searchMemory({
+      query,
+      mode,
+      filterPrefix: filter_prefix,
+      caseSensitive: case_sensitive,
+      contextLines: context_lines,
+      maxResults: max_results,
+      canRead: access.canRead
+    });
+  }
+
+  async recall({ query, filter_prefix = '', limit = 5 }, access = FULL_ACCESS) {
+    return await recall(query, { filterPrefix: filter_prefix, limit, canRead: access.canRead });
+  }
+
+  async getLinks({ entity_path }, access = FULL_ACCESS) {
+    const result = await getLinks(entity_path);
+    const links = result.links.filter(link => access.canRead(link.target));
+    return { ...result, links, dangling: result.dangling.filter(access.canRead) };
+  }
+
+  async getBacklinks({ entity_path }, access = FULL_ACCESS) {
+    const result = await getBacklinks(entity_path);
+    return { ...result, backlinks: result.backlinks.filter(access.canRead) };
+  }
+
+  async getNeighborhood({ entity_path, depth = 1 }, access = FULL_ACCESS) {
+    return await getNeighborhood(entity_path, depth, { canRead: access.canRead });
+  }
+
+  async getDanglingLinks(access = FULL_ACCESS) {
+    const dangling = (await getDanglingLinks()).dangling.filter(link => access.canRead(link.from) && access.canRead(link.to));
+    return { total: dangling.length, dangling };
+  }
+
+  async reindex() {
+    const stats = await rebuildSearchIndex();
+    const vectors = await rebuildVectors();
+    await rebuildLinks();
+    const { archives } = await rebuildArchiveIndex();
+    return {
+      success: true,
+      message: `Search index rebuilt: ${stats.entities} entities, ${stats.terms} terms, ${vectors.chunks} recall chunks, ${archives} session archives`,
+      ...stats,
+      chunks: vectors.chunks,
+      archives
+    };
+  }
+
   async synthesisReflection({ reflection_type, key_insights, cognitive_growth, future_focus }) {
     const timestamp = new Date().toISOString();
     const dateStamp = timestamp.split('T')[0];
@@ -204,10 +1255,10 @@ class CognitiveDevelopmentServer {
     let contextAnchorsInfo = '';
     try {
       const contextAnchors = await readMemory('context_anchors');
-      // Extract entity references from context anchors (simplified parsing)
-      const entityMatches = contextAnchors.match(/\*\*Entity Path\*\*: (.+)/g) || [];
-      if (entityMatches.length > 0) {
-        contextAnchorsInfo = `\n## Context from Anchors\nActive entities: ${entityMatches.length} referenced\n`;
+      const anchors = parseAnchors(contextAnchors);
+      const pinned = anchors.filter(anchor => anchor.pinned).map(anchor => anchor.path);
+      if (anchors.length > 0) {
+        contextAnchorsInfo = `\n## Context from Anchors\nActive entities: ${anchors.length} referenced${pinned.length > 0 ? ` (pinned: ${pinned.join(', ')})` : ''}\n`;
       }
     } catch {
       // context_anchors.md doesn't exist or can't be read - that's okay
@@ -232,109 +1283,114 @@ ${future_focus ? `## Future Development Focus\n${future_focus}\n` : ''}
     const ROTATION_THRESHOLD = 1048576;
     const memoryDir = process.env.COGNITIVE_MEMORY_PATH;
     const journalPath = resolve(join(memoryDir, 'dream_journal.md'));
+    let rotatedSize = null;
 
-    try {
-      const stats = await fs.stat(journalPath);
-      if (stats.size >= ROTATION_THRESHOLD) {
+    // Read, rotate and append under one update so concurrent reflections are never lost
+    await updateMemory('dream_journal', async (existingJournal) => {
+      if (existingJournal !== null && Buffer.byteLength(existingJournal) >= ROTATION_THRESHOLD) {
         // Rotate: rename current journal with date stamp
         const rotatedPath = resolve(join(memoryDir, `dream_journal_${dateStamp}.md`));
         await fs.rename(journalPath, rotatedPath);
+        rotatedSize = Buffer.byteLength(existingJournal);
 
         // Create new journal with pointer to previous
         const newJournalHeader = `# Dream Journal\n\n*Previous journal archived to: dream_journal_${dateStamp}.md*\n\n`;
-        await writeMemory('dream_journal', newJournalHeader + reflectionContent);
-
-        return {
-          success: true,
-          message: `${reflection_type} reflection saved; journal rotated (was ${Math.round(stats.size / 1024)}KB)`,
-          rotated: true,
-          archived_to: `dream_journal_${dateStamp}.md`
-        };
+        return newJournalHeader + reflectionContent;
       }
-    } catch {
-      // File doesn't exist yet or can't stat - that's okay, will create it
-    }
 
-    // Append to existing dream_journal.md (or create if doesn't exist)
-    const existingJournal = await readMemory('dream_journal').catch(() => '# Dream Journal\n');
-    await writeMemory('dream_journal', existingJournal + reflectionContent);
+      // Append to existing dream_journal.md (or create if doesn't exist)
+      return (existingJournal ?? '# Dream Journal\n') + reflectionContent;
+    }, { source: 'synthesis_reflection' });
+
+    if (rotatedSize !== null) {
+      return {
+        success: true,
+        message: `${reflection_type} reflection saved; journal rotated (was ${Math.round(rotatedSize / 1024)}KB)`,
+        rotated: true,
+        archived_to: `dream_journal_${dateStamp}.md`
+      };
+    }
 
     return { success: true, message: `${reflection_type} reflection saved to dream journal` };
   }
 
-  async deepLearn({ entities }) {
+  async deepLearn({ entities, session_id }) {
+    const sessionId = await requireSession(session_id ?? this.activeSession);
     const timestamp = new Date().toISOString();
     const dateStamp = timestamp.split('T')[0];
     const createdEntities = [];
+    const revisions = {};
 
-    // Step 1: Create/update all entities
-    for (const entity of entities) {
-      await writeMemory(entity.path, entity.content);
-      createdEntities.push({
-        path: entity.path,
-        anchor_summary: entity.anchor_summary
-      });
-    }
-
-    // Step 2: Update context_anchors.md with new entity references
-    const contextAnchorsEntry = `
-## Deep Learn Session - ${timestamp}
-${createdEntities.map(e => `- **${e.path}**: ${e.anchor_summary}`).join('\n')}
-
----
-
-`;
-
-    try {
-      const existingAnchors = await readMemory('context_anchors');
-      // Insert new entries after the header but before existing content
-      const headerMatch = existingAnchors.match(/^(# Context Anchors.*?\n\n)/s);
-      if (headerMatch) {
-        const header = headerMatch[1];
-        const rest = existingAnchors.slice(header.length);
-        await writeMemory('context_anchors', header + contextAnchorsEntry + rest);
-      } else {
-        // No proper header, append to top
-        await writeMemory('context_anchors', contextAnchorsEntry + existingAnchors);
+    // Step 0: Check every expected revision before writing anything
+    for (const entity of entities.filter(e => e.expected_revision !== undefined)) {
+      const current = await readMemory(entity.path).catch(() => null);
+      const currentRevision = current === null ? null : revisionOf(current);
+      if (currentRevision !== entity.expected_revision) {
+        throw new RevisionConflictError(entity.path, entity.expected_revision, currentRevision);
       }
-    } catch {
-      // context_anchors.md doesn't exist, create it
-      await writeMemory('context_anchors', `# Context Anchors\n\n${contextAnchorsEntry}`);
     }
 
-    // Step 3: Archive current session before reset
-    let sessionArchived = false;
-    let archivePath = null;
-    try {
-      const currentSessionContent = await readMemory('current_session');
-      // Only archive if there's meaningful content (more than just the header)
-      if (currentSessionContent && currentSessionContent.length > 200) {
-        archivePath = `session_archives/${dateStamp}`;
-        await writeMemory(archivePath, currentSessionContent);
-        sessionArchived = true;
+    // Steps 1-4 run as one transaction: any failure rolls back every step that already committed
+    const { result: sessionArchive, steps } = await runTransaction('deep_learn', async (tx) => {
+      // Step 1: Create/update all entities
+      for (const entity of entities) {
+        revisions[entity.path] = await tx.step(`entity:${entity.path}`, entity.path, () => entity.content, {
+          metadata: entity.metadata || {},
+          source: 'deep_learn',
+          expectedRevision: entity.expected_revision
+        });
+        createdEntities.push({
+          path: entity.path,
+          anchor_summary: entity.anchor_summary
+        });
       }
-    } catch {
-      // current_session.md doesn't exist - nothing to archive
-    }
 
-    // Step 4: Reset current_session.md
-    const sessionResetContent = `# Current Session
+      // Step 2: Add or refresh one anchor per entity in context_anchors.md
+      const anchorEntries = createdEntities.map(e => ({ path: e.path, summary: e.anchor_summary }));
+      await tx.step('context_anchors', ANCHORS_PATH, existingAnchors => touchAnchors(existingAnchors, anchorEntries, timestamp), { source: 'deep_learn' });
+
+      // Steps 3 and 4: Archive the session, then reset it, with no notes slipping in between
+      let archivePath = null;
+      await tx.step('session_reset', sessionPath(sessionId), async (currentSessionContent) => {
+        // Only archive if there's meaningful content (more than just the header)
+        if (currentSessionContent && currentSessionContent.length > 200) {
+          archivePath = await archivePathFor(sessionId, timestamp);
+          await tx.step('session_archive', archivePath, () => currentSessionContent, {
+            metadata: archiveMetadata(sessionId, {
+              archivedAt: timestamp,
+              archivedBy: 'deep_learn',
+              entities: createdEntities.map(e => e.path),
+              anchors: createdEntities.map(e => `${e.path}: ${e.anchor_summary}`)
+            }),
+            expectedRevision: null,
+            source: 'deep_learn'
+          });
+        }
+
+        return `${sessionHeader(sessionId)}
 
 *Session reset on ${dateStamp} after Deep Learn integration*
 *Previous session content integrated into structured entities*
-${sessionArchived ? `*Session archived to: ${archivePath}.md*` : ''}
+${archivePath ? `*Session archived to: ${archivePath}.md*` : ''}
 
 `;
-    await writeMemory('current_session', sessionResetContent);
+      }, { source: 'deep_learn' });
+
+      return { archived: archivePath !== null, archivePath };
+    });
 
+    const { archived: sessionArchived, archivePath } = sessionArchive;
     return {
       success: true,
       message: `Deep Learn complete: ${entities.length} entities created/updated${sessionArchived ? `, session archived to ${archivePath}` : ''}`,
       entities_created: createdEntities.map(e => e.path),
+      session_id: sessionId,
+      revisions,
       session_reset: true,
       session_archived: sessionArchived,
       archive_path: archivePath,
-      context_anchors_updated: true
+      context_anchors_updated: true,
+      steps
     };
   }
 
@@ -353,57 +1409,143 @@ ${content}
 
 `;
 
-    try {
-      const existingMe = await readMemory('me');
-
-      // Try to find and update existing section
-      const sectionRegex = new RegExp(`(### ${section}.*?)(\\n---\\n|\\n##|$)`, 's');
-      const sectionMatch = existingMe.match(sectionRegex);
-
-      if (sectionMatch) {
-        // Section exists, replace it
-        const updatedMe = existingMe.replace(sectionRegex, learningEntry);
-        await writeMemory('me', updatedMe);
-      } else {
-        // Section doesn't exist, append to end
-        await writeMemory('me', existingMe + learningEntry);
-      }
-
-      return {
-        success: true,
-        message: `Base instructions updated: ${section}`,
-        section_updated: section,
-        action: sectionMatch ? 'replaced' : 'appended'
-      };
-    } catch {
-      // me.md doesn't exist, create it
-      const newMe = `# Base Instructions (me.md)
+    let action;
+    await updateMemory('me', existingMe => {
+      if (existingMe === null) {
+        // me.md doesn't exist, create it
+        action = 'created';
+        return `# Base Instructions (me.md)
 
 *This file contains behavioral learnings that have been integrated into the base prompt.*
 *Interface files (CLAUDE.md, custom_modes.yaml, etc.) should reference this location.*
 
 ${learningEntry}`;
+      }
 
-      await writeMemory('me', newMe);
+      // Section exists: replace it, up to the next heading of its level or higher
+      const title = section.trim().replace(/\s+/g, ' ');
+      const existing = findHeadings(existingMe).find(heading =>
+        heading.level === 3 && (heading.title === title || heading.title.startsWith(`${title} - Updated `)));
+      if (existing) {
+        action = 'replaced';
+        const lines = existingMe.split('\n');
+        return [...lines.slice(0, existing.line), ...learningEntry.slice(1, -1).split('\n'), ...lines.slice(existing.end)].join('\n');
+      }
 
-      return {
-        success: true,
-        message: `Base instructions created: ${section}`,
-        section_updated: section,
-        action: 'created'
-      };
-    }
+      // Section doesn't exist, append to end
+      action = 'appended';
+      return existingMe + learningEntry;
+    }, { source: 'learn' });
+
+    return {
+      success: true,
+      message: `Base instructions ${action === 'created' ? 'created' : 'updated'}: ${section}`,
+      section_updated: section,
+      action
+    };
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+  // Startup recovery and index checks, then serve over stdio or, with transport 'http', on localhost.
+  // In HTTP mode tokensFile turns on bearer-token auth, idleTimeoutMs overrides when idle sessions are
+  // closed, and the result is the HTTP server handle ({ url, port, sessions, close }).
+  async run({ transport = 'stdio', port = DEFAULT_HTTP_PORT, tokensFile, idleTimeoutMs } = {}) {
+    // Read the configuration and tokens first so a bad file stops the server before it does any work
+    this.config = await loadServerConfig();
+    const tokens = transport === 'http' && tokensFile ? await loadTokens(tokensFile) : null;
+    if (this.config.read_only) {
+      console.error('Read-only mode: tools that change memory are disabled');
+    }
+
+    const staleLocks = await removeStaleLocks();
+    if (staleLocks > 0) {
+      console.error(`Removed ${staleLocks} stale lock(s) left by exited processes`);
+    }
+
+    // Finish or roll back deep_learn transactions interrupted by a crash
+    for (const transaction of await recoverTransactions()) {
+      console.error(`Transaction ${transaction.name} ${transaction.id} ${transaction.action.replace('_', ' ')}`);
+    }
+
+    // Pick up entities added or edited outside the server since the indexes were last saved
+    const indexes = { 'Search index': syncSearchIndex, 'Recall vectors': syncVectors, 'Link graph': syncLinks, 'Archive index': syncArchiveIndex };
+    for (const [name, sync] of Object.entries(indexes)) {
+      const result = await sync();
+      console.error(`${name} ${result.rebuilt ? 'rebuilt' : 'checked'}: ${result.reindexed} refreshed, ${result.removed} removed`);
+    }
+
+    if (transport === 'http') {
+      // Every HTTP client session gets its own server instance on the shared memory
+      const http = await startHttpServer(async sessionTransport => {
+        await new CognitiveDevelopmentServer({ config: this.config }).server.connect(sessionTransport);
+      }, { port, tokens, idleTimeoutMs });
+      console.error(`Cognitive Development MCP server listening on ${http.url}`);
+      console.error(tokens ? `Bearer-token auth on: ${tokens.size} token(s) from ${tokensFile}` : 'No tokens file: any local process has full access');
+      return http;
+    }
+
+    await this.server.connect(new StdioServerTransport());
     console.error('Cognitive Development MCP server running');
+    return null;
+  }
+}
+
+// Transport, port, tokens file and idle timeout from the command line (--http, --port <n>, --tokens <file>,
+// --idle-timeout <minutes>) or the environment (COGNITIVE_MEMORY_TRANSPORT=stdio|http, COGNITIVE_MEMORY_PORT,
+// COGNITIVE_MEMORY_TOKENS_FILE, COGNITIVE_MEMORY_IDLE_TIMEOUT); the command line wins
+function serverOptions(argv = process.argv.slice(2), env = process.env) {
+  let transport = env.COGNITIVE_MEMORY_TRANSPORT || 'stdio';
+  let port = env.COGNITIVE_MEMORY_PORT;
+  let tokensFile = env.COGNITIVE_MEMORY_TOKENS_FILE || undefined;
+  let idleTimeout = env.COGNITIVE_MEMORY_IDLE_TIMEOUT;
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    if (flag === '--http') {
+      transport = 'http';
+    } else if (flag === '--stdio') {
+      transport = 'stdio';
+    } else if (flag === '--port') {
+      port = inline ?? argv[++index];
+    } else if (flag === '--tokens') {
+      tokensFile = inline ?? argv[++index];
+      if (!tokensFile) {
+        throw new Error('--tokens needs a file path');
+      }
+    } else if (flag === '--idle-timeout') {
+      idleTimeout = inline ?? argv[++index];
+    } else {
+      throw new Error(`Unknown option: ${argv[index]} (expected --http, --stdio, --port <n>, --tokens <file> or --idle-timeout <minutes>)`);
+    }
+  }
+
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Unknown transport: '${transport}' (expected stdio or http)`);
+  }
+  const portNumber = port === undefined || port === '' ? DEFAULT_HTTP_PORT : Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 0 || portNumber > 65535) {
+    throw new Error(`Invalid port: '${port}'`);
   }
+  const idleMinutes = idleTimeout === undefined || idleTimeout === '' ? undefined : Number(idleTimeout);
+  if (idleMinutes !== undefined && !(idleMinutes >= 0)) {
+    throw new Error(`Invalid idle timeout: '${idleTimeout}' (minutes, 0 to never close idle sessions)`);
+  }
+  return { transport, port: portNumber, tokensFile, idleTimeoutMs: idleMinutes === undefined ? undefined : idleMinutes * 60 * 1000 };
 }
 
 // Export for testing
-export { CognitiveDevelopmentServer };
+export { CognitiveDevelopmentServer, serverOptions };
 
-// Run the server
-new CognitiveDevelopmentServer().run().catch(console.error);
\ No newline at end of file
+// Run the server when executed directly (not when imported by tests)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  (async () => {
+    const http = await new CognitiveDevelopmentServer().run(serverOptions());
+    if (http) {
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => http.close().finally(() => process.exit(0)));
+      }
+    }
+  })().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
\ No newline at end of file
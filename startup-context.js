@@ -0,0 +1,133 @@
+/**
+ * Startup briefing for a fresh conversation
+ * Bundles me.md, the tail of a session, the top context anchors and the anchored entities' content,
+ * trimmed to a character budget (token budgets are converted at ~4 characters per token)
+ */
+
+import { readMemory } from './memory.js';
+import { parseFrontmatter } from './frontmatter.js';
+import { parseNotes } from './sessions.js';
+import { getAnchors } from './anchors.js';
+
+export const CHARS_PER_TOKEN = 4;
+const DEFAULT_MAX_CHARS = 24000;
+const DEFAULT_ANCHOR_LIMIT = 20;
+const DEFAULT_ENTITY_LIMIT = 5;
+
+// Share of the budget each section may take at most; whatever one leaves unused goes to the next
+const IDENTITY_SHARE = 0.3;
+const SESSION_SHARE = 0.25;
+const ANCHORS_SHARE = 0.1;
+
+const TRUNCATED_MARKER = '\n[truncated]';
+
+async function readBody(path) {
+  const raw = await readMemory(path).catch(() => null);
+  return raw === null ? null : parseFrontmatter(raw).body.trim();
+}
+
+// Cut text to at most limit characters, at a line break when one is near the end
+function truncate(text, limit) {
+  if (text.length <= limit) {
+    return { content: text, truncated: false };
+  }
+  if (limit <= TRUNCATED_MARKER.length) {
+    return { content: '', truncated: true };
+  }
+  const cut = text.slice(0, limit - TRUNCATED_MARKER.length);
+  const lineBreak = cut.lastIndexOf('\n');
+  const content = (lineBreak > cut.length * 0.8 ? cut.slice(0, lineBreak) : cut) + TRUNCATED_MARKER;
+  return { content, truncated: true };
+}
+
+// The most recent whole notes that fit in limit characters, oldest first
+function sessionTail(body, limit) {
+  const lines = body.split('\n');
+  const notes = parseNotes(body);
+  const blocks = notes.map(note => lines.slice(note.line, note.end).join('\n').trim());
+  const included = [];
+  let used = 0;
+
+  for (const block of blocks.reverse()) {
+    const size = block.length + (included.length > 0 ? 2 : 0);
+    if (used + size > limit) {
+      break;
+    }
+    included.unshift(block);
+    used += size;
+  }
+
+  // Not even the latest note fits whole: keep its beginning
+  if (included.length === 0 && blocks.length > 0) {
+    const { content } = truncate(blocks[0], limit);
+    return { content, notes_included: content ? 1 : 0, notes_total: notes.length, truncated: true };
+  }
+
+  return { content: included.join('\n\n'), notes_included: included.length, notes_total: notes.length, truncated: included.length < notes.length };
+}
+
+// Assemble the briefing. maxTokens wins over maxChars when both are given.
+// Paths canRead rejects (me, the session, anchored entities) are left out as if they did not exist.
+export async function getStartupContext({ sessionPath, maxChars, maxTokens, anchorLimit = DEFAULT_ANCHOR_LIMIT, entityLimit = DEFAULT_ENTITY_LIMIT, canRead = () => true } = {}) {
+  const budget = maxTokens !== undefined ? maxTokens * CHARS_PER_TOKEN : maxChars ?? DEFAULT_MAX_CHARS;
+  if (!(budget > 0)) {
+    throw new Error('Budget must be a positive number of characters or tokens');
+  }
+  let remaining = budget;
+  // Room for a section whose share, added to the shares before it, is cumulativeShare of the budget
+  const allowance = cumulativeShare => Math.min(remaining, Math.floor(budget * cumulativeShare) - (budget - remaining));
+
+  const read = path => canRead(path) ? readBody(path) : Promise.resolve(null);
+
+  const meBody = await read('me');
+  const me = meBody === null ? null : truncate(meBody, allowance(IDENTITY_SHARE));
+  remaining -= me ? me.content.length : 0;
+
+  const sessionBody = await read(sessionPath);
+  const session = sessionBody === null ? null : { path: sessionPath, ...sessionTail(sessionBody, allowance(IDENTITY_SHARE + SESSION_SHARE)) };
+  remaining -= session ? session.content.length : 0;
+
+  const { total: anchorsTotal, anchors: topAnchors } = await getAnchors({ limit: anchorLimit, canRead });
+  const anchorLimitChars = allowance(IDENTITY_SHARE + SESSION_SHARE + ANCHORS_SHARE);
+  const anchors = [];
+  let anchorChars = 0;
+  for (const anchor of topAnchors) {
+    const size = anchor.path.length + anchor.summary.length + 8;
+    if (anchorChars + size > anchorLimitChars) {
+      break;
+    }
+    anchors.push(anchor);
+    anchorChars += size;
+  }
+  remaining -= anchorChars;
+
+  // Entities of the top anchors (pinned first, then most recently touched) share what is left evenly
+  const entities = [];
+  const missing = [];
+  const omitted = [];
+  const candidates = anchors.slice(0, entityLimit);
+  for (const [index, anchor] of candidates.entries()) {
+    const body = await read(anchor.path);
+    const share = Math.floor(remaining / (candidates.length - index));
+    if (body === null) {
+      missing.push(anchor.path);
+    } else if (share <= TRUNCATED_MARKER.length) {
+      omitted.push(anchor.path);
+    } else {
+      const { content, truncated } = truncate(body, share);
+      entities.push({ path: anchor.path, summary: anchor.summary, pinned: anchor.pinned, content, truncated });
+      remaining -= content.length;
+    }
+  }
+
+  const usedChars = budget - remaining;
+  return {
+    budget: { max_chars: budget, used_chars: usedChars, estimated_tokens: Math.ceil(usedChars / CHARS_PER_TOKEN) },
+    me: me && { content: me.content, truncated: me.truncated },
+    session,
+    anchors: { total: anchorsTotal, included: anchors },
+    entities,
+    missing_entities: missing,
+    omitted_entities: omitted
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * Jest tests for the startup context bundle
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory } from './memory.js';
+import { formatNote } from './sessions.js';
+import { touchAnchors, pinAnchor } from './anchors.js';
+import { getStartupContext } from './startup-context.js';
+
+describe('Startup Context', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+
+    await writeMemory('me', '# Base Instructions\n\nBe concise.');
+    const notes = ['First', 'Second', 'Third'].map((content, index) =>
+      formatNote({ note_type: 'context', importance: 'medium', content, timestamp: `2024-05-01T0${index}:00:00.000Z` }).block);
+    await writeMemory('current_session', '# Current Session\n' + notes.join(''));
+    let anchors = touchAnchors(null, [{ path: 'concepts/old', summary: 'Older' }], '2024-05-01T00:00:00.000Z');
+    anchors = touchAnchors(anchors, [{ path: 'concepts/new', summary: 'Newer' }, { path: 'concepts/gone', summary: 'Deleted' }], '2024-05-02T00:00:00.000Z');
+    await writeMemory('context_anchors', anchors);
+    await pinAnchor('concepts/old');
+    await writeMemory('concepts/old', '# Old\n\nPinned knowledge.');
+    await writeMemory('concepts/new', '# New\n\n' + 'Detail line.\n'.repeat(200));
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('bundles identity, session, anchors and anchored entities', async () => {
+    const context = await getStartupContext({ sessionPath: 'current_session' });
+
+    expect(context.me).toEqual({ content: '# Base Instructions\n\nBe concise.', truncated: false });
+    expect(context.session).toMatchObject({ path: 'current_session', notes_included: 3, notes_total: 3, truncated: false });
+    expect(context.anchors.included.map(anchor => anchor.path)).toEqual(['concepts/old', 'concepts/gone', 'concepts/new']);
+    expect(context.entities.map(entity => [entity.path, entity.pinned])).toEqual([['concepts/old', true], ['concepts/new', false]]);
+    expect(context.missing_entities).toEqual(['concepts/gone']);
+    expect(context.budget.used_chars).toBeLessThanOrEqual(24000);
+  });
+
+  test('leaves out me and anchored entities canRead refuses', async () => {
+    const context = await getStartupContext({ sessionPath: 'current_session', canRead: path => path !== 'me' && path !== 'concepts/old' });
+
+    expect(context.me).toBeNull();
+    expect(context.anchors.total).toBe(2);
+    expect(context.anchors.included.map(anchor => anchor.path)).toEqual(['concepts/gone', 'concepts/new']);
+    expect(context.entities.map(entity => entity.path)).toEqual(['concepts/new']);
+  });
+
+  test('keeps within a small budget, favouring the newest notes', async () => {
+    const context = await getStartupContext({ sessionPath: 'current_session', maxTokens: 100 });
+
+    expect(context.budget.max_chars).toBe(400);
+    expect(context.budget.used_chars).toBeLessThanOrEqual(400);
+    expect(context.session.notes_included).toBeLessThan(3);
+    expect(context.session.content).toContain('Third');
+    expect(context.session.content).not.toContain('First');
+    expect(context.anchors.included.length).toBeLessThan(context.anchors.total);
+  });
+
+  test('trims entity content to what is left of the budget', async () => {
+    const context = await getStartupContext({ sessionPath: 'current_session', maxChars: 2000 });
+
+    const entity = context.entities.find(candidate => candidate.path === 'concepts/new');
+    expect(entity.truncated).toBe(true);
+    expect(entity.content.endsWith('[truncated]')).toBe(true);
+    expect(context.budget.used_chars).toBeLessThanOrEqual(2000);
+  });
+
+  test('works with an empty memory', async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+
+    const context = await getStartupContext({ sessionPath: 'current_session', maxChars: 1000 });
+
+    expect(context).toMatchObject({ me: null, session: null, anchors: { total: 0, included: [] }, entities: [] });
+    await expect(getStartupContext({ sessionPath: 'current_session', maxChars: 0 })).rejects.toThrow('positive');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Multi-file transactions with a write-ahead journal in <memory>/.journal/
+ * Each step records the file's previous content before it is written. A failed transaction is rolled
+ * back in process; one interrupted by a crash is rolled back (or, if every step landed, completed)
+ * by recoverTransactions() on the next startup.
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { MEMORY_DIR, updateMemory, writeMemory, deleteMemory, readMemory, revisionOf, writeFileAtomic } from './memory.js';
+import { isProcessAlive } from './file-lock.js';
+
+const JOURNAL_DIR = join(MEMORY_DIR, '.journal');
+const ROLLBACK_SOURCE = 'transaction_rollback';
+
+// Thrown when a transaction fails; steps reports what committed and what was rolled back
+export class TransactionError extends Error {
+  constructor(name, failedStep, cause, steps) {
+    super(`${name} failed${failedStep ? ` at step '${failedStep}'` : ''}: ${cause.message}. ` +
+      `Rolled back: ${steps.filter(step => step.status === 'rolled_back').map(step => step.step).join(', ') || 'nothing'}`);
+    this.name = 'TransactionError';
+    this.cause = cause;
+    this.steps = steps;
+  }
+}
+
+function journalFile(id) {
+  return join(JOURNAL_DIR, `${id}.json`);
+}
+
+async function saveJournal(journal) {
+  await writeFileAtomic(journalFile(journal.id), JSON.stringify(journal));
+}
+
+// Undo started steps newest first. A file changed by someone else since our write is left alone.
+async function rollBack(journal) {
+  const outcomes = new Map();
+
+  for (const step of [...journal.steps].reverse()) {
+    const current = await readMemory(step.path).catch(() => null);
+    const currentRevision = current === null ? null : revisionOf(current);
+    const previousRevision = step.previous === null ? null : revisionOf(step.previous);
+
+    if (currentRevision === previousRevision) {
+      // The write never landed (or was a no-op)
+      outcomes.set(step, 'not_applied');
+    } else if (step.status === 'committed' && currentRevision !== step.revision) {
+      outcomes.set(step, 'changed_since');
+    } else if (step.previous === null) {
+      await deleteMemory(step.path, { source: ROLLBACK_SOURCE });
+      outcomes.set(step, 'rolled_back');
+    } else {
+      await writeMemory(step.path, step.previous, { raw: true, source: ROLLBACK_SOURCE });
+      outcomes.set(step, 'rolled_back');
+    }
+  }
+
+  return journal.steps.map(step => ({ step: step.name, path: step.path, status: outcomes.get(step) }));
+}
+
+// Run fn(tx) as one transaction. Inside, tx.step(name, path, update, options) applies
+// updateMemory(path, update, options) with journaling and returns the new revision; steps may nest.
+// Resolves to { result, steps: [{ step, path, status: 'committed', revision }] }.
+export async function runTransaction(name, fn) {
+  const journal = {
+    id: `${new Date().toISOString().replace(/[-:.]/g, '')}-${randomBytes(3).toString('hex')}`,
+    name,
+    pid: process.pid,
+    started_at: new Date().toISOString(),
+    status: 'active',
+    steps: []
+  };
+  let currentStep = null;
+
+  const tx = {
+    async step(stepName, path, update, options = {}) {
+      const parentStep = currentStep;
+      currentStep = stepName;
+      let entry = null;
+      const revision = await updateMemory(path, async (current) => {
+        // Journal the previous content before anything is written
+        entry = { name: stepName, path, previous: current, status: 'started', revision: null };
+        journal.steps.push(entry);
+        await saveJournal(journal);
+        return await update(current);
+      }, options);
+
+      if (entry) {
+        entry.status = 'committed';
+        entry.revision = revision;
+        await saveJournal(journal);
+      }
+      // A failing step stays in currentStep for the error report
+      currentStep = parentStep;
+      return revision;
+    }
+  };
+
+  try {
+    const result = await fn(tx);
+    journal.status = 'committed';
+    await saveJournal(journal);
+    await fs.rm(journalFile(journal.id), { force: true });
+    return {
+      result,
+      steps: journal.steps.map(step => ({ step: step.name, path: step.path, status: 'committed', revision: step.revision }))
+    };
+  } catch (error) {
+    const steps = await rollBack(journal);
+    await fs.rm(journalFile(journal.id), { force: true });
+    throw new TransactionError(name, currentStep, error, steps);
+  }
+}
+
+// Startup recovery: finish or roll back transactions interrupted by a crash.
+// Journals of transactions still running in another live process are left alone.
+export async function recoverTransactions() {
+  const files = await fs.readdir(JOURNAL_DIR).catch(() => []);
+  const recovered = [];
+
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const journal = await fs.readFile(join(JOURNAL_DIR, file), 'utf-8').then(JSON.parse).catch(() => null);
+    if (journal === null) {
+      continue;
+    }
+    if (journal.status === 'active' && journal.pid !== process.pid && isProcessAlive(journal.pid)) {
+      continue;
+    }
+
+    if (journal.status === 'committed') {
+      recovered.push({ id: journal.id, name: journal.name, action: 'completed', steps: [] });
+    } else {
+      recovered.push({ id: journal.id, name: journal.name, action: 'rolled_back', steps: await rollBack(journal) });
+    }
+    await fs.rm(join(JOURNAL_DIR, file), { force: true });
+  }
+
+  return recovered;
+}
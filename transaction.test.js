@@ -0,0 +1,123 @@
+/**
+ * Jest tests for journaled multi-file transactions
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory, readMemory, listMemory, revisionOf } from './memory.js';
+import { runTransaction, recoverTransactions, TransactionError } from './transaction.js';
+
+const DEAD_PID = 2147483646;
+
+async function journalFiles() {
+  return await fs.readdir('./memory/.journal').catch(() => []);
+}
+
+describe('Transactions', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('commits every step and reports it', async () => {
+    const { result, steps } = await runTransaction('test', async (tx) => {
+      await tx.step('first', 'a', () => 'A');
+      await tx.step('second', 'b', current => `${current ?? ''}B`);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(steps).toEqual([
+      { step: 'first', path: 'a', status: 'committed', revision: revisionOf('A') },
+      { step: 'second', path: 'b', status: 'committed', revision: revisionOf('B') }
+    ]);
+    expect(await journalFiles()).toEqual([]);
+  });
+
+  test('rolls back committed steps when a later step fails', async () => {
+    await writeMemory('existing', '---\ntags: [kept]\n---\nOriginal');
+    const original = await readMemory('existing');
+
+    const run = runTransaction('test', async (tx) => {
+      await tx.step('create', 'created', () => 'New');
+      await tx.step('update', 'existing', () => 'Changed');
+      await tx.step('explode', 'other', () => {
+        throw new Error('disk full');
+      });
+    });
+
+    await expect(run).rejects.toThrow(TransactionError);
+    const error = await run.catch(e => e);
+    expect(error.message).toContain('failed at step \'explode\': disk full');
+    expect(error.steps).toEqual([
+      { step: 'create', path: 'created', status: 'rolled_back' },
+      { step: 'update', path: 'existing', status: 'rolled_back' },
+      { step: 'explode', path: 'other', status: 'not_applied' }
+    ]);
+
+    expect(await listMemory()).toEqual(['existing']);
+    expect(await readMemory('existing')).toBe(original);
+    expect(await journalFiles()).toEqual([]);
+  });
+
+  test('recovery rolls back a transaction interrupted by a crash', async () => {
+    await writeMemory('a', 'A after crash');
+    await writeMemory('b', 'B after crash');
+    await fs.mkdir('./memory/.journal', { recursive: true });
+    await fs.writeFile('./memory/.journal/crashed.json', JSON.stringify({
+      id: 'crashed',
+      name: 'deep_learn',
+      pid: DEAD_PID,
+      status: 'active',
+      steps: [
+        { name: 'entity:a', path: 'a', previous: null, status: 'committed', revision: revisionOf('A after crash') },
+        { name: 'context_anchors', path: 'b', previous: 'B before', status: 'started', revision: null }
+      ]
+    }));
+
+    const recovered = await recoverTransactions();
+
+    expect(recovered).toEqual([{
+      id: 'crashed',
+      name: 'deep_learn',
+      action: 'rolled_back',
+      steps: [
+        { step: 'entity:a', path: 'a', status: 'rolled_back' },
+        { step: 'context_anchors', path: 'b', status: 'rolled_back' }
+      ]
+    }]);
+    expect(await listMemory()).toEqual(['b']);
+    expect(await readMemory('b')).toBe('B before');
+    expect(await journalFiles()).toEqual([]);
+  });
+
+  test('recovery leaves files changed after the transaction alone', async () => {
+    await writeMemory('a', 'edited by someone else');
+    await fs.mkdir('./memory/.journal', { recursive: true });
+    await fs.writeFile('./memory/.journal/crashed.json', JSON.stringify({
+      id: 'crashed',
+      name: 'deep_learn',
+      pid: DEAD_PID,
+      status: 'active',
+      steps: [{ name: 'entity:a', path: 'a', previous: 'A before', status: 'committed', revision: revisionOf('A written') }]
+    }));
+
+    const [recovered] = await recoverTransactions();
+
+    expect(recovered.steps).toEqual([{ step: 'entity:a', path: 'a', status: 'changed_since' }]);
+    expect(await readMemory('a')).toBe('edited by someone else');
+  });
+
+  test('recovery completes transactions whose steps all committed and skips live ones', async () => {
+    await fs.mkdir('./memory/.journal', { recursive: true });
+    await fs.writeFile('./memory/.journal/done.json', JSON.stringify({ id: 'done', name: 'deep_learn', pid: DEAD_PID, status: 'committed', steps: [] }));
+    await fs.writeFile('./memory/.journal/running.json', JSON.stringify({ id: 'running', name: 'deep_learn', pid: process.ppid, status: 'active', steps: [] }));
+
+    const recovered = await recoverTransactions();
+
+    expect(recovered).toEqual([{ id: 'done', name: 'deep_learn', action: 'completed', steps: [] }]);
+    expect(await journalFiles()).toEqual(['running.json']);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Soft delete for entities
+ * Deleted entities move to <memory>/.trash/<trash_id>/<entity path>.md with a deletion record,
+ * where they can be restored or purged
+ */
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { MEMORY_DIR, readMemory, writeMemory, deleteMemory, writeFileAtomic, revisionOf, RevisionConflictError } from './memory.js';
+
+const TRASH_DIR = join(MEMORY_DIR, '.trash');
+const RECORD_FILE = 'deletion.json';
+
+// Trash ids sort chronologically: 20261018T120304567Z-1a2b
+function createTrashId(date) {
+  return `${date.toISOString().replace(/[-:.]/g, '')}-${randomBytes(2).toString('hex')}`;
+}
+
+function trashItemDir(trashId) {
+  if (!/^[\w-]+$/.test(trashId)) {
+    throw new Error(`Invalid trash id: '${trashId}'`);
+  }
+  return join(TRASH_DIR, trashId);
+}
+
+// Move an entity into the trash
+export async function trashEntity(path, { source } = {}) {
+  const content = await readMemory(path);
+  const deletedAt = new Date();
+  const trashId = createTrashId(deletedAt);
+  const itemDir = trashItemDir(trashId);
+  const record = { trash_id: trashId, path, deleted_at: deletedAt.toISOString(), size: Buffer.byteLength(content) };
+
+  // Copy into the trash before removing, so a crash in between never loses the entity
+  await writeFileAtomic(join(itemDir, `${path}.md`), content);
+  await writeFileAtomic(join(itemDir, RECORD_FILE), JSON.stringify(record, null, 2));
+  try {
+    // Only the content copied above; a write that landed since fails the delete instead of being lost
+    await deleteMemory(path, { expectedRevision: revisionOf(content), source });
+  } catch (error) {
+    await fs.rm(itemDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return record;
+}
+
+// Every trashed entity, newest first
+export async function listTrash() {
+  const ids = await fs.readdir(TRASH_DIR).catch(() => []);
+  const items = [];
+
+  for (const trashId of ids) {
+    const raw = await fs.readFile(join(TRASH_DIR, trashId, RECORD_FILE), 'utf-8').catch(() => null);
+    if (raw !== null) {
+      items.push(JSON.parse(raw));
+    }
+  }
+
+  return items.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at) || b.trash_id.localeCompare(a.trash_id));
+}
+
+// Find a trash item by id, or the most recent deletion of an entity path
+async function findTrashItem({ trashId, path }) {
+  const items = await listTrash();
+  const item = trashId ?
+    items.find(candidate => candidate.trash_id === trashId) :
+    items.find(candidate => candidate.path === path);
+
+  if (!item) {
+    throw new Error(trashId ? `Trash item not found: ${trashId}` : `No trashed entity found for path: ${path}`);
+  }
+  return item;
+}
+
+// Restore a trashed entity to its original path (or restoreTo), refusing to overwrite a live entity
+export async function restoreEntity({ trashId, path, restoreTo, source } = {}) {
+  if (!trashId && !path) {
+    throw new Error('Either trash_id or entity_path is required');
+  }
+
+  const item = await findTrashItem({ trashId, path });
+  const target = restoreTo || item.path;
+
+  const itemDir = trashItemDir(item.trash_id);
+  const content = await fs.readFile(join(itemDir, `${item.path}.md`), 'utf-8');
+  try {
+    // Exactly as deleted, and only if nothing has been written to the target since
+    await writeMemory(target, content, { raw: true, expectedRevision: null, source });
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      throw new Error(`Entity already exists: ${target} (restore to a different path)`);
+    }
+    throw error;
+  }
+  await fs.rm(itemDir, { recursive: true, force: true });
+
+  return { ...item, restored_to: target };
+}
+
+// Permanently delete trash items: one id, everything older than N days, or everything
+export async function purgeTrash({ trashId, olderThanDays, all = false } = {}) {
+  if (!trashId && olderThanDays === undefined && !all) {
+    throw new Error('Specify trash_id, older_than_days, or all: true');
+  }
+
+  const cutoff = olderThanDays === undefined ? null : new Date(Date.now() - olderThanDays * 86400000).toISOString();
+  const items = await listTrash();
+  const purged = items.filter(item =>
+    (trashId ? item.trash_id === trashId : true) &&
+    (cutoff ? item.deleted_at < cutoff : true)
+  );
+
+  if (trashId && purged.length === 0) {
+    throw new Error(`Trash item not found: ${trashId}`);
+  }
+
+  for (const item of purged) {
+    await fs.rm(trashItemDir(item.trash_id), { recursive: true, force: true });
+  }
+
+  return { purged: purged.map(item => ({ trash_id: item.trash_id, path: item.path })), remaining: items.length - purged.length };
+}
@@ -0,0 +1,89 @@
+/**
+ * Jest tests for soft delete, restore and purge
+ */
+
+import { promises as fs } from 'fs';
+import { writeMemory, readMemory, listMemory } from './memory.js';
+import { trashEntity, listTrash, restoreEntity, purgeTrash } from './trash.js';
+
+describe('Trash', () => {
+  beforeEach(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  afterAll(async () => {
+    await fs.rm('./memory', { recursive: true, force: true });
+  });
+
+  test('moves the entity into .trash with a deletion record', async () => {
+    await writeMemory('people/john-doe', '# John');
+
+    const record = await trashEntity('people/john-doe');
+
+    expect(record.path).toBe('people/john-doe');
+    expect(new Date(record.deleted_at).toISOString()).toBe(record.deleted_at);
+    expect(await listMemory()).toEqual([]);
+    expect(await fs.readFile(`./memory/.trash/${record.trash_id}/people/john-doe.md`, 'utf-8')).toBe('# John');
+    expect((await listTrash()).map(item => item.trash_id)).toEqual([record.trash_id]);
+  });
+
+  test('refuses to trash a missing entity', async () => {
+    await expect(trashEntity('people/nobody')).rejects.toThrow();
+  });
+
+  test('restores the most recent deletion of a path', async () => {
+    await writeMemory('notes/todo', 'first');
+    await trashEntity('notes/todo');
+    await writeMemory('notes/todo', 'second');
+    await trashEntity('notes/todo');
+
+    const restored = await restoreEntity({ path: 'notes/todo' });
+
+    expect(restored.restored_to).toBe('notes/todo');
+    expect(await readMemory('notes/todo')).toBe('second');
+    expect(await listTrash()).toHaveLength(1);
+  });
+
+  test('restores frontmatter exactly as it was deleted', async () => {
+    await writeMemory('notes/todo', 'Body', { metadata: { tags: ['a'] } });
+    const deleted = await readMemory('notes/todo');
+    await trashEntity('notes/todo');
+
+    await restoreEntity({ path: 'notes/todo' });
+
+    expect(await readMemory('notes/todo')).toBe(deleted);
+  });
+
+  test('never overwrites a live entity, but can restore elsewhere', async () => {
+    await writeMemory('notes/todo', 'old');
+    const { trash_id } = await trashEntity('notes/todo');
+    await writeMemory('notes/todo', 'new');
+
+    await expect(restoreEntity({ trashId: trash_id })).rejects.toThrow('Entity already exists: notes/todo');
+
+    await restoreEntity({ trashId: trash_id, restoreTo: 'notes/todo-old' });
+    expect(await readMemory('notes/todo-old')).toBe('old');
+    expect(await readMemory('notes/todo')).toBe('new');
+  });
+
+  test('purges by id, by age or everything', async () => {
+    await writeMemory('a', 'A');
+    await writeMemory('b', 'B');
+    const first = await trashEntity('a');
+    await trashEntity('b');
+
+    await expect(purgeTrash()).rejects.toThrow('Specify trash_id, older_than_days, or all');
+    expect((await purgeTrash({ olderThanDays: 1 })).purged).toEqual([]);
+
+    const byId = await purgeTrash({ trashId: first.trash_id });
+    expect(byId).toEqual({ purged: [{ trash_id: first.trash_id, path: 'a' }], remaining: 1 });
+
+    expect((await purgeTrash({ all: true })).remaining).toBe(0);
+    expect(await listTrash()).toEqual([]);
+  });
+
+  test('rejects malformed trash ids', async () => {
+    await expect(purgeTrash({ trashId: '../people' })).rejects.toThrow();
+    await expect(restoreEntity({ trashId: '../people' })).rejects.toThrow('Trash item not found');
+  });
+});